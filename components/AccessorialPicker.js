@@ -0,0 +1,51 @@
+import { formatAccessorialRate } from "./utils";
+
+/**
+ * Checkboxes for the accessorial charges in the rate table's catalog, with an hours input for hourly charges.
+ * `selected` maps the code of every picked accessorial to its quantity.
+ * @returns {JSX.Element}
+ */
+export default function AccessorialPicker({ catalog, selected, setSelected }) {
+  /**
+   * Adds or removes an accessorial from the selection.
+   * @param {string} code - The code of the accessorial.
+   * @param {boolean} checked - Whether it was picked.
+   */
+  const toggleAccessorial = (code, checked) => {
+    const { [code]: _removed, ...rest } = selected;
+    setSelected(checked ? { ...selected, [code]: catalog[code].type === "hourly" ? "" : 1 } : rest);
+  };
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      {Object.entries(catalog).map(([code, accessorial]) => {
+        const isSelected = code in selected;
+        return (
+          <div key={code} className="flex items-center gap-2 text-sm text-slate-300">
+            <input
+              id={`accessorial-${code}`}
+              type="checkbox"
+              checked={isSelected}
+              onChange={(e) => toggleAccessorial(code, e.target.checked)}
+              className="cursor-pointer accent-indigo-500 w-4 h-4"
+            />
+            <label htmlFor={`accessorial-${code}`} className="cursor-pointer">
+              {accessorial.label} <span className="text-slate-500">({formatAccessorialRate(accessorial)})</span>
+            </label>
+            {isSelected && accessorial.type === "hourly" && (
+              <input
+                type="number"
+                min={0.25}
+                step={0.25}
+                placeholder="Hours"
+                value={selected[code]}
+                onChange={(e) => setSelected({ ...selected, [code]: e.target.value })}
+                className="w-20 px-2 py-1 border border-slate-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50"
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
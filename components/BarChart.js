@@ -0,0 +1,32 @@
+/**
+ * A horizontal bar chart, with a row for every bar and the bars scaled to the largest value.
+ * @param {Object} props
+ * @param {{ key: string, label: string, value: number, note?: string }[]} props.bars - The bars, in the order to show them.
+ * @param {Function} props.format - Formats a value for its label.
+ * @param {string} [props.color] - The Tailwind background class of the bars.
+ * @returns {JSX.Element}
+ */
+export default function BarChart({ bars, format, color = "bg-indigo-500" }) {
+  const max = Math.max(0, ...bars.map(bar => bar.value));
+
+  if (bars.length === 0) return <p className="text-sm text-slate-500">No quotes to chart.</p>;
+
+  return (
+    <ul className="space-y-3">
+      {bars.map(bar => (
+        <li key={bar.key} className="text-sm">
+          <div className="flex justify-between gap-4 mb-1">
+            <span className="text-slate-300 truncate" title={bar.label}>{bar.label}</span>
+            <span className="font-mono text-slate-200 whitespace-nowrap">
+              {format(bar.value)}
+              {bar.note && <span className="text-xs text-slate-500 ml-2">{bar.note}</span>}
+            </span>
+          </div>
+          <div className="h-2 rounded-full bg-slate-700 overflow-hidden">
+            <div className={`h-full rounded-full ${color}`} style={{ width: `${max > 0 ? (bar.value / max) * 100 : 0}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
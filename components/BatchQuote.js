@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import {
+  ArrowDownTrayIcon, ArrowUpTrayIcon, DocumentTextIcon, ExclamationTriangleIcon
+} from "@heroicons/react/24/outline";
+import { downloadFile, formatCurrency, formatDistance, formatWeight } from './utils';
+import { toCsv } from '@/lib/csv';
+import { quoteColumns, toQuoteRecord } from '@/lib/quoteExport';
+
+// The columns of the downloaded results, in order.
+const resultColumns = ['row', ...quoteColumns, 'error'];
+
+/**
+ * Flattens a batch result into a row of the downloaded results. Rows that failed keep what was requested.
+ * @param {Object} result - A result from `api/quotes/batch`.
+ * @returns {Object} The row, keyed by the names in `resultColumns`.
+ */
+const toResultRecord = ({ row, quote, request, error }) => ({ row, ...toQuoteRecord(quote || request || {}), error });
+
+export default function BatchQuote({ equipmentTypes }) {
+  const [file, setFile] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  /**
+   * Prices the uploaded CSV file using `api/quotes/batch`.
+   */
+  const priceBatch = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrorMessage("");
+    setBatch(null);
+
+    try {
+      const response = await fetch('/api/quotes/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ csv: await file.text() })
+      });
+      const data = await response.json();
+      if (data.error) {
+        setErrorMessage(data.error);
+      } else {
+        setBatch(data);
+      }
+    } catch (err) {
+      console.error("Batch quote error:", err);
+      setErrorMessage("Failed to price the batch. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Downloads the results of the batch as a CSV file.
+   */
+  const downloadResults = () => {
+    const csv = toCsv(batch.results.map(toResultRecord), resultColumns);
+    downloadFile(csv, `${file.name.replace(/\.csv$/i, '')}-quotes.csv`, 'text/csv');
+  };
+
+  return (
+    <section>
+      <h2 className="text-2xl font-bold mb-6 text-slate-50 flex items-center gap-2">
+        <DocumentTextIcon className="w-6 h-6 text-indigo-500" />
+        Batch Quotes
+      </h2>
+
+      {/* Upload Form */}
+      <form onSubmit={priceBatch} className="bg-slate-800 rounded-xl shadow-lg border border-slate-700 p-6 mb-6 space-y-4">
+        <p className="text-sm text-slate-400">
+          Upload a CSV file with the columns <span className="font-mono text-slate-300">origin, destination, equipmentType, weight, pickupDate</span>,
+          and optionally <span className="font-mono text-slate-300">stops</span> (separated by &quot;|&quot;), <span className="font-mono text-slate-300">accessorials</span> (e.g. &quot;liftgate;detention:2&quot;),
+          <span className="font-mono text-slate-300">customerId</span>, <span className="font-mono text-slate-300">currency</span>,
+          <span className="font-mono text-slate-300">weightUnit</span> (lb or kg), <span className="font-mono text-slate-300">distanceUnit</span> (km or mi)
+          and <span className="font-mono text-slate-300">businessDaysOnly</span> (true or false).
+        </p>
+        <div className="flex flex-col sm:flex-row gap-4 sm:items-center">
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              setBatch(null);
+            }}
+            className="flex-grow text-sm text-slate-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-slate-700 file:text-slate-200 hover:file:bg-slate-600 file:cursor-pointer"
+          />
+          <button
+            type="submit"
+            disabled={!file || loading}
+            className="cursor-pointer inline-flex items-center justify-center gap-2 px-6 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-500 text-white font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ArrowUpTrayIcon className="w-5 h-5" />
+            {loading ? 'Pricing...' : 'Price Batch'}
+          </button>
+        </div>
+        {errorMessage && (
+          <p className="text-sm text-rose-400 flex items-center gap-2">
+            <ExclamationTriangleIcon className="w-5 h-5" />
+            {errorMessage}
+          </p>
+        )}
+      </form>
+
+      {/* Results Table */}
+      {batch && (
+        <div className="bg-slate-800 rounded-xl shadow-lg border border-slate-700 overflow-hidden">
+          <div className="flex flex-wrap items-center justify-between gap-4 p-4 border-b border-slate-700">
+            <p className="text-sm text-slate-300">
+              Priced <span className="text-green-400 font-semibold">{batch.summary.priced}</span> of {batch.summary.total} rows
+              {batch.summary.failed > 0 && <>, <span className="text-rose-400 font-semibold">{batch.summary.failed}</span> failed</>}.
+            </p>
+            <button
+              onClick={downloadResults}
+              className="cursor-pointer inline-flex items-center gap-2 px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-sm hover:bg-slate-600 transition-colors"
+            >
+              <ArrowDownTrayIcon className="w-4 h-4" />
+              Download CSV
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-900 text-slate-400 text-xs uppercase">
+                <tr>
+                  <th className="px-4 py-3 text-left">Row</th>
+                  <th className="px-4 py-3 text-left">Route</th>
+                  <th className="px-4 py-3 text-left">Equipment</th>
+                  <th className="px-4 py-3 text-right">Weight</th>
+                  <th className="px-4 py-3 text-left">Pickup</th>
+                  <th className="px-4 py-3 text-right">Distance</th>
+                  <th className="px-4 py-3 text-right">Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-700">
+                {batch.results.map(result => {
+                  const record = toResultRecord(result);
+                  return (
+                    <tr key={result.row} className={result.error ? 'bg-rose-900/10' : ''}>
+                      <td className="px-4 py-3 text-slate-500">{result.row}</td>
+                      <td className="px-4 py-3 text-slate-200">
+                        {record.origin || '—'} <span className="text-indigo-600 mx-1">→</span> {record.destination || '—'}
+                        {record.stops && <span className="block text-xs text-slate-500">via {record.stops.split('|').join(', ')}</span>}
+                      </td>
+                      <td className="px-4 py-3 text-slate-300">{equipmentTypes[record.equipmentType]?.label || record.equipmentType || '—'}</td>
+                      <td className="px-4 py-3 text-right text-slate-300">{record.weight ? formatWeight(record.weight, record.weightUnit) : '—'}</td>
+                      <td className="px-4 py-3 text-slate-300">{record.pickupDate || '—'}</td>
+                      {result.quote ? (
+                        <>
+                          <td className="px-4 py-3 text-right font-mono text-slate-300">{formatDistance(result.quote.distance, result.quote.distanceUnit)}</td>
+                          <td className="px-4 py-3 text-right font-mono font-semibold text-green-400">{formatCurrency(result.quote.total, result.quote.currency)}</td>
+                        </>
+                      ) : (
+                        <td colSpan={2} className="px-4 py-3 text-right text-rose-400">{result.error}</td>
+                      )}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
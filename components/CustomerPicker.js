@@ -0,0 +1,53 @@
+import { BuildingOfficeIcon, MapPinIcon } from "@heroicons/react/24/outline";
+
+/**
+ * Picks the customer a quote is for from the customer directory, and one of their saved locations as the origin.
+ * Picking a customer calls `onCustomerChange` with the customer, or `null` when the quote isn't for a customer.
+ * @returns {JSX.Element}
+ */
+export default function CustomerPicker({ customers, customerId, onCustomerChange, origin, onLocationPick }) {
+  const customer = customers.find(customer => customer.id === customerId);
+  const locations = customer ? customer.locations : [];
+
+  return (
+    <div className="space-y-2">
+      <label htmlFor="customer" className="block text-sm font-medium text-slate-300">Customer</label>
+      <div className="relative">
+        <BuildingOfficeIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+        <select
+          id="customer"
+          value={customerId}
+          onChange={(e) => onCustomerChange(customers.find(customer => customer.id === e.target.value) || null)}
+          className="w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition"
+        >
+          <option value="">No customer</option>
+          {customers.map(customer => (
+            <option key={customer.id} value={customer.id}>{customer.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Saved locations of the customer, picking one makes it the origin */}
+      {locations.length > 0 && (
+        <div className="flex flex-wrap gap-2 pt-1">
+          {locations.map((location, index) => (
+            <button
+              key={index}
+              type="button"
+              title={location.address}
+              onClick={() => onLocationPick(location)}
+              className={`cursor-pointer inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs border transition-colors
+                ${location.address === origin
+                  ? 'border-indigo-500 bg-indigo-900/40 text-indigo-300'
+                  : 'border-slate-600 text-slate-400 hover:text-slate-200 hover:border-slate-500'
+                }`}
+            >
+              <MapPinIcon className="w-3.5 h-3.5" />
+              {location.label || location.address}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { CheckCircleIcon, CircleStackIcon, TruckIcon } from "@heroicons/react/24/outline";
+import { formatCurrency, formatDeliveryWindow, formatDistance, getQuoteUnits, percentFormatter } from "./utils";
+
+/**
+ * The options priced by `api/createQuote` for several equipment types, side by side in a table. The cheapest option is
+ * marked, and each option can be saved to the history.
+ * @param {Object} props
+ * @param {Object[]} props.options - The priced options, one quote for every equipment type.
+ * @param {Object} props.equipmentTypes - The equipment of the rate table, keyed by type, for the labels.
+ * @param {Function} props.onSave - Called with the equipment type of the option to save.
+ * @param {string | null} props.saving - The equipment type of the option being saved, or `null`.
+ * @returns {JSX.Element}
+ */
+export default function EquipmentComparison({ options, equipmentTypes, onSave, saving }) {
+  const [first] = options;
+  const units = getQuoteUnits(first);
+  const cheapest = Math.min(...options.map(option => option.total));
+
+  return (
+    <div className="bg-slate-800 rounded-xl shadow-lg border border-indigo-700 overflow-hidden p-6 animate-in fade-in duration-500">
+      <h2 className="text-xl font-bold text-indigo-400 mb-1 flex items-center gap-2">
+        <TruckIcon className="w-6 h-6" />
+        Equipment Comparison
+      </h2>
+      <p className="text-sm text-slate-400 mb-4">
+        {first.origin} → {first.destination}, {formatDistance(first.distance, units.distanceUnit)}. Pick an option to save it to history.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-400">
+              <th className="py-2 pr-3 font-medium">Equipment</th>
+              <th className="py-2 px-3 text-right font-medium">Equipment Charge</th>
+              <th className="py-2 px-3 text-right font-medium">Fuel</th>
+              <th className="py-2 px-3 text-right font-medium">Total</th>
+              <th className="py-2 px-3 font-medium">Delivery</th>
+              <th className="py-2 pl-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {options.map(option => {
+              const isCheapest = option.total === cheapest;
+              return (
+                <tr key={option.equipmentType} className={`border-t border-slate-700 ${isCheapest ? 'bg-emerald-900/20' : ''}`}>
+                  <td className="py-3 pr-3 text-slate-200">
+                    <span className="block font-medium">{equipmentTypes[option.equipmentType]?.label || option.equipmentType}</span>
+                    {isCheapest && options.length > 1 && <span className="text-xs text-emerald-300">Lowest price</span>}
+                  </td>
+                  <td className="py-3 px-3 text-right font-mono text-slate-300 whitespace-nowrap">
+                    {formatCurrency(option.equipmentCharge, units.currency)}
+                    <span className="block text-xs text-slate-500">{percentFormatter.format(option.rates.equipmentMultiplier)}</span>
+                  </td>
+                  <td className="py-3 px-3 text-right font-mono text-slate-300 whitespace-nowrap">{formatCurrency(option.fuelSurcharge, units.currency)}</td>
+                  <td className="py-3 px-3 text-right font-mono font-semibold text-green-400 whitespace-nowrap">{formatCurrency(option.total, units.currency)}</td>
+                  <td className="py-3 px-3 text-slate-300 whitespace-nowrap">
+                    {formatDeliveryWindow(option.transit)}
+                    <span className="block text-xs text-slate-500">{option.days} {option.days == 1 ? 'day' : 'days'}</span>
+                  </td>
+                  <td className="py-3 pl-3 text-right">
+                    <button
+                      type="button"
+                      onClick={() => onSave(option.equipmentType)}
+                      disabled={saving !== null}
+                      className="cursor-pointer inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-60 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {saving === option.equipmentType ? <CircleStackIcon className="w-4 h-4 animate-pulse" /> : <CheckCircleIcon className="w-4 h-4" />}
+                      {saving === option.equipmentType ? 'Saving...' : 'Save'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {first.rateTableVersion && (
+        <p className="text-xs text-slate-500 mt-4">
+          Rate table {first.rateTableVersion}
+          {units.currency !== 'CAD' && `, 1 CAD = ${units.exchangeRate} ${units.currency}`}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,14 @@
 import { useState } from "react";
 import { Autocomplete } from "@react-google-maps/api";
 
+/**
+ * A location input that suggests places with Google Places, one of the location inputs of `LocationInput`.
+ * Only a picked suggestion is a location, with the coordinates Google gives it.
+ * @returns {JSX.Element}
+ */
 const GoogleAutocomplete = ({ 
   onLoad, 
-  onPlaceChanged, 
+  onLocationChange, 
   placeholder,
   inputValue,
   setInputValue,
@@ -26,7 +31,8 @@ const GoogleAutocomplete = ({
   const handlePlaceChange = () => {
     if (autocomplete) {
       const place = autocomplete.getPlace();
-      onPlaceChanged(place);
+      const location = place.geometry?.location;
+      onLocationChange({ address: place.formatted_address, ...(location && { lat: location.lat(), lng: location.lng() }) });
       setInputValue(place.formatted_address);
     }
   };
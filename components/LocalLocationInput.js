@@ -0,0 +1,113 @@
+import { useEffect, useState } from "react";
+
+/**
+ * A location input that suggests places from the local geocoder, through `api/places`, so locations can be entered
+ * without Google Places. Any typed text is a location, since the server resolves cities, provinces and postal codes itself.
+ * @returns {JSX.Element}
+ */
+const LocalLocationInput = ({
+  onLocationChange,
+  placeholder,
+  inputValue,
+  setInputValue,
+  inputClassName = ""
+}) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  // Fetches the suggestions for the typed text, once typing pauses.
+  useEffect(() => {
+    if (!open || !inputValue.trim()) return;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => {
+      fetch(`/api/places?${new URLSearchParams({ search: inputValue })}`, { signal: controller.signal })
+        .then(res => res.ok ? res.json() : { places: [] })
+        .then(data => {
+          setSuggestions(data.places);
+          setHighlighted(-1);
+        })
+        .catch(err => err.name !== 'AbortError' && console.error("Place search error:", err));
+    }, 200);
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [inputValue, open]);
+
+  /**
+   * Handles typing, the typed text is the location until a suggestion is picked.
+   * @param {string} value - The typed text.
+   */
+  const handleChange = (value) => {
+    setInputValue(value);
+    onLocationChange({ address: value });
+    setOpen(true);
+    if (!value.trim()) setSuggestions([]);
+  };
+
+  /**
+   * Picks a suggested place, with its coordinates.
+   * @param {{ label: string, lat: number, lng: number }} place - The suggested place.
+   */
+  const pickSuggestion = (place) => {
+    setInputValue(place.label);
+    onLocationChange({ address: place.label, lat: place.lat, lng: place.lng });
+    setOpen(false);
+  };
+
+  /**
+   * Moves through the suggestions with the arrow keys, and picks one with Enter.
+   * @param {KeyboardEvent} event - The key press.
+   */
+  const handleKeyDown = (event) => {
+    if (!open || suggestions.length === 0) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const offset = event.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted(current => (current + offset + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Enter' && highlighted >= 0) {
+      event.preventDefault();
+      pickSuggestion(suggestions[highlighted]);
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={inputValue}
+        onChange={(e) => handleChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setOpen(false)}
+        placeholder={placeholder}
+        autoComplete="off"
+        className={`w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm 
+                   focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent 
+                   bg-slate-700 text-slate-50 placeholder-slate-500 transition duration-150 ease-in-out ${inputClassName}`}
+      />
+
+      {/* Suggested places, picked on mouse down so the input's blur doesn't close them first */}
+      {open && inputValue.trim() && suggestions.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full bg-slate-800 border border-slate-600 rounded-xl shadow-lg overflow-hidden">
+          {suggestions.map((place, index) => (
+            <li
+              key={place.label}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pickSuggestion(place);
+              }}
+              className={`cursor-pointer px-4 py-2 text-sm ${index === highlighted ? 'bg-indigo-900/60 text-indigo-200' : 'text-slate-300 hover:bg-slate-700'}`}
+            >
+              {place.label}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LocalLocationInput;
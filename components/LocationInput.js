@@ -0,0 +1,65 @@
+import { createContext, useContext, useEffect, useState } from "react";
+import { useJsApiLoader } from "@react-google-maps/api";
+import GoogleAutocomplete from "./GoogleAutocomplete";
+import LocalLocationInput from "./LocalLocationInput";
+
+// Location inputs share one interface, so Google Places and the local geocoder can be swapped for each other. They take
+// the typed text as `inputValue` and `setInputValue`, a `placeholder` and an `inputClassName`, and call `onLocationChange`
+// with `{ address, lat, lng }` when the input holds a location, where the coordinates are only given when they are known.
+
+const libraries = ["places"];
+
+// Which location service the inputs use: "loading" while Google's script loads, "google" once it has, or "local"
+// when there is no API key or Google couldn't be loaded.
+const LocationServiceContext = createContext("local");
+
+/**
+ * Loads Google's script with the 'Places API', and reports when it has loaded or failed.
+ * @returns {null}
+ */
+const GoogleScriptLoader = ({ apiKey, onServiceChange }) => {
+  const { isLoaded, loadError } = useJsApiLoader({ googleMapsApiKey: apiKey, libraries });
+
+  useEffect(() => {
+    if (loadError) onServiceChange("local");
+    else if (isLoaded) onServiceChange("google");
+  }, [isLoaded, loadError, onServiceChange]);
+
+  return null;
+};
+
+/**
+ * Picks the location service for the inputs inside it, using Google Places when there is an API key and its script loads,
+ * and the local geocoder otherwise. `onServiceChange` is called with the service whenever it changes.
+ * @returns {JSX.Element}
+ */
+export function LocationServiceProvider({ children, onServiceChange }) {
+  const apiKey = process.env.NEXT_PUBLIC_API_KEY;
+  const [service, setService] = useState(apiKey ? "loading" : "local");
+
+  useEffect(() => {
+    onServiceChange && onServiceChange(service);
+  }, [service, onServiceChange]);
+
+  return (
+    <LocationServiceContext.Provider value={service}>
+      {apiKey && <GoogleScriptLoader apiKey={apiKey} onServiceChange={setService} />}
+      {children}
+    </LocationServiceContext.Provider>
+  );
+}
+
+/**
+ * Gets the location service of the closest `LocationServiceProvider`.
+ * @returns {string} The service, "loading", "google" or "local".
+ */
+export const useLocationService = () => useContext(LocationServiceContext);
+
+/**
+ * A location input using Google Places once it has loaded, and the local geocoder until then or without it.
+ * @returns {JSX.Element}
+ */
+export default function LocationInput(props) {
+  const service = useLocationService();
+  return service === "google" ? <GoogleAutocomplete {...props} /> : <LocalLocationInput {...props} />;
+}
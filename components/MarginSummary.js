@@ -0,0 +1,45 @@
+import { BanknotesIcon } from "@heroicons/react/24/outline";
+import { formatCurrency, formatMarkupRule, getQuoteUnits, percentFormatter } from "./utils";
+
+/**
+ * The margin of a quote, for staff: what the trip costs us with the carrier, what the customer pays, and the markup
+ * rule between them. Customer-facing views leave it out. Nothing is shown for quotes saved before they had a margin.
+ * @param {Object} props
+ * @param {Object} props.quote - The quote, with its `carrierCost` and `margin`.
+ * @param {string} [props.className] - Classes for the container.
+ * @returns {JSX.Element | null}
+ */
+export default function MarginSummary({ quote, className = "" }) {
+  if (!quote.carrierCost || !quote.margin) return null;
+  const { currency } = getQuoteUnits(quote);
+
+  return (
+    <div className={`rounded-lg border border-emerald-800/60 bg-emerald-950/30 p-3 ${className}`}>
+      <p className="text-xs font-semibold uppercase tracking-wide text-emerald-300 flex items-center gap-1.5 mb-2">
+        <BanknotesIcon className="w-4 h-4" />
+        Margin (internal)
+      </p>
+      <div className="grid grid-cols-3 gap-3 text-sm">
+        <div>
+          <p className="text-xs text-slate-400">Carrier Cost</p>
+          <p className="font-mono text-slate-200">{formatCurrency(quote.carrierCost.total, currency)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-slate-400">Customer Price</p>
+          <p className="font-mono text-slate-200">{formatCurrency(quote.total, currency)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-slate-400">Margin</p>
+          <p className="font-mono text-emerald-300">
+            {formatCurrency(quote.margin.amount, currency)}
+            <span className="text-xs text-slate-400 ml-1">{percentFormatter.format(quote.margin.percent)}</span>
+          </p>
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mt-2">
+        {formatMarkupRule(quote)}
+        {quote.margin.rule?.minimumApplied && ', raised to the minimum margin'}
+      </p>
+    </div>
+  );
+}
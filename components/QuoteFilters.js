@@ -0,0 +1,73 @@
+import { BuildingOfficeIcon, FunnelIcon, MagnifyingGlassIcon } from "@heroicons/react/24/outline";
+
+/**
+ * The filters of saved quotes: origin and destination searches, and the equipment and customer to show. They are
+ * the filters `api/quotes` and the endpoints beside it read from the query parameters.
+ * @param {Object} props
+ * @param {{ origin: string, destination: string, equipment: string, customer: string }} props.filters - The filters.
+ * @param {Function} props.onChange - Called with the key of the filter that changed, and its new value.
+ * @param {Object} props.equipmentTypes - The equipment of the rate table, keyed by type.
+ * @param {Object[]} [props.customers] - The customers of the directory.
+ * @param {JSX.Element} [props.children] - Any more filters, shown after these.
+ * @returns {JSX.Element}
+ */
+export default function QuoteFilters({ filters, onChange, equipmentTypes, customers = [], children }) {
+  return (
+    <div className="flex flex-col md:flex-row gap-4 mb-6">
+      {/* Origin Filter */}
+      <div className="relative flex-grow">
+        <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+        <input
+          type="text"
+          className="pl-10 border border-slate-600 rounded-xl px-4 py-2 w-full focus:ring-indigo-500 focus:border-transparent transition bg-slate-700 text-slate-50 placeholder-slate-500"
+          placeholder="Search by origin"
+          value={filters.origin}
+          onChange={(e) => onChange('origin', e.target.value)}
+        />
+      </div>
+
+      {/* Destination Filter */}
+      <div className="relative flex-grow">
+        <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+        <input
+          type="text"
+          className="pl-10 border border-slate-600 rounded-xl px-4 py-2 w-full focus:ring-indigo-500 focus:border-transparent transition bg-slate-700 text-slate-50 placeholder-slate-500"
+          placeholder="Search by destination"
+          value={filters.destination}
+          onChange={(e) => onChange('destination', e.target.value)}
+        />
+      </div>
+
+      {/* Equipment Filter */}
+      <div className="relative">
+        <FunnelIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+        <select
+          className="pl-10 pr-8 py-2 w-full md:w-60 border border-slate-600 rounded-xl focus:ring-indigo-500 focus:border-transparent bg-slate-700 text-slate-50 transition appearance-none"
+          value={filters.equipment}
+          onChange={(e) => onChange('equipment', e.target.value)}
+        >
+          <option value="">All Equipment</option>
+          {Object.entries(equipmentTypes).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Customer Filter */}
+      <div className="relative">
+        <BuildingOfficeIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+        <select
+          className="pl-10 pr-8 py-2 w-full md:w-60 border border-slate-600 rounded-xl focus:ring-indigo-500 focus:border-transparent bg-slate-700 text-slate-50 transition appearance-none"
+          value={filters.customer}
+          onChange={(e) => onChange('customer', e.target.value)}
+        >
+          <option value="">All Customers</option>
+          {customers.map(customer => (
+            <option key={customer.id} value={customer.id}>{customer.name}</option>
+          ))}
+        </select>
+      </div>
+      {children}
+    </div>
+  );
+}
@@ -1,12 +1,34 @@
-import { useState } from 'react';
+import { Fragment, useEffect, useState } from 'react';
 import {
-  MagnifyingGlassIcon, TruckIcon, FunnelIcon, ClockIcon, ScaleIcon,
+  TruckIcon, ClockIcon, ScaleIcon,
   CalendarIcon, ArrowsRightLeftIcon, CalculatorIcon,
   CurrencyDollarIcon, ChevronDownIcon,
   ReceiptPercentIcon,
-  TrashIcon
+  TrashIcon,
+  MapPinIcon,
+  ArrowDownTrayIcon,
+  PrinterIcon,
+  UserCircleIcon,
+  BuildingOfficeIcon,
+  ArrowPathIcon
 } from "@heroicons/react/24/outline";
-import { currencyFormatter, equipmentCharges, getFuelSurchargePercent, numberFormatter } from './utils';
+import MarginSummary from './MarginSummary';
+import QuoteFilters from './QuoteFilters';
+import RevisionChain from './RevisionChain';
+import ShareLinkButton from './ShareLinkButton';
+import { formatAccessorialLabel, formatBaseRateLabel, formatCurrency, formatDeliveryWindow, formatDistanceProvider, formatFuelIndex, formatFuelSurchargeLabel, formatPricingRule, formatQuoteReference, formatRateAmount, formatWeight, getQuoteRates, getQuoteUnits, numberFormatter, percentFormatter } from './utils';
+import { distanceUnits } from '@/lib/units';
+import { statusLabels, statusTransitions } from '@/lib/quoteStatus';
+
+// Badge colours for each quote status.
+const statusStyles = {
+  draft: 'bg-slate-600/50 text-slate-300',
+  sent: 'bg-sky-900/50 text-sky-300',
+  accepted: 'bg-emerald-900/50 text-emerald-300',
+  declined: 'bg-orange-900/50 text-orange-300',
+  expired: 'bg-rose-900/50 text-rose-300',
+  booked: 'bg-amber-900/50 text-amber-300'
+};
 
 /**
  * Helper component for styled card containers.
@@ -24,16 +46,33 @@ const Card = ({ children, className = "", onClick }) => (
   </div>
 );
 
-export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote }) {
+export default function QuoteHistory({ filters, setFilters, equipmentTypes, customers = [], showOwner = false, onRequote }) {
   // State to manage which quote is currently expanded.
-  const [expandedIndex, setExpandedIndex] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
+  // The current page of quotes from `api/quotes`, `null` until the first page has loaded.
+  const [result, setResult] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
   const itemsPerPage = 5;
 
-  const totalPages = Math.ceil(quotes.length / itemsPerPage);
-  const startIndex = (currentPage - 1) * itemsPerPage;
-  const endIndex = startIndex + itemsPerPage;
-  const currentQuotes = quotes.slice(startIndex, endIndex);
+  // Fetches the current page of quotes whenever the filters or the page change, ignoring responses that are outdated.
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = new URLSearchParams({ ...filters, page: currentPage, pageSize: itemsPerPage });
+    fetch(`/api/quotes?${params}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(data => {
+        if (data.error) throw new Error(data.error);
+        setResult(data);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') console.error("Quote history error:", err);
+      });
+    return () => controller.abort();
+  }, [filters, currentPage, refreshCount]);
+
+  const currentQuotes = result ? result.quotes : [];
+  const totalPages = result ? result.totalPages : 0;
 
   /**
    * Formats the equipment type for better readability.
@@ -51,7 +90,7 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
 
   /**
    * Handles changing the filter parameters, and in turn, the quotes.
-   * @param {string} key - The key to filter ('origin', 'destination', or 'equipment').
+   * @param {string} key - The key to filter ('origin', 'destination', 'equipment' or 'customer').
    * @param {string} value - The value to filter with.
    */
   const handleFilterChange = (key, value) => {
@@ -61,23 +100,56 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
 
   /**
    * Handles the toggle of the quotes, expanding or retracting them.
-   * @param {number} index - The index of the quote to toggle.
+   * @param {string} id - The id of the quote to toggle.
+   */
+  const handleToggle = (id) => {
+    setExpandedId(id === expandedId ? null : id);
+  };
+
+  /**
+   * Deletes a saved quote using `api/quotes/[id]`, and reloads the page of quotes.
+   * @param {string} id - The id of the quote to delete.
    */
-  const handleToggle = (index) => {
-    setExpandedIndex(index === expandedIndex ? null : index);
+  const deleteQuote = async (id) => {
+    const response = await fetch(`/api/quotes/${id}`, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) {
+      console.error("Quote deletion error:", response.status);
+      return;
+    }
+    if (id === expandedId) setExpandedId(null);
+    // Goes back a page if the last quote on this page was deleted, otherwise reloads it.
+    if (currentQuotes.length === 1 && currentPage > 1) setCurrentPage(currentPage - 1);
+    else setRefreshCount(refreshCount + 1);
   };
 
+  /**
+   * Moves a saved quote to a new status using `api/quotes/[id]`, and reloads the page of quotes.
+   * @param {string} id - The id of the quote.
+   * @param {string} status - The new status.
+   */
+  const changeStatus = async (id, status) => {
+    const response = await fetch(`/api/quotes/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status })
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      console.error("Quote status error:", data.error);
+    }
+    setRefreshCount(refreshCount + 1);
+  };
+
+  const isFiltered = filters.origin.length > 0 ||
+    filters.destination.length > 0 ||
+    filters.equipment.length > 0 ||
+    filters.customer.length > 0;
+
   // Checks if there is no previous quotes.
-  const isHistoryEmpty = quotes.length === 0 &&
-    filters.origin.length === 0 &&
-    filters.destination.length === 0 &&
-    filters.equipment.length === 0;
+  const isHistoryEmpty = result !== null && result.total === 0 && !isFiltered;
 
   // Checks if there are no quotes that match the current filters.
-  const isFilteredEmpty = quotes.length === 0 &&
-    (filters.origin.length > 0 ||
-      filters.destination.length > 0 ||
-      filters.equipment.length !== "");
+  const isFilteredEmpty = result !== null && result.total === 0 && isFiltered;
 
   if (isHistoryEmpty) return (
     <div className="text-center py-12 text-slate-600">
@@ -90,12 +162,12 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
    * Helper component for rate breakdown values.
    * @returns {JSX.Element}
    */
-  const DetailItem = ({ icon: Icon, label, value, currency = true, unit = "" }) => (
-    <div className="flex items-center text-sm text-slate-400">
+  const DetailItem = ({ icon: Icon, label, value, title = "", currency = true, unit = "", currencyCode = "CAD" }) => (
+    <div title={title} className="flex items-center text-sm text-slate-400">
       <Icon className="w-4 h-4 mr-2 text-indigo-400 flex-shrink-0" />
       <span className="font-medium text-slate-300 truncate mr-1">{label}:</span>
       <span className="font-mono text-indigo-200 whitespace-nowrap">
-        {!currency ? `${numberFormatter.format(value.toFixed(0))} ${unit}` : currencyFormatter.format(value)}
+        {typeof value === 'string' ? value : !currency ? `${numberFormatter.format(value.toFixed(0))} ${unit}` : formatCurrency(value, currencyCode)}
       </span>
     </div>
   );
@@ -108,45 +180,21 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
       </h2>
 
       {/* Filtering Controls */}
-      <div className="flex flex-col md:flex-row gap-4 mb-6">
-        {/* Origin Filter */}
-        <div className="relative flex-grow">
-          <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
-          <input
-            type="text"
-            className="pl-10 border border-slate-600 rounded-xl px-4 py-2 w-full focus:ring-indigo-500 focus:border-transparent transition bg-slate-700 text-slate-50 placeholder-slate-500"
-            placeholder="Search by origin"
-            value={filters.origin}
-            onChange={(e) => handleFilterChange('origin', e.target.value)}
-          />
-        </div>
-
-        {/* Destination Filter */}
-        <div className="relative flex-grow">
-          <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
-          <input
-            type="text"
-            className="pl-10 border border-slate-600 rounded-xl px-4 py-2 w-full focus:ring-indigo-500 focus:border-transparent transition bg-slate-700 text-slate-50 placeholder-slate-500"
-            placeholder="Search by destination"
-            value={filters.destination}
-            onChange={(e) => handleFilterChange('destination', e.target.value)}
-          />
-        </div>
-
-        {/* Equipment Filter */}
-        <div className="relative">
-          <FunnelIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
-          <select
-            className="pl-10 pr-8 py-2 w-full md:w-60 border border-slate-600 rounded-xl focus:ring-indigo-500 focus:border-transparent bg-slate-700 text-slate-50 transition appearance-none"
-            value={filters.equipment}
-            onChange={(e) => handleFilterChange('equipment', e.target.value)}
+      <QuoteFilters filters={filters} onChange={handleFilterChange} equipmentTypes={equipmentTypes} customers={customers} />
+
+      {/* Export Controls, for every quote that matches the filters */}
+      <div className="flex justify-end gap-2 mb-4">
+        {['csv', 'json'].map(format => (
+          <a
+            key={format}
+            href={`/api/quotes/export?${new URLSearchParams({ ...filters, format })}`}
+            download
+            className="inline-flex items-center gap-2 px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-sm hover:bg-slate-700 transition-colors"
           >
-            <option value="">All Equipment</option>
-            <option value="dry_van">Dry Van</option>
-            <option value="reefer">Reefer</option>
-            <option value="flatbed">Flatbed</option>
-          </select>
-        </div>
+            <ArrowDownTrayIcon className="w-4 h-4" />
+            Export {format.toUpperCase()}
+          </a>
+        ))}
       </div>
 
       {/* Quote List & Pagination Container */}
@@ -196,15 +244,16 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
         )}
 
         {/* Paginated Quotes */}
-        {!isFilteredEmpty && currentQuotes.map((quote, index) => {
-          index += startIndex;
-          const isExpanded = index === expandedIndex;
+        {!isFilteredEmpty && currentQuotes.map((quote) => {
+          const isExpanded = quote.id === expandedId;
+          const quoteRates = getQuoteRates(quote);
+          const { currency, weightUnit, distanceUnit } = getQuoteUnits(quote);
 
           return (
             <Card
-              key={index}
+              key={quote.id}
               className={isExpanded ? 'bg-slate-700 border-indigo-500' : ''}
-              onClick={() => handleToggle(index)}
+              onClick={() => handleToggle(quote.id)}
             >
               {/* Card Content */}
               <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center w-full gap-4">
@@ -214,9 +263,12 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
                   <TruckIcon className="h-8 w-8 text-indigo-400 flex-shrink-0 mt-1 sm:mt-0" />
                   <div className="min-w-0 flex-1">
                     <p className="text-sm font-medium text-slate-400 flex flex-wrap items-center gap-1">
-                      <span className="text-slate-200 font-semibold break-words">{quote.origin}</span>
-                      <span className="text-indigo-600 mx-1">→</span>
-                      <span className="text-slate-200 font-semibold break-words">{quote.destination}</span>
+                      {(quote.stops || [quote.origin, quote.destination]).map((stop, stopIndex) => (
+                        <Fragment key={stopIndex}>
+                          {stopIndex > 0 && <span className="text-indigo-600 mx-1">→</span>}
+                          <span className="text-slate-200 font-semibold break-words">{stop}</span>
+                        </Fragment>
+                      ))}
                     </p>
                     <div className="flex flex-wrap gap-3 text-xs text-slate-500 mt-2 sm:mt-1">
                       <span className="inline-flex items-center px-3 py-1 font-medium rounded-full bg-indigo-900/50 text-indigo-300 whitespace-nowrap">
@@ -224,8 +276,23 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
                       </span>
                       <span className="flex items-center text-slate-400 whitespace-nowrap">
                         <ScaleIcon className="w-3.5 h-3.5 inline mr-1" />
-                        {numberFormatter.format(quote.weight)} lbs
+                        {formatWeight(quote.weight, weightUnit)}
                       </span>
+                      <span className={`inline-flex items-center px-3 py-1 font-medium rounded-full whitespace-nowrap ${statusStyles[quote.status]}`}>
+                        {statusLabels[quote.status]}
+                      </span>
+                      {quote.customerName && (
+                        <span className="flex items-center text-slate-400 whitespace-nowrap">
+                          <BuildingOfficeIcon className="w-3.5 h-3.5 inline mr-1" />
+                          {quote.customerName}
+                        </span>
+                      )}
+                      {quote.revisionOf && (
+                        <span className="flex items-center text-slate-400 whitespace-nowrap" title="Re-quoted from an earlier quote">
+                          <ArrowPathIcon className="w-3.5 h-3.5 inline mr-1" />
+                          Revision of {formatQuoteReference(quote.revisionOf)}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -236,7 +303,7 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
                   {/* Price & Date */}
                   <div className="text-left sm:text-right">
                     <p className="text-2xl font-extrabold text-green-400">
-                      {currencyFormatter.format(quote.total)}
+                      {formatCurrency(quote.total, currency)}
                     </p>
                     <div className="text-xs text-slate-400 flex items-center gap-1 mt-1 sm:justify-end">
                       <CalendarIcon className="w-3.5 h-3.5" />
@@ -250,12 +317,7 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
                     <button
                       onClick={(e) => {
                         e.stopPropagation();
-                        const changePage = currentQuotes.length == 1;
-                        deleteQuote(index);
-                        if (index === expandedIndex) {
-                          setExpandedIndex(null);
-                        }
-                        if (changePage) setCurrentPage(Math.max(1, currentPage - 1));
+                        deleteQuote(quote.id);
                       }}
                       className="text-rose-300 cursor-pointer hover:text-rose-500 transition-colors p-2 rounded-md hover:bg-rose-900/20"
                       title="Delete quote"
@@ -281,7 +343,7 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
                     label="Distance"
                     currency={false}
                     value={quote.distance}
-                    unit={"km"}
+                    unit={distanceUnits[distanceUnit].label}
                   />
                   <DetailItem
                     icon={CalendarIcon}
@@ -290,26 +352,142 @@ export default function QuoteHistory({ quotes, filters, setFilters, deleteQuote
                     currency={false}
                     unit={quote.days == 1 ? "day" : "days"}
                   />
+                  {quote.transit && (
+                    <DetailItem
+                      icon={TruckIcon}
+                      label="Delivery"
+                      value={formatDeliveryWindow(quote.transit)}
+                      title={quote.transit.businessDaysOnly ? 'Business days only' : 'Every day of the week'}
+                    />
+                  )}
+                  {showOwner && (
+                    <DetailItem
+                      icon={UserCircleIcon}
+                      label="Created By"
+                      value={quote.createdBy || 'Unknown'}
+                    />
+                  )}
                   <DetailItem
                     icon={CurrencyDollarIcon}
-                    label="Base Rate ($1.62/km)"
+                    label={formatBaseRateLabel(quote)}
                     value={quote.baseRate}
+                    currencyCode={currency}
                   />
                   <DetailItem
                     icon={ReceiptPercentIcon}
-                    label={`Fuel Surcharge (${getFuelSurchargePercent(parseFloat(quote.weight))})`}
+                    label={formatFuelSurchargeLabel(quote)}
+                    title={formatFuelIndex(quote)}
                     value={quote.fuelSurcharge}
+                    currencyCode={currency}
                   />
                   <DetailItem
                     icon={TruckIcon}
-                    label={`Equipment Charge (${equipmentCharges[quote.equipmentType]})`}
+                    label={`Equipment Charge (${percentFormatter.format(quoteRates.equipmentMultiplier)})`}
                     value={quote.equipmentCharge}
+                    currencyCode={currency}
                   />
                   <DetailItem
                     icon={CalculatorIcon}
                     label="Weight Factor"
                     value={quote.weightFactor}
+                    currencyCode={currency}
                   />
+                  {quote.stopCharge > 0 && (
+                    <DetailItem
+                      icon={MapPinIcon}
+                      label={`Stop Charge (${quote.stops.length - 2} × ${formatRateAmount(quote, quoteRates.stopCharge)})`}
+                      value={quote.stopCharge}
+                      currencyCode={currency}
+                    />
+                  )}
+                  {quote.accessorials && quote.accessorials.map(line => (
+                    <DetailItem
+                      key={line.code}
+                      icon={ReceiptPercentIcon}
+                      label={formatAccessorialLabel(line, currency)}
+                      value={line.amount}
+                      currencyCode={currency}
+                    />
+                  ))}
+                  {quote.dateAdjustments && quote.dateAdjustments.map(line => (
+                    <DetailItem
+                      key={line.code}
+                      icon={CalendarIcon}
+                      label={formatAccessorialLabel(line, currency)}
+                      value={line.amount}
+                      currencyCode={currency}
+                    />
+                  ))}
+                  {quote.legs && quote.legs.length > 1 && quote.legs.map((leg, legIndex) => (
+                    <DetailItem
+                      key={legIndex}
+                      icon={ArrowsRightLeftIcon}
+                      label={`Leg ${legIndex + 1}: ${leg.origin} → ${leg.destination} (${numberFormatter.format(leg.distance.toFixed(0))} ${distanceUnits[distanceUnit].label})`}
+                      value={leg.baseRate}
+                      currencyCode={currency}
+                    />
+                  ))}
+                  {quote.rateTableVersion && (
+                    <p className="text-xs text-slate-500 col-span-1 sm:col-span-2">
+                      Priced with rate table {quote.rateTableVersion}.
+                      {quote.pricingRule && ` ${formatPricingRule(quote.pricingRule)}.`}
+                      {quote.distanceProvider && ` Distance via ${formatDistanceProvider(quote.distanceProvider)}.`}
+                      {quote.fuelIndex && ` ${formatFuelIndex(quote)}.`}
+                    </p>
+                  )}
+                  <MarginSummary quote={quote} className="col-span-1 sm:col-span-2" />
+
+                  {/* Status and Validity */}
+                  <div className="col-span-1 sm:col-span-2 flex flex-wrap items-center gap-3 pt-3 border-t border-slate-700">
+                    <span className="text-sm text-slate-400">
+                      {quote.status === 'expired' ? 'Expired after' : 'Valid until'} <span className="text-slate-200">{quote.expiresAt}</span>
+                    </span>
+                    <div className="flex gap-2 sm:ml-auto">
+                      <a
+                        href={`/quotes/${quote.id}/print`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        onClick={(e) => e.stopPropagation()}
+                        className="inline-flex items-center gap-1 px-3 py-1 text-xs font-medium rounded-lg border border-slate-600 bg-slate-800 hover:bg-slate-600 transition-colors"
+                      >
+                        <PrinterIcon className="w-4 h-4" />
+                        Print
+                      </a>
+                      <ShareLinkButton
+                        quote={quote}
+                        onShared={() => setRefreshCount(refreshCount + 1)}
+                        className="px-3 py-1 text-xs font-medium rounded-lg border border-slate-600 bg-slate-800 hover:bg-slate-600 transition-colors"
+                      />
+                      {onRequote && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onRequote(quote);
+                          }}
+                          className="cursor-pointer inline-flex items-center gap-1 px-3 py-1 text-xs font-medium rounded-lg border border-slate-600 bg-slate-800 hover:bg-slate-600 transition-colors"
+                          title="Price this quote again with the current rates"
+                        >
+                          <ArrowPathIcon className="w-4 h-4" />
+                          Re-quote
+                        </button>
+                      )}
+                      {statusTransitions[quote.status].map(status => (
+                        <button
+                          key={status}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            changeStatus(quote.id, status);
+                          }}
+                          className="cursor-pointer px-3 py-1 text-xs font-medium rounded-lg border border-slate-600 bg-slate-800 hover:bg-slate-600 transition-colors"
+                        >
+                          Mark as {statusLabels[status]}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Revision Chain */}
+                  <RevisionChain quote={quote} />
 
                 </div>
               )}
@@ -0,0 +1,89 @@
+import { useEffect, useState } from "react";
+import { formatCurrency, formatQuoteReference } from "./utils";
+import { compareRevisions } from "@/lib/quoteRevisions";
+
+/**
+ * Formats the change of a breakdown component from the revision before, e.g. "+$12.50".
+ * @param {number} change - The change.
+ * @param {string} currency - The currency of the revision.
+ * @returns {string} The formatted change.
+ */
+const formatChange = (change, currency) => `${change > 0 ? '+' : '−'}${formatCurrency(Math.abs(change), currency)}`;
+
+/**
+ * The revision chain of a saved quote, from `api/quotes/[id]/revisions`, with the breakdowns of every revision side by side
+ * and the change of each component from the revision before. Nothing is shown for quotes that were never revised.
+ * @returns {JSX.Element | null}
+ */
+export default function RevisionChain({ quote }) {
+  // The chain, `null` until it has loaded.
+  const [chain, setChain] = useState(null);
+
+  // Fetches the chain of the quote, ignoring responses that are outdated.
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(`/api/quotes/${quote.id}/revisions`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(data => {
+        if (data.error) throw new Error(data.error);
+        setChain(data.revisions);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') console.error("Quote revisions error:", err);
+      });
+    return () => controller.abort();
+  }, [quote.id, quote.timestamp]);
+
+  if (!chain || chain.length < 2) return null;
+  const rows = compareRevisions(chain);
+
+  return (
+    <div className="col-span-1 sm:col-span-2 pt-3 border-t border-slate-700">
+      <h3 className="text-lg font-semibold text-slate-200 mb-2">Revisions</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-400">
+              <th className="py-2 pr-4 font-medium">Component</th>
+              {chain.map((revision, index) => (
+                <th
+                  key={revision.id}
+                  className={`py-2 px-3 text-right font-medium whitespace-nowrap ${revision.id === quote.id ? 'bg-indigo-900/40 text-indigo-300' : ''}`}
+                >
+                  <span className="block">{index === 0 ? 'Original' : `Revision ${index}`}</span>
+                  <span className="block font-mono text-slate-500">
+                    {formatQuoteReference(revision.id)} · {new Date(revision.timestamp).toISOString().slice(0, 10)}
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key} className={`border-t border-slate-700 ${row.key === 'total' ? 'font-semibold text-slate-100' : 'text-slate-300'}`}>
+                <td className="py-2 pr-4">{row.label}</td>
+                {row.amounts.map((amount, index) => {
+                  const currency = chain[index].currency || 'CAD';
+                  const change = row.changes[index];
+                  return (
+                    <td
+                      key={chain[index].id}
+                      className={`py-2 px-3 text-right font-mono whitespace-nowrap ${chain[index].id === quote.id ? 'bg-indigo-900/40' : ''}`}
+                    >
+                      <span className="block">{amount === null ? '—' : formatCurrency(amount, currency)}</span>
+                      {change !== null && Math.abs(change) >= 0.005 && (
+                        <span className={`block text-xs ${change > 0 ? 'text-rose-300' : 'text-emerald-300'}`}>
+                          {formatChange(change, currency)}
+                        </span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import { ArrowsRightLeftIcon } from "@heroicons/react/24/outline";
+
+/**
+ * Quick picks for the saved lanes of the address book. Picking a lane calls `onPick` with the lane and its saved
+ * origin and destination locations, lanes whose locations are missing aren't shown.
+ * @returns {JSX.Element | null} Nothing when there are no saved lanes.
+ */
+export default function SavedLanePicks({ lanes, locations, onPick, origin, destination }) {
+  const locationsById = Object.fromEntries(locations.map(location => [location.id, location]));
+  const picks = lanes
+    .map(lane => ({ lane, origin: locationsById[lane.originId], destination: locationsById[lane.destinationId] }))
+    .filter(pick => pick.origin && pick.destination);
+  if (picks.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <span className="block text-sm font-medium text-slate-300">Saved Lanes</span>
+      <div className="flex flex-wrap gap-2">
+        {picks.map(pick => (
+          <button
+            key={pick.lane.id}
+            type="button"
+            title={`${pick.origin.address} → ${pick.destination.address}`}
+            onClick={() => onPick(pick)}
+            className={`cursor-pointer inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs border transition-colors
+              ${pick.origin.address === origin && pick.destination.address === destination
+                ? 'border-indigo-500 bg-indigo-900/40 text-indigo-300'
+                : 'border-slate-600 text-slate-400 hover:text-slate-200 hover:border-slate-500'
+              }`}
+          >
+            <ArrowsRightLeftIcon className="w-3.5 h-3.5" />
+            {pick.lane.name}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
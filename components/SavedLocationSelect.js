@@ -0,0 +1,30 @@
+import { BookmarkIcon } from "@heroicons/react/24/outline";
+
+/**
+ * Picks one of the saved locations of the address book for a location input, calling `onPick` with the location.
+ * Saved locations have coordinates, so they can be used without the autocomplete's suggestions.
+ * @returns {JSX.Element | null} Nothing when there are no saved locations.
+ */
+export default function SavedLocationSelect({ locations, onPick, label = "Saved location" }) {
+  if (locations.length === 0) return null;
+
+  return (
+    <div className="relative">
+      <BookmarkIcon className="h-3.5 w-3.5 absolute left-2 top-1/2 -translate-y-1/2 text-slate-500 pointer-events-none" />
+      <select
+        aria-label={label}
+        value=""
+        onChange={(e) => {
+          const location = locations.find(location => location.id === e.target.value);
+          if (location) onPick(location);
+        }}
+        className="cursor-pointer pl-7 pr-2 py-1 rounded-lg bg-slate-800 border border-slate-700 text-slate-400 text-xs outline-none hover:text-slate-200"
+      >
+        <option value="">Saved...</option>
+        {locations.map(location => (
+          <option key={location.id} value={location.id}>{location.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { useEffect, useState } from "react";
+import { CheckIcon, LinkIcon } from "@heroicons/react/24/outline";
+
+/**
+ * Copies the customer link of a saved quote, so it can be sent to the customer to accept or decline. Handing out the
+ * link sends the quote, so a draft is marked as sent first using `api/quotes/[id]`. Nothing is shown for imported
+ * quotes, which have no link, or quotes whose link has expired.
+ * @param {Object} props
+ * @param {Object} props.quote - The saved quote, with its `shareToken`.
+ * @param {Function} [props.onShared] - Called with the updated quote once a draft is marked as sent.
+ * @param {string} [props.className] - Classes for the button.
+ * @returns {JSX.Element | null}
+ */
+export default function ShareLinkButton({ quote, onShared, className = "" }) {
+  const [copied, setCopied] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  // Shows that the link was copied for a couple of seconds.
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  if (!quote.shareToken || quote.imported || quote.status === 'expired') return null;
+
+  /**
+   * Marks a draft quote as sent, and copies its link to the clipboard, or shows it to copy by hand if the browser
+   * doesn't allow it.
+   * @param {Event} e - The click event, kept from toggling the quote's card.
+   */
+  const share = async (e) => {
+    e.stopPropagation();
+    setErrorMessage("");
+    if (quote.status === 'draft') {
+      const response = await fetch(`/api/quotes/${quote.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: 'sent' })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        console.error("Quote status error:", data.error);
+        setErrorMessage(data.error);
+        return;
+      }
+      onShared?.(data.quote);
+    }
+
+    const url = `${window.location.origin}/shared/${quote.shareToken}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      window.prompt("Copy the customer link:", url);
+    }
+  };
+
+  return (
+    <button
+      onClick={share}
+      className={`cursor-pointer inline-flex items-center gap-1 ${className}`}
+      title={errorMessage || (quote.status === 'draft' ? "Mark the quote as sent, and copy the link the customer accepts or declines it from" : "Copy the link the customer accepts or declines the quote from")}
+    >
+      {copied ? <CheckIcon className="w-4 h-4" /> : <LinkIcon className="w-4 h-4" />}
+      {copied ? 'Copied' : errorMessage ? 'Try Again' : 'Customer Link'}
+    </button>
+  );
+}
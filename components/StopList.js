@@ -0,0 +1,119 @@
+import { useRef } from "react";
+import { ArrowDownIcon, ArrowUpIcon, MapPinIcon, PlusIcon, XMarkIcon } from "@heroicons/react/24/outline";
+import LocationInput from "./LocationInput";
+import SavedLocationSelect from "./SavedLocationSelect";
+
+/**
+ * Inputs for the intermediate stops of a route, between the origin and the destination.
+ * Each stop is `{ id, place, inputValue }`, where `place` is the selected address and `inputValue` is the typed text.
+ * A stop can also be picked from the `savedLocations` of the address book, and `errors` maps the index of a stop to its error.
+ * @returns {JSX.Element}
+ */
+export default function StopList({ stops, setStops, savedLocations = [], inputClassName = "", errors = {} }) {
+  // Gives every stop a stable key, so inputs keep their state when stops are reordered.
+  const nextId = useRef(0);
+
+  /**
+   * Adds an empty stop to the end of the list.
+   */
+  const addStop = () => {
+    const id = nextId.current++;
+    setStops(current => [...current, { id, place: "", inputValue: "" }]);
+  };
+
+  /**
+   * Removes a stop from the list.
+   * @param {number} id - The id of the stop to remove.
+   */
+  const removeStop = (id) => {
+    setStops(current => current.filter(stop => stop.id !== id));
+  };
+
+  /**
+   * Updates the values of a stop. Uses the current list, since the autocomplete makes two updates in a row.
+   * @param {number} id - The id of the stop to update.
+   * @param {Object} values - The values to change ('place' and/or 'inputValue').
+   */
+  const updateStop = (id, values) => {
+    setStops(current => current.map(stop => stop.id === id ? { ...stop, ...values } : stop));
+  };
+
+  /**
+   * Moves a stop up or down the list.
+   * @param {number} index - The index of the stop to move.
+   * @param {number} offset - Where to move it, -1 for up and 1 for down.
+   */
+  const moveStop = (index, offset) => {
+    setStops(current => {
+      const reordered = current.slice(0);
+      const [stop] = reordered.splice(index, 1);
+      reordered.splice(index + offset, 0, stop);
+      return reordered;
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      {stops.map((stop, index) => (
+        <div key={stop.id} className="space-y-2">
+          <div className="flex items-center justify-between">
+            <label className="block text-sm font-medium text-slate-300">Stop {index + 1}</label>
+            <SavedLocationSelect
+              locations={savedLocations}
+              label={`Saved location for stop ${index + 1}`}
+              onPick={(location) => updateStop(stop.id, { place: location.address, inputValue: location.address })}
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="relative flex-grow">
+              <MapPinIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500 z-10" />
+              <LocationInput
+                inputValue={stop.inputValue}
+                setInputValue={(value) => updateStop(stop.id, { inputValue: value })}
+                placeholder="e.g. Kingston, ON"
+                onLocationChange={(location) => updateStop(stop.id, { place: location.address })}
+                inputClassName={`${inputClassName} ${errors[index] ? 'ring-2 ring-red-500' : ''}`}
+              />
+            </div>
+            <button
+              type="button"
+              onClick={() => moveStop(index, -1)}
+              disabled={index === 0}
+              className="cursor-pointer p-2 rounded-md text-slate-400 hover:text-slate-200 hover:bg-slate-700 disabled:opacity-30 disabled:cursor-not-allowed"
+              title="Move stop up"
+            >
+              <ArrowUpIcon className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => moveStop(index, 1)}
+              disabled={index === stops.length - 1}
+              className="cursor-pointer p-2 rounded-md text-slate-400 hover:text-slate-200 hover:bg-slate-700 disabled:opacity-30 disabled:cursor-not-allowed"
+              title="Move stop down"
+            >
+              <ArrowDownIcon className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => removeStop(stop.id)}
+              className="cursor-pointer p-2 rounded-md text-rose-300 hover:text-rose-500 hover:bg-rose-900/20"
+              title="Remove stop"
+            >
+              <XMarkIcon className="w-4 h-4" />
+            </button>
+          </div>
+          {errors[index] && <p className="text-xs text-red-400">{errors[index]}</p>}
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addStop}
+        className="cursor-pointer inline-flex items-center gap-1 text-sm font-medium text-indigo-400 hover:text-indigo-300 transition-colors"
+      >
+        <PlusIcon className="w-4 h-4" />
+        Add stop
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * A column chart of a value over time, with a column for every period scaled to the largest value. Periods
+ * without a value are left empty, rather than drawn as zero.
+ * @param {Object} props
+ * @param {{ key: string, label: string, value: number | null }[]} props.points - The periods, oldest first.
+ * @param {Function} props.format - Formats a value for its label.
+ * @param {string} [props.color] - The Tailwind background class of the columns.
+ * @returns {JSX.Element}
+ */
+export default function TrendChart({ points, format, color = "bg-indigo-500" }) {
+  const max = Math.max(0, ...points.map(point => point.value ?? 0));
+
+  if (points.length === 0) return <p className="text-sm text-slate-500">No quotes to chart.</p>;
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="flex items-end gap-2 h-48 min-w-full">
+        {points.map(point => (
+          <div
+            key={point.key}
+            className="flex-1 min-w-10 h-full flex flex-col justify-end items-center gap-1"
+            title={`${point.label}: ${point.value === null ? 'No quotes' : format(point.value)}`}
+          >
+            <span className="text-[10px] font-mono text-slate-400 whitespace-nowrap">{point.value === null ? '' : format(point.value)}</span>
+            <div
+              className={`w-full rounded-t-md ${color}`}
+              style={{ height: `${max > 0 && point.value !== null ? (point.value / max) * 75 : 0}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2 min-w-full border-t border-slate-700 pt-1">
+        {points.map(point => (
+          <span key={point.key} className="flex-1 min-w-10 text-[10px] text-center text-slate-500 truncate">{point.label}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
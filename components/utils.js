@@ -1,22 +1,229 @@
 // This file exports items that are used in different files, preventing duplicate code.
+import { distanceUnits, weightUnits } from "@/lib/units";
+
 const options = {
   style: "currency",
   currency: "CAD"
 }
 export const currencyFormatter = new Intl.NumberFormat("en-CA", options);
 export const numberFormatter = new Intl.NumberFormat("en-CA");
-export const equipmentCharges = {
-  "dry_van": "0%",
-  "reefer": "30%",
-  "flatbed": "15%"
+export const percentFormatter = new Intl.NumberFormat("en-CA", { style: "percent", maximumFractionDigits: 1 });
+export const multiplierFormatter = new Intl.NumberFormat("en-CA", { minimumFractionDigits: 1, maximumFractionDigits: 2 });
+// Delivery dates are calendar days, so they are formatted in UTC to avoid time zone shifts.
+export const deliveryDateFormatter = new Intl.DateTimeFormat("en-CA", { month: "short", day: "numeric", timeZone: "UTC" });
+export const distanceProviderLabels = {
+  "google": "Google Maps",
+  "osrm": "OSRM router",
+  "haversine": "Great-circle estimate"
+}
+
+// Formatters for the currencies quotes are presented in, created when they are first used.
+const currencyFormatters = { "CAD": currencyFormatter };
+
+/**
+ * Formats the short reference of a saved quote, shown to customers, e.g. "3F2A9C1B".
+ * @param {string} id - The id of the quote.
+ * @returns {string} The reference.
+ */
+export const formatQuoteReference = (id) => id.slice(0, 8).toUpperCase();
+
+/**
+ * Formats an amount of money, e.g. "$1,234.00" for CAD or "US$1,234.00" for USD.
+ * @param {number} amount - The amount.
+ * @param {string} [currency] - The currency of the amount.
+ * @returns {string} The formatted amount.
+ */
+export const formatCurrency = (amount, currency = "CAD") => {
+  currencyFormatters[currency] ??= new Intl.NumberFormat("en-CA", { ...options, currency });
+  return currencyFormatters[currency].format(amount);
+}
+
+/**
+ * Formats a weight with its unit, e.g. "12,000 lbs".
+ * @param {number} weight - The weight.
+ * @param {string} [unit] - The unit of the weight ('lb' or 'kg').
+ * @returns {string} The formatted weight.
+ */
+export const formatWeight = (weight, unit = "lb") => `${numberFormatter.format(weight)} ${weightUnits[unit].label}`;
+
+/**
+ * Formats a distance with its unit, rounded to a whole number, e.g. "542 km".
+ * @param {number} distance - The distance.
+ * @param {string} [unit] - The unit of the distance ('km' or 'mi').
+ * @returns {string} The formatted distance.
+ */
+export const formatDistance = (distance, unit = "km") => `${numberFormatter.format(distance.toFixed(0))} ${distanceUnits[unit].label}`;
+
+/**
+ * Gets the currency and units a quote is presented in. Quotes saved before they had a currency are in CAD, pounds and kms.
+ * @param {Object} quote - The quote returned by `api/createQuote`.
+ * @returns {{ currency: string, exchangeRate: number, weightUnit: string, distanceUnit: string }} The currency and units.
+ */
+export const getQuoteUnits = (quote) => ({
+  currency: quote.currency || "CAD",
+  exchangeRate: quote.exchangeRate ?? 1,
+  weightUnit: quote.weightUnit || "lb",
+  distanceUnit: quote.distanceUnit || "km"
+});
+
+/**
+ * Formats an amount from the rate table, which is in CAD, in the currency a quote is presented in.
+ * @param {Object} quote - The quote returned by `api/createQuote`.
+ * @param {number} amount - The amount, in CAD.
+ * @returns {string} The converted and formatted amount.
+ */
+export const formatRateAmount = (quote, amount) => {
+  const { currency, exchangeRate } = getQuoteUnits(quote);
+  return formatCurrency(amount * exchangeRate, currency);
+}
+
+/**
+ * Formats the rate of an accessorial charge, for display.
+ * @param {Object} accessorial - The accessorial, with its `type` ('flat', 'hourly' or 'percent') and its `amount` or `rate`.
+ * @param {string} [currency] - The currency of the rate.
+ * @returns {string} The formatted rate, e.g. "$75.00/hr".
+ */
+export const formatAccessorialRate = ({ type, amount, rate = amount }, currency = "CAD") => {
+  if (type === "percent") return percentFormatter.format(rate);
+  if (type === "hourly") return `${formatCurrency(rate, currency)}/hr`;
+  return formatCurrency(rate, currency);
+}
+
+/**
+ * Formats the breakdown label of a priced accessorial, e.g. "Detention (2 hr × $75.00/hr)".
+ * @param {Object} line - The accessorial line from a quote's `accessorials`.
+ * @param {string} [currency] - The currency of the quote.
+ * @returns {string} The formatted label.
+ */
+export const formatAccessorialLabel = (line, currency = "CAD") => line.type === "hourly"
+  ? `${line.label} (${line.quantity} hr × ${formatAccessorialRate(line, currency)})`
+  : `${line.label} (${formatAccessorialRate(line, currency)})`;
+
+export const pricingRuleLabels = {
+  "default": "Default rate",
+  "lane": "Lane rate",
+  "customer-lane": "Contract rate"
 }
 
 /**
- * Calculates the fuel surcharge percentage, and returns it as a string.
- * @param {number} weight - The total weight of the truck.
- * @returns {string} The fuel charge percentage.
+ * Formats the label of a quote's base rate, describing the rate it was priced with in the quote's currency and units.
+ * @param {Object} quote - The quote returned by `api/createQuote`.
+ * @returns {string} The formatted label, e.g. "Base Rate ($1.62/km)".
  */
-export const getFuelSurchargePercent = (weight) => {
-  if (weight < 10000) return "23.7%";
-  else return "55.7%"
-}
\ No newline at end of file
+export const formatBaseRateLabel = (quote) => {
+  const rule = quote.pricingRule;
+  const { distanceUnit } = getQuoteUnits(quote);
+  if (rule && rule.minimumApplied) return `Base Rate (${formatRateAmount(quote, rule.minimumCharge)} minimum)`;
+  if (rule && rule.rateType === "flat") return `Base Rate (${formatRateAmount(quote, rule.amount)} flat)`;
+  const ratePerUnit = getQuoteRates(quote).baseRatePerKm / distanceUnits[distanceUnit].perKm;
+  return `Base Rate (${formatRateAmount(quote, ratePerUnit)}/${distanceUnits[distanceUnit].label})`;
+}
+
+/**
+ * Formats the label of a quote's fuel surcharge, with its rate in the quote's currency and units.
+ * @param {Object} quote - The quote returned by `api/createQuote`.
+ * @returns {string} The formatted label, e.g. "Fuel Surcharge (23.7%)" or "Fuel Surcharge ($0.50/km)".
+ */
+export const formatFuelSurchargeLabel = (quote) => {
+  const rates = getQuoteRates(quote);
+  if (rates.fuelSurchargeType !== "perKm") return `Fuel Surcharge (${percentFormatter.format(rates.fuelSurchargePercent)})`;
+  const { distanceUnit } = getQuoteUnits(quote);
+  const ratePerUnit = rates.fuelSurchargePerKm / distanceUnits[distanceUnit].perKm;
+  return `Fuel Surcharge (${formatRateAmount(quote, ratePerUnit)}/${distanceUnits[distanceUnit].label})`;
+}
+
+/**
+ * Formats the diesel price index value a quote's fuel surcharge was picked with.
+ * @param {Object} quote - The quote returned by `api/createQuote`.
+ * @returns {string} The formatted index value, e.g. "Diesel index 1.62 CAD/L (week of 2025-01-06)", or the
+ * fixed rate note for quotes priced without the index.
+ */
+export const formatFuelIndex = (quote) => quote.fuelIndex
+  ? `Diesel index ${quote.fuelIndex.price} ${quote.fuelIndex.unit} (week of ${quote.fuelIndex.date})`
+  : "Fixed rate table surcharge";
+
+/**
+ * Formats the window a quote is estimated to be delivered in, e.g. "Oct 22 – Oct 23".
+ * @param {Object} transit - The quote's `transit` estimate.
+ * @returns {string} The formatted window, or a single day if it starts and ends on the same day.
+ */
+export const formatDeliveryWindow = ({ earliestDelivery, latestDelivery }) => {
+  const format = (date) => deliveryDateFormatter.format(new Date(`${date}T00:00:00Z`));
+  return earliestDelivery === latestDelivery ? format(earliestDelivery) : `${format(earliestDelivery)} – ${format(latestDelivery)}`;
+}
+
+/**
+ * Formats the pricing rule that set a quote's base rate, e.g. "Lane rate: Toronto to Montreal".
+ * @param {Object} pricingRule - The quote's `pricingRule`.
+ * @returns {string} The formatted rule.
+ */
+export const formatPricingRule = (pricingRule) => `${pricingRuleLabels[pricingRule.scope]}: ${pricingRule.name}`;
+
+// Labels for the scope of the markup rule that set a quote's margin.
+export const markupRuleLabels = {
+  "customer-equipment": "Customer equipment markup",
+  "customer": "Customer markup",
+  "equipment": "Equipment markup",
+  "default": "Default markup"
+}
+
+/**
+ * Formats the markup rule that set a quote's margin, with its amounts in the quote's currency,
+ * e.g. "Customer markup: ACME Logistics (10%, at least $60.00)".
+ * @param {Object} quote - The quote, with its `margin`.
+ * @returns {string} The formatted rule, or "No markup" if no rule applied.
+ */
+export const formatMarkupRule = (quote) => {
+  const { rule } = quote.margin;
+  if (!rule) return "No markup";
+  const terms = [
+    rule.percent !== null && percentFormatter.format(rule.percent),
+    rule.flat !== null && formatRateAmount(quote, rule.flat)
+  ].filter(Boolean).join(" + ");
+  const minimum = rule.minimumMargin !== null ? `at least ${formatRateAmount(quote, rule.minimumMargin)}` : "";
+  return `${markupRuleLabels[rule.scope]}: ${rule.name} (${[terms, minimum].filter(Boolean).join(", ")})`;
+}
+
+/**
+ * Formats the provider(s) that produced a quote's distance, for display.
+ * @param {string} distanceProvider - The quote's `distanceProvider`, a comma separated list of provider names.
+ * @returns {string} The readable provider names.
+ */
+export const formatDistanceProvider = (distanceProvider) => distanceProvider
+  .split(",")
+  .map(name => distanceProviderLabels[name] || name)
+  .join(", ");
+
+/**
+ * Gets the rates a quote was priced with. Quotes saved before rate tables were versioned
+ * don't record them, so they are derived from the quote's breakdown instead.
+ * @param {Object} quote - The quote returned by `api/createQuote`.
+ * @returns {Object} The base rate per km, fuel surcharge percent, equipment multiplier and weight factor rates.
+ */
+export const getQuoteRates = (quote) => {
+  if (quote.rates) return quote.rates;
+  const ratio = (value) => quote.baseRate ? value / quote.baseRate : 0;
+  return {
+    baseRatePerKm: quote.distance ? quote.baseRate / quote.distance : 0,
+    fuelSurchargePercent: ratio(quote.fuelSurcharge),
+    equipmentMultiplier: ratio(quote.equipmentCharge),
+    weightThreshold: 10000,
+    weightFactorPer100: 0.1,
+    stopCharge: 0
+  };
+}
+
+/**
+ * Downloads text as a file, from the browser.
+ * @param {string} text - The contents of the file.
+ * @param {string} fileName - The name of the file.
+ * @param {string} type - The MIME type of the file, e.g. "text/csv".
+ */
+export const downloadFile = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,248 @@
+import { randomUUID } from "crypto";
+import { createFileStore, createMemoryStore, dataPath } from "@/lib/store";
+
+// The address book of saved locations and lanes that the quote form offers as quick picks. Saved locations have
+// coordinates, so quotes between them don't need to be geocoded.
+
+const isCoordinate = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+/**
+ * Normalizes an address for matching, ignoring case and extra whitespace.
+ * @param {string} address - The address.
+ * @returns {string} The normalized address.
+ */
+const normalizeAddress = (address) => address.trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Checks the details of a new saved location, or the changes to an existing one.
+ * @param {Object} details - The `name`, `address`, `lat` and `lng` of the location.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Whether missing details are allowed, for changes.
+ * @returns {string | null} The problem with the details, or `null` if they are valid.
+ */
+export const validateSavedLocation = ({ name, address, lat, lng }, { partial = false } = {}) => {
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Location name is required.';
+  }
+  if ((!partial || address !== undefined) && (typeof address !== 'string' || !address.trim())) {
+    return 'Location address is required.';
+  }
+  if ((!partial || lat !== undefined) && !isCoordinate(lat, 90)) return 'Latitude must be a number between -90 and 90.';
+  if ((!partial || lng !== undefined) && !isCoordinate(lng, 180)) return 'Longitude must be a number between -180 and 180.';
+  return null;
+}
+
+/**
+ * Checks the details of a new saved lane, or the changes to an existing one.
+ * @param {Object} details - The `name`, `originId`, `destinationId` and `equipmentType` of the lane.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Whether missing details are allowed, for changes.
+ * @param {Object} [options.equipment] - The equipment of the rate table, keyed by type, that `equipmentType` must be one of.
+ * @returns {string | null} The problem with the details, or `null` if they are valid.
+ */
+export const validateSavedLane = ({ name, originId, destinationId, equipmentType }, { partial = false, equipment = {} } = {}) => {
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Lane name is required.';
+  }
+  if ((!partial || originId !== undefined) && (typeof originId !== 'string' || !originId)) return 'Lane origin is required.';
+  if ((!partial || destinationId !== undefined) && (typeof destinationId !== 'string' || !destinationId)) return 'Lane destination is required.';
+  if (originId !== undefined && originId === destinationId) return 'Lane origin and destination must be different.';
+  if ((!partial || equipmentType !== undefined) && !Object.hasOwn(equipment, equipmentType)) {
+    return `Unknown equipment type ${equipmentType}.`;
+  }
+  return null;
+}
+
+/**
+ * Creates the address book, with its saved locations and lanes. Lanes point at saved locations by id,
+ * so a location can't be deleted while a lane uses it. Quotes to and from a saved location's address are priced with its
+ * coordinates, so no two locations can have the same address.
+ * @param {Object} stores
+ * @param {Object} stores.locations - Where the saved locations are kept, from `lib/store`.
+ * @param {Object} stores.lanes - Where the saved lanes are kept, from `lib/store`.
+ * @returns {Object} The address book, with `locations` and `lanes` repositories that each have async `list`, `get`,
+ * `create`, `update` and `delete` methods, and `locations.findByAddress`.
+ */
+export const createAddressBook = ({ locations: locationStore, lanes: laneStore }) => {
+  const listLocations = async () => (await locationStore.entries()).map(([, location]) => location)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const listLanes = async () => (await laneStore.entries()).map(([, lane]) => lane)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  /**
+   * Checks that both ends of a lane are saved locations.
+   * @param {Object} lane - The lane's `originId` and `destinationId`.
+   * @returns {Promise<string | null>} The problem with the lane, or `null` if both ends exist.
+   */
+  const checkLaneEnds = async ({ originId, destinationId }) => {
+    for (const id of [originId, destinationId]) {
+      if (!(await locationStore.get(id))) return `Unknown saved location ${id}.`;
+    }
+    return null;
+  };
+
+  /**
+   * Checks that no other saved location has an address.
+   * @param {string} address - The address.
+   * @param {string} [id] - The id of the location being changed, which can keep its own address.
+   * @returns {Promise<string | null>} The problem with the address, or `null` if no other location has it.
+   */
+  const checkAddressIsFree = async (address, id) => {
+    const normalized = normalizeAddress(address);
+    const taken = (await listLocations()).find(location => location.id !== id && normalizeAddress(location.address) === normalized);
+    return taken ? `The saved location ${taken.name} already has the address ${taken.address}.` : null;
+  };
+
+  return {
+    locations: {
+      /**
+       * Gets every saved location.
+       * @returns {Promise<Object[]>} The locations, sorted by name.
+       */
+      list: listLocations,
+
+      /**
+       * Gets a saved location.
+       * @param {string} id - The id of the location.
+       * @returns {Promise<Object | null>} The location, or `null` if it doesn't exist.
+       */
+      get: async (id) => (await locationStore.get(id)) || null,
+
+      /**
+       * Finds the saved location with an address.
+       * @param {string} address - The address, in any case.
+       * @returns {Promise<Object | null>} The location, or `null` if no saved location has the address.
+       */
+      findByAddress: async (address) => {
+        const normalized = normalizeAddress(address);
+        return (await listLocations()).find(location => normalizeAddress(location.address) === normalized) || null;
+      },
+
+      /**
+       * Saves a location.
+       * @param {Object} details - The `name`, `address`, `lat` and `lng`, checked with `validateSavedLocation`, and the id
+       * of the user who saved it as `createdBy`.
+       * @returns {Promise<{ location: Object } | { status: number, error: string }>} The saved location, or why it couldn't be saved.
+       */
+      create: async ({ name, address, lat, lng, createdBy = null }) => {
+        const problem = await checkAddressIsFree(address);
+        if (problem) return { status: 409, error: problem };
+        const location = { id: randomUUID(), name: name.trim(), address: address.trim(), lat, lng, createdBy, createdAt: new Date().getTime() };
+        await locationStore.set(location.id, location);
+        return { location };
+      },
+
+      /**
+       * Changes a saved location.
+       * @param {string} id - The id of the location.
+       * @param {Object} changes - The new `name`, `address`, `lat` or `lng`, checked with `validateSavedLocation`.
+       * @returns {Promise<{ location: Object | null } | { status: number, error: string }>} The updated location, `null`
+       * if it doesn't exist, or why it couldn't be changed.
+       */
+      update: async (id, { name, address, lat, lng }) => {
+        const stored = await locationStore.get(id);
+        if (!stored) return { location: null };
+        if (address !== undefined) {
+          const problem = await checkAddressIsFree(address, id);
+          if (problem) return { status: 409, error: problem };
+        }
+        const updated = {
+          ...stored,
+          ...(name !== undefined && { name: name.trim() }),
+          ...(address !== undefined && { address: address.trim() }),
+          ...(lat !== undefined && { lat }),
+          ...(lng !== undefined && { lng })
+        };
+        await locationStore.set(id, updated);
+        return { location: updated };
+      },
+
+      /**
+       * Deletes a saved location, unless a saved lane uses it.
+       * @param {string} id - The id of the location.
+       * @returns {Promise<{ deleted: boolean } | { status: number, error: string }>} Whether the location existed,
+       * or why it couldn't be deleted along with the HTTP status that describes it.
+       */
+      delete: async (id) => {
+        if (!(await locationStore.get(id))) return { deleted: false };
+        const lane = (await listLanes()).find(lane => lane.originId === id || lane.destinationId === id);
+        if (lane) return { status: 409, error: `The location is used by the lane ${lane.name}.` };
+        await locationStore.delete(id);
+        return { deleted: true };
+      }
+    },
+
+    lanes: {
+      /**
+       * Gets every saved lane.
+       * @returns {Promise<Object[]>} The lanes, sorted by name.
+       */
+      list: listLanes,
+
+      /**
+       * Gets a saved lane.
+       * @param {string} id - The id of the lane.
+       * @returns {Promise<Object | null>} The lane, or `null` if it doesn't exist.
+       */
+      get: async (id) => (await laneStore.get(id)) || null,
+
+      /**
+       * Saves a lane between two saved locations.
+       * @param {Object} details - The `name`, `originId`, `destinationId` and `equipmentType`, checked with `validateSavedLane`.
+       * @returns {Promise<{ lane: Object } | { status: number, error: string }>} The saved lane, or why it couldn't be saved.
+       */
+      create: async ({ name, originId, destinationId, equipmentType }) => {
+        const problem = await checkLaneEnds({ originId, destinationId });
+        if (problem) return { status: 400, error: problem };
+        const lane = { id: randomUUID(), name: name.trim(), originId, destinationId, equipmentType, createdAt: new Date().getTime() };
+        await laneStore.set(lane.id, lane);
+        return { lane };
+      },
+
+      /**
+       * Changes a saved lane.
+       * @param {string} id - The id of the lane.
+       * @param {Object} changes - The new `name`, `originId`, `destinationId` or `equipmentType`, checked with `validateSavedLane`.
+       * @returns {Promise<{ lane: Object | null } | { status: number, error: string }>} The updated lane, `null` if it
+       * doesn't exist, or why it couldn't be changed.
+       */
+      update: async (id, { name, originId, destinationId, equipmentType }) => {
+        const stored = await laneStore.get(id);
+        if (!stored) return { lane: null };
+        const updated = {
+          ...stored,
+          ...(name !== undefined && { name: name.trim() }),
+          ...(originId !== undefined && { originId }),
+          ...(destinationId !== undefined && { destinationId }),
+          ...(equipmentType !== undefined && { equipmentType })
+        };
+        if (updated.originId === updated.destinationId) return { status: 400, error: 'Lane origin and destination must be different.' };
+        const problem = await checkLaneEnds(updated);
+        if (problem) return { status: 400, error: problem };
+        await laneStore.set(id, updated);
+        return { lane: updated };
+      },
+
+      /**
+       * Deletes a saved lane.
+       * @param {string} id - The id of the lane.
+       * @returns {Promise<boolean>} Whether the lane existed.
+       */
+      delete: async (id) => {
+        if (!(await laneStore.get(id))) return false;
+        await laneStore.delete(id);
+        return true;
+      }
+    }
+  };
+}
+
+// The address book used by the API, set `ADDRESS_BOOK_STORE` to "memory" to keep it in memory instead of files.
+export const addressBook = createAddressBook(
+  process.env.ADDRESS_BOOK_STORE === "memory"
+    ? { locations: createMemoryStore("saved-locations"), lanes: createMemoryStore("saved-lanes") }
+    : {
+      locations: createFileStore(process.env.SAVED_LOCATIONS_FILE || dataPath("saved-locations.json")),
+      lanes: createFileStore(process.env.SAVED_LANES_FILE || dataPath("saved-lanes.json"))
+    }
+);
@@ -0,0 +1,174 @@
+import { createHash, randomBytes } from "crypto";
+import { isPricingAdmin } from "@/lib/roles";
+import { createFileStore, createMemoryStore, dataPath } from "@/lib/store";
+import { hashPassword, userRepository, verifyPassword } from "@/lib/users";
+
+// The cookie that holds the session token, and how long a session lasts.
+export const sessionCookieName = "session";
+const sessionTtl = parseFloat(process.env.SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+
+/**
+ * Hashes a session token, so the session store can't be used to sign in if it leaks.
+ * @param {string} token - The session token.
+ * @returns {string} The hash, in hex.
+ */
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+/**
+ * Creates the repository of signed in sessions. Sessions are deleted when they are read after they expire.
+ * @param {Object} store - Where the sessions are kept, from `lib/store`.
+ * @param {Object} options
+ * @param {number} options.ttl - How long a session lasts, in milliseconds.
+ * @returns {Object} The repository, with async `create`, `get` and `delete` methods.
+ */
+export const createSessionRepository = (store, { ttl }) => ({
+  /**
+   * Starts a session for a user.
+   * @param {string} userId - The id of the user.
+   * @returns {Promise<{ token: string, expiresAt: number }>} The token for the session cookie, and when it expires.
+   */
+  create: async (userId) => {
+    const token = randomBytes(32).toString("hex");
+    const expiresAt = new Date().getTime() + ttl;
+    await store.set(hashToken(token), { userId, expiresAt });
+    return { token, expiresAt };
+  },
+
+  /**
+   * Gets a session that hasn't expired.
+   * @param {string} token - The session token.
+   * @returns {Promise<Object | null>} The session, with its `userId` and `expiresAt`, or `null` if there isn't one.
+   */
+  get: async (token) => {
+    const key = hashToken(token);
+    const session = await store.get(key);
+    if (!session) return null;
+    if (session.expiresAt <= new Date().getTime()) {
+      await store.delete(key);
+      return null;
+    }
+    return session;
+  },
+
+  /**
+   * Ends a session.
+   * @param {string} token - The session token.
+   */
+  delete: async (token) => {
+    await store.delete(hashToken(token));
+  }
+});
+
+// The repository used by the API, set `SESSION_STORE` to "memory" to keep sessions in memory instead of a file.
+// Sessions last `SESSION_TTL_HOURS` hours.
+export const sessionRepository = createSessionRepository(
+  process.env.SESSION_STORE === "memory"
+    ? createMemoryStore("sessions")
+    : createFileStore(process.env.SESSION_STORE_FILE || dataPath("sessions.json")),
+  { ttl: sessionTtl }
+);
+
+// Compared against when a username doesn't exist, so a failed sign in takes as long either way.
+let unknownUserHash = null;
+
+/**
+ * Creates the first pricing admin from `ADMIN_USERNAME` and `ADMIN_PASSWORD`, when there are no users yet.
+ */
+const createInitialAdmin = async () => {
+  const { ADMIN_USERNAME: username, ADMIN_PASSWORD: password } = process.env;
+  if (!username || !password || (await userRepository.list()).length > 0) return;
+  await userRepository.create({ username, name: process.env.ADMIN_NAME || username, role: "pricing_admin", password });
+}
+
+/**
+ * Checks a user's credentials.
+ * @param {string} username - The username, in any case.
+ * @param {string} password - The password.
+ * @returns {Promise<Object | null>} The stored user, or `null` if the credentials are wrong.
+ */
+export const authenticate = async (username, password) => {
+  await createInitialAdmin();
+  const user = await userRepository.findByUsername(username);
+  if (!user) {
+    unknownUserHash ??= await hashPassword(randomBytes(16).toString("hex"));
+    await verifyPassword(password, unknownUserHash);
+    return null;
+  }
+  return await verifyPassword(password, user.passwordHash) ? user : null;
+}
+
+/**
+ * Builds the `Set-Cookie` header for a session. The cookie is only sent over HTTPS when the request came over HTTPS.
+ * @param {Object} req - The request.
+ * @param {string} token - The session token, or an empty string to clear the cookie.
+ * @param {number} maxAge - How long the cookie lasts, in seconds.
+ * @returns {string} The header value.
+ */
+export const serializeSessionCookie = (req, token, maxAge) => {
+  const secure = req.headers["x-forwarded-proto"] === "https" || Boolean(req.socket?.encrypted);
+  return `${sessionCookieName}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.max(0, Math.floor(maxAge))}${secure ? "; Secure" : ""}`;
+}
+
+/**
+ * Gets the user signed in with a request's session cookie.
+ * @param {Object} req - The request, from an API route or `getServerSideProps`.
+ * @returns {Promise<Object | null>} The stored user, or `null` if nobody is signed in.
+ */
+export const getSessionUser = async (req) => {
+  const token = req.cookies?.[sessionCookieName];
+  if (!token) return null;
+  const session = await sessionRepository.get(token);
+  return session ? await userRepository.get(session.userId) : null;
+}
+
+/**
+ * Gets the signed in user of an API request, responding with a 401 if nobody is signed in,
+ * or a 403 if the route is for pricing admins and the user isn't one.
+ * @param {Object} req - The request.
+ * @param {Object} res - The response.
+ * @param {Object} [options]
+ * @param {boolean} [options.admin] - Whether only pricing admins can use the route.
+ * @returns {Promise<Object | null>} The stored user, or `null` if the response has been sent.
+ */
+export const requireUser = async (req, res, { admin = false } = {}) => {
+  const user = await getSessionUser(req);
+  if (!user) {
+    res.status(401).json({ error: 'You must be signed in.' });
+    return null;
+  }
+  if (admin && !isPricingAdmin(user)) {
+    res.status(403).json({ error: 'Only pricing admins can do that.' });
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Sends a page's visitor to the sign in page, returning them to the page once they have signed in.
+ * @param {string} path - The path of the page, e.g. `resolvedUrl` in `getServerSideProps`.
+ * @returns {{ redirect: Object }} The redirect, for `getServerSideProps`.
+ */
+export const redirectToSignIn = (path) => ({
+  redirect: { destination: `/login?next=${encodeURIComponent(path)}`, permanent: false }
+});
+
+// Any origin works for reading return paths, they are only kept when they stay on it.
+const returnPathBase = "http://localhost";
+
+/**
+ * Gets the page to return to after signing in. Only paths on this site are allowed, so the link can't send users
+ * elsewhere. The path is read the way browsers read it, which treats backslashes as slashes and drops tabs and line
+ * breaks, so paths like "/\evil.example" that browsers take as another site are refused.
+ * @param {*} next - The 'next' query parameter.
+ * @returns {string} The path to return to, or "/" if it isn't a path on this site.
+ */
+export const getReturnPath = (next) => {
+  if (typeof next !== 'string' || !next.startsWith('/')) return '/';
+  try {
+    const url = new URL(next, returnPathBase);
+    const path = `${url.pathname}${url.search}${url.hash}`;
+    return url.origin === returnPathBase && !path.startsWith('//') ? path : '/';
+  } catch {
+    return '/';
+  }
+}
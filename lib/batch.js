@@ -0,0 +1,128 @@
+import { parseCsvRecords } from "@/lib/csv";
+import { normalizeLocation } from "@/lib/distanceCache";
+import { getLegDistance, priceQuote } from "@/lib/pricing";
+
+// The most rows that can be priced in one batch, and how many distance lookups a batch makes at once.
+export const maximumBatchRows = parseInt(process.env.BATCH_MAX_ROWS || 200);
+const distanceConcurrency = parseInt(process.env.BATCH_DISTANCE_CONCURRENCY || 4);
+
+// The columns a batch CSV needs. `stops`, `accessorials`, `customerId`, `currency`, `weightUnit`, `distanceUnit`
+// and `businessDaysOnly` are optional.
+export const requiredCsvColumns = ["origin", "destination", "equipmentType", "weight", "pickupDate"];
+
+/**
+ * Creates a limiter that runs at most a number of tasks at once, queueing the rest.
+ * @param {number} concurrency - How many tasks can run at once.
+ * @returns {Function} Runs an async task when there is room, and resolves with its result.
+ */
+export const createLimiter = (concurrency) => {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Creates a distance lookup for one batch. Legs that repeat across rows are only looked up once,
+ * and the lookups are limited so a large batch doesn't flood the distance providers.
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - How many lookups can run at once.
+ * @param {Function} [options.lookup] - Gets the distance of a leg, defaults to `getLegDistance`.
+ * @returns {Function} Gets the distance of a leg, with the same signature as `getLegDistance`.
+ */
+export const createBatchDistanceLookup = ({ concurrency = distanceConcurrency, lookup = getLegDistance } = {}) => {
+  const limit = createLimiter(concurrency);
+  const lookups = new Map();
+  return (origin, destination) => {
+    const key = `${normalizeLocation(origin)}|${normalizeLocation(destination)}`;
+    if (!lookups.has(key)) lookups.set(key, limit(() => lookup(origin, destination)));
+    return lookups.get(key);
+  };
+}
+
+/**
+ * Turns a row of a batch CSV into a quote request. Intermediate stops are separated by "|", and accessorials
+ * by ";" with hours after a ":" (e.g. "liftgate;detention:2").
+ * @param {Object} record - The row, keyed by column name.
+ * @returns {{ request: Object } | { error: string }} The quote request, or the problem with the row.
+ */
+export const csvRecordToRequest = (record) => {
+  const split = (value, separator) => (value || "").split(separator).map(part => part.trim()).filter(Boolean);
+  const weight = Number(record.weight);
+  if (record.weight && !Number.isFinite(weight)) return { error: 'Weight must be a number.' };
+
+  const accessorials = [];
+  for (const accessorial of split(record.accessorials, ";")) {
+    const [code, hours] = accessorial.split(":").map(part => part.trim());
+    if (hours !== undefined && !Number.isFinite(Number(hours))) return { error: `Accessorial ${code} has invalid hours.` };
+    accessorials.push(hours === undefined ? { code } : { code, quantity: Number(hours) });
+  }
+
+  return {
+    request: {
+      stops: [record.origin, ...split(record.stops, "|"), record.destination],
+      equipmentType: record.equipmentType,
+      weight: record.weight ? weight : undefined,
+      pickupDate: record.pickupDate,
+      customerId: record.customerId || undefined,
+      currency: record.currency || undefined,
+      weightUnit: record.weightUnit || undefined,
+      distanceUnit: record.distanceUnit || undefined,
+      businessDaysOnly: ["true", "yes", "1"].includes((record.businessDaysOnly || "").toLowerCase()),
+      accessorials
+    }
+  };
+}
+
+/**
+ * Reads the quote requests of a batch CSV.
+ * @param {string} text - The CSV text, with a header row.
+ * @returns {{ rows: Object[] } | { error: string }} A result from `csvRecordToRequest` for every row,
+ * or the problem with the file.
+ */
+export const parseBatchCsv = (text) => {
+  const records = parseCsvRecords(text);
+  if (records.length === 0) return { error: 'The CSV file has no rows.' };
+  const missing = requiredCsvColumns.filter(column => !Object.hasOwn(records[0], column));
+  if (missing.length > 0) return { error: `The CSV file is missing the columns ${missing.join(", ")}.` };
+  return { rows: records.map(csvRecordToRequest) };
+}
+
+/**
+ * Prices a batch of quote requests. Every row is priced on its own, so one bad row doesn't fail the batch.
+ * @param {Array<{ request: Object } | { error: string }>} rows - The rows, each with a quote request or the
+ * problem found while reading it.
+ * @param {Object} [options]
+ * @param {Function} [options.lookupDistance] - Gets the distance of a leg, defaults to `createBatchDistanceLookup()`.
+ * @returns {Promise<Object[]>} For every row, its number (starting at 1) and either the priced `quote`, or the
+ * `status` and `error` of why it couldn't be priced along with its `request`, and the `code` and field `errors`
+ * from `priceQuote` when it was priced.
+ */
+export const priceBatch = async (rows, { lookupDistance = createBatchDistanceLookup() } = {}) =>
+  Promise.all(rows.map(async ({ request, error: rowError }, index) => {
+    const row = index + 1;
+    if (rowError) return { row, status: 400, error: rowError, request: null };
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      return { row, status: 400, error: 'Quote request must be an object.', request: null };
+    }
+    try {
+      const { quote, status, error, code, errors } = await priceQuote(request, { lookupDistance });
+      return error ? { row, status, error, code, errors, request } : { row, quote };
+    } catch (error) {
+      console.error(error);
+      return { row, status: 500, error: 'Failed to price quote. Server returned an error.', request };
+    }
+  }));
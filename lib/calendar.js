@@ -0,0 +1,87 @@
+import fs from "fs";
+import path from "path";
+
+// File holding the holidays that trucks don't pick up or deliver on.
+const holidaysFile = process.env.HOLIDAYS_FILE || path.join(process.cwd(), "config", "holidays.json");
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks that a value is a date as "YYYY-MM-DD", on a day that exists. `Date.parse` rolls days like "2026-02-31" over
+ * into the next month, so the date has to come back the same from a UTC date built from its parts.
+ * @param {*} value - The value to check.
+ * @returns {boolean} Whether the value is a valid date.
+ */
+export const isDateString = (value) => {
+  if (typeof value !== "string" || !datePattern.test(value)) return false;
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCFullYear(year);
+  return date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Adds days to a date. Dates are calendar days, so they are handled in UTC to avoid time zone shifts.
+ * @param {string} date - The date, as "YYYY-MM-DD".
+ * @param {number} days - How many days to add, can be negative.
+ * @returns {string} The new date, as "YYYY-MM-DD".
+ */
+export const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Checks if a date is a Saturday or a Sunday.
+ * @param {string} date - The date, as "YYYY-MM-DD".
+ * @returns {boolean} Whether the date is on a weekend.
+ */
+export const isWeekend = (date) => [0, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+
+// The days of the week, in the order `Date.getUTCDay` numbers them.
+export const weekdays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/**
+ * Gets the day of the week of a date.
+ * @param {string} date - The date, as "YYYY-MM-DD".
+ * @returns {string} The lowercase name of the day, e.g. "saturday".
+ */
+export const getWeekday = (date) => weekdays[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Counts the calendar days from one date to another.
+ * @param {string} from - The first date, as "YYYY-MM-DD".
+ * @param {string} to - The second date, as "YYYY-MM-DD".
+ * @returns {number} The number of days, negative if `to` is before `from`.
+ */
+export const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+
+/**
+ * Checks that the holiday calendar only has valid, named dates.
+ * @param {Object} config - The parsed holidays file.
+ * @returns {string[]} The problems found with the holidays, empty if they are valid.
+ */
+export const validateHolidays = (config) => {
+  if (!config || !Array.isArray(config.holidays)) return ["holidays must be an array"];
+  const problems = [];
+  config.holidays.forEach(({ date, name } = {}, index) => {
+    if (!isDateString(date)) problems.push(`holidays[${index}].date must be a date as YYYY-MM-DD`);
+    if (typeof name !== "string" || name.length === 0) problems.push(`holidays[${index}].name must be a non-empty string`);
+  });
+  return problems;
+}
+
+/**
+ * Reads and validates the holiday calendar, throwing if it is invalid. A missing file means there are no holidays.
+ * @returns {Map<string, string>} The name of every holiday, keyed by its date.
+ */
+export const loadHolidays = () => {
+  if (!fs.existsSync(holidaysFile)) return new Map();
+  const config = JSON.parse(fs.readFileSync(holidaysFile, "utf8"));
+  const problems = validateHolidays(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid holidays: ${problems.join(", ")}.`);
+  }
+  return new Map(config.holidays.map(({ date, name }) => [date, name]));
+}
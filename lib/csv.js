@@ -0,0 +1,78 @@
+// Reading and writing CSV files (RFC 4180). This module has no server dependencies, so the UI uses it too.
+
+/**
+ * Parses CSV text into rows of fields. Quoted fields can hold commas, quotes ("") and line breaks.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows, without blank lines.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      // Treats "\r\n" as a single line break.
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ""));
+}
+
+/**
+ * Parses CSV text with a header row into objects, keyed by the header names.
+ * @param {string} text - The CSV text.
+ * @returns {Object[]} An object for every row after the header.
+ */
+export const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(key => key.trim());
+  return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, (row[index] ?? "").trim()])));
+}
+
+// Spreadsheets run fields that start with these characters as formulas.
+const formulaPattern = /^[=+\-@\t\r]/;
+const numberPattern = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Writes objects as CSV text, with a header row. Fields that a spreadsheet would run as a formula, like addresses
+ * starting with "=", are written with a leading "'" so they stay text. Negative numbers are left as they are.
+ * @param {Object[]} records - The objects to write.
+ * @param {string[]} columns - The keys to write, in order, which are also the header.
+ * @returns {string} The CSV text.
+ */
+export const toCsv = (records, columns) => {
+  const escape = (value) => {
+    const raw = value == null ? "" : String(value);
+    const text = formulaPattern.test(raw) && !numberPattern.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(row => row.map(escape).join(","))
+    .join("\r\n");
+}
@@ -0,0 +1,151 @@
+import { createFileStore, createMemoryStore, dataPath } from "@/lib/store";
+
+// The most saved locations a customer can have.
+export const maximumCustomerLocations = 20;
+
+const idPattern = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isOptionalString = (value) => value == null || typeof value === 'string';
+
+/**
+ * Turns a customer's name into an id, e.g. "ACME Logistics" becomes "acme-logistics".
+ * @param {string} name - The name of the customer.
+ * @returns {string} The id.
+ */
+export const toCustomerId = (name) => name.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+  .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40);
+
+/**
+ * Checks the details of a new customer, or the changes to an existing one.
+ * @param {Object} details - The customer's `name`, `contact`, `billing`, `defaultEquipment` and `locations`.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Whether missing details are allowed, for changes.
+ * @param {Object} [options.equipment] - The equipment of the rate table, keyed by type, that `defaultEquipment` must be one of.
+ * @returns {string | null} The problem with the details, or `null` if they are valid.
+ */
+export const validateCustomer = ({ name, contact, billing, defaultEquipment, locations }, { partial = false, equipment = {} } = {}) => {
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Customer name is required.';
+  }
+  if (contact != null) {
+    if (typeof contact !== 'object' || !['name', 'email', 'phone'].every(key => isOptionalString(contact[key]))) {
+      return 'Contact must have a name, email and phone as text.';
+    }
+    if (contact.email && !emailPattern.test(contact.email)) return `Invalid contact email ${contact.email}.`;
+  }
+  if (billing != null) {
+    if (typeof billing !== 'object' || !['address', 'email', 'terms'].every(key => isOptionalString(billing[key]))) {
+      return 'Billing must have an address, email and terms as text.';
+    }
+    if (billing.email && !emailPattern.test(billing.email)) return `Invalid billing email ${billing.email}.`;
+  }
+  if (defaultEquipment != null && !Object.hasOwn(equipment, defaultEquipment)) {
+    return `Unknown equipment type ${defaultEquipment}.`;
+  }
+  if (locations != null) {
+    if (!Array.isArray(locations)) return 'Locations must be an array.';
+    if (locations.length > maximumCustomerLocations) return `A customer can have at most ${maximumCustomerLocations} locations.`;
+    if (locations.some(location => !location || typeof location.address !== 'string' || !location.address.trim() || !isOptionalString(location.label))) {
+      return 'Every location needs an address.';
+    }
+  }
+  return null;
+}
+
+/**
+ * Keeps the known details of a customer, trimming their text.
+ * @param {Object} details - The details, checked with `validateCustomer`.
+ * @returns {Object} The details to store, only with the values that were given.
+ */
+const pickCustomerDetails = ({ name, contact, billing, defaultEquipment, locations }) => {
+  const trimmed = (object, keys) => Object.fromEntries(keys.map(key => [key, (object[key] || "").trim()]));
+  return {
+    ...(name !== undefined && { name: name.trim() }),
+    ...(contact !== undefined && { contact: contact && trimmed(contact, ['name', 'email', 'phone']) }),
+    ...(billing !== undefined && { billing: billing && trimmed(billing, ['address', 'email', 'terms']) }),
+    ...(defaultEquipment !== undefined && { defaultEquipment: defaultEquipment || null }),
+    ...(locations !== undefined && {
+      locations: (locations || []).map(({ label, address }) => ({ label: (label || "").trim(), address: address.trim() }))
+    })
+  };
+}
+
+/**
+ * Creates the repository of customers that quotes are made for. A customer's id is the `customerId` on quotes
+ * and contract lane rates.
+ * @param {Object} store - Where the customers are kept, from `lib/store`.
+ * @returns {Object} The repository, with async `list`, `get`, `create`, `update` and `delete` methods.
+ */
+export const createCustomerRepository = (store) => ({
+  /**
+   * Gets every customer.
+   * @returns {Promise<Object[]>} The customers, sorted by name.
+   */
+  list: async () => (await store.entries()).map(([, customer]) => customer).sort((a, b) => a.name.localeCompare(b.name)),
+
+  /**
+   * Gets a customer.
+   * @param {string} id - The id of the customer.
+   * @returns {Promise<Object | null>} The customer, or `null` if they don't exist.
+   */
+  get: async (id) => (await store.get(id)) || null,
+
+  /**
+   * Creates a customer. The id is made from their name when one isn't given.
+   * @param {Object} details - The customer's optional `id`, and the details checked with `validateCustomer`.
+   * @returns {Promise<{ customer: Object } | { status: number, error: string }>} The saved customer, or why it couldn't
+   * be saved along with the HTTP status that describes it.
+   */
+  create: async ({ id, ...details }) => {
+    const customerId = id ?? toCustomerId(details.name);
+    if (typeof customerId !== 'string' || !idPattern.test(customerId)) {
+      return { status: 400, error: 'Customer id must be 2 to 40 lowercase letters, numbers or dashes.' };
+    }
+    if (await store.get(customerId)) return { status: 409, error: `A customer with the id ${customerId} already exists.` };
+    const customer = {
+      id: customerId,
+      name: details.name.trim(),
+      contact: null,
+      billing: null,
+      defaultEquipment: null,
+      locations: [],
+      ...pickCustomerDetails(details),
+      createdAt: new Date().getTime()
+    };
+    await store.set(customerId, customer);
+    return { customer };
+  },
+
+  /**
+   * Changes the details of a customer.
+   * @param {string} id - The id of the customer.
+   * @param {Object} changes - The details to change, checked with `validateCustomer`.
+   * @returns {Promise<Object | null>} The updated customer, or `null` if they don't exist.
+   */
+  update: async (id, changes) => {
+    const stored = await store.get(id);
+    if (!stored) return null;
+    const updated = { ...stored, ...pickCustomerDetails(changes), id };
+    await store.set(id, updated);
+    return updated;
+  },
+
+  /**
+   * Deletes a customer. Their quotes keep the customer's id and name.
+   * @param {string} id - The id of the customer.
+   * @returns {Promise<boolean>} Whether the customer existed.
+   */
+  delete: async (id) => {
+    if (!(await store.get(id))) return false;
+    await store.delete(id);
+    return true;
+  }
+});
+
+// The repository used by the API, set `CUSTOMER_STORE` to "memory" to keep customers in memory instead of a file.
+export const customerRepository = createCustomerRepository(
+  process.env.CUSTOMER_STORE === "memory"
+    ? createMemoryStore("customers")
+    : createFileStore(process.env.CUSTOMER_STORE_FILE || dataPath("customers.json"))
+);
@@ -0,0 +1,122 @@
+import fs from "fs";
+import path from "path";
+import { addDays, daysBetween, getWeekday, weekdays } from "@/lib/calendar";
+
+// File holding the surcharges for short-notice, weekend and holiday pickups.
+const dateSurchargesFile = process.env.DATE_SURCHARGES_FILE || path.join(process.cwd(), "config", "date-surcharges.json");
+
+const adjustmentTypes = ["percent", "flat"];
+
+/**
+ * Checks that an adjustment has a label, a type and an amount. Negative amounts are discounts.
+ * @param {Object} adjustment - The adjustment to check.
+ * @param {string} name - The name of the adjustment, used in the problems.
+ * @returns {string[]} The problems found with the adjustment.
+ */
+const validateAdjustment = (adjustment, name) => {
+  if (!adjustment || typeof adjustment !== "object") return [`${name} must be an object`];
+  const problems = [];
+  if (typeof adjustment.label !== "string" || adjustment.label.length === 0) problems.push(`${name}.label must be a non-empty string`);
+  if (!adjustmentTypes.includes(adjustment.type)) problems.push(`${name}.type must be one of ${adjustmentTypes.join(", ")}`);
+  if (!Number.isFinite(adjustment.amount)) problems.push(`${name}.amount must be a number`);
+  return problems;
+}
+
+/**
+ * Checks that the date surcharges are valid. Every section is optional.
+ * @param {Object} config - The parsed date surcharges file.
+ * @returns {string[]} The problems found with the date surcharges, empty if they are valid.
+ */
+export const validateDateSurcharges = (config) => {
+  if (!config || typeof config !== "object") return ["date surcharges must be an object"];
+  const problems = [];
+  const { leadTime = [], dayOfWeek = {}, holiday, nearHoliday } = config;
+
+  if (!Array.isArray(leadTime)) problems.push("leadTime must be an array");
+  else leadTime.forEach((band, index) => {
+    problems.push(...validateAdjustment(band, `leadTime[${index}]`));
+    if (band && !(Number.isInteger(band.maxDaysAhead) && band.maxDaysAhead >= 0)) {
+      problems.push(`leadTime[${index}].maxDaysAhead must be a non-negative integer`);
+    }
+  });
+
+  if (!dayOfWeek || typeof dayOfWeek !== "object") problems.push("dayOfWeek must be an object");
+  else for (const [day, adjustment] of Object.entries(dayOfWeek)) {
+    if (!weekdays.includes(day)) problems.push(`dayOfWeek.${day} must be a day of the week`);
+    problems.push(...validateAdjustment(adjustment, `dayOfWeek.${day}`));
+  }
+
+  if (holiday != null) problems.push(...validateAdjustment(holiday, "holiday"));
+  if (nearHoliday != null) {
+    problems.push(...validateAdjustment(nearHoliday, "nearHoliday"));
+    if (!(Number.isInteger(nearHoliday.days) && nearHoliday.days > 0)) problems.push("nearHoliday.days must be a positive integer");
+  }
+  return problems;
+}
+
+/**
+ * Reads and validates the date surcharges, throwing if they are invalid. A missing file means the pickup date
+ * doesn't affect the price.
+ * @returns {Object | null} The date surcharges, or `null` if there aren't any.
+ */
+export const loadDateSurcharges = () => {
+  if (!fs.existsSync(dateSurchargesFile)) return null;
+  const config = JSON.parse(fs.readFileSync(dateSurchargesFile, "utf8"));
+  const problems = validateDateSurcharges(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid date surcharges: ${problems.join(", ")}.`);
+  }
+  return config;
+}
+
+/**
+ * Finds the holiday closest to a date within a number of days, not counting the date itself.
+ * @param {string} date - The date, as "YYYY-MM-DD".
+ * @param {number} days - How many days before and after the date to look.
+ * @param {Map<string, string>} holidays - The holidays, from `loadHolidays`.
+ * @returns {string | null} The name of the holiday, or `null` if there isn't one.
+ */
+const findNearbyHoliday = (date, days, holidays) => {
+  for (let offset = 1; offset <= days; offset++) {
+    const nearby = [addDays(date, -offset), addDays(date, offset)].find(day => holidays.has(day));
+    if (nearby) return holidays.get(nearby);
+  }
+  return null;
+}
+
+/**
+ * Gets the date-based adjustments that apply to a pickup date. At most one lead time band applies (the tightest
+ * one the pickup falls in), along with the adjustment for its day of the week, and either the holiday adjustment
+ * or the adjustment for picking up near a holiday.
+ * @param {Object | null} dateSurcharges - The date surcharges, from `loadDateSurcharges`.
+ * @param {Object} pickup
+ * @param {string} pickup.pickupDate - The pickup date, as "YYYY-MM-DD".
+ * @param {string} pickup.today - The date the quote is made on, as "YYYY-MM-DD".
+ * @param {Map<string, string>} pickup.holidays - The holidays, from `loadHolidays`.
+ * @returns {Object[]} The adjustments, each with a `code`, `label`, `type` ('percent' or 'flat') and `rate`.
+ */
+export const getDateAdjustments = (dateSurcharges, { pickupDate, today, holidays }) => {
+  if (!dateSurcharges) return [];
+  const { leadTime = [], dayOfWeek = {}, holiday, nearHoliday } = dateSurcharges;
+  const adjustments = [];
+  const add = (code, { label, type, amount }, detail) => {
+    adjustments.push({ code, label: detail ? `${label}: ${detail}` : label, type, rate: amount });
+  };
+
+  const daysAhead = daysBetween(today, pickupDate);
+  const leadTimeBand = leadTime
+    .filter(band => daysAhead <= band.maxDaysAhead)
+    .sort((a, b) => a.maxDaysAhead - b.maxDaysAhead)[0];
+  if (leadTimeBand) add("lead_time", leadTimeBand);
+
+  const weekday = getWeekday(pickupDate);
+  if (Object.hasOwn(dayOfWeek, weekday)) add("day_of_week", dayOfWeek[weekday]);
+
+  if (holiday && holidays.has(pickupDate)) {
+    add("holiday", holiday, holidays.get(pickupDate));
+  } else if (nearHoliday) {
+    const nearby = findNearbyHoliday(pickupDate, nearHoliday.days, holidays);
+    if (nearby) add("near_holiday", nearHoliday, nearby);
+  }
+  return adjustments;
+}
@@ -0,0 +1,92 @@
+import { createFileStore, createMemoryStore, dataPath } from "@/lib/store";
+
+const hour = 60 * 60 * 1000;
+
+/**
+ * Normalizes a location so the same place always maps to the same cache key.
+ * @param {string} location - The location, as entered or selected by the user.
+ * @returns {string} The normalized location.
+ */
+export const normalizeLocation = (location) => location.trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Creates a cache of route distances, with expiring entries and a maximum size.
+ * @param {Object} options
+ * @param {Object} options.store - Where the entries are kept, from `lib/store`.
+ * @param {number} options.ttl - How long an entry is valid for, in milliseconds.
+ * @param {number} options.maxEntries - How many entries to keep before the oldest ones are evicted.
+ * @returns {Object} The cache, with async `get`, `set` and `forget` methods.
+ */
+export const createDistanceCache = ({ store, ttl, maxEntries }) => {
+  const toKey = (origin, destination) => `${normalizeLocation(origin)}|${normalizeLocation(destination)}`;
+  const isExpired = (entry) => Date.now() - entry.storedAt > ttl;
+
+  /**
+   * Removes expired entries, then the oldest ones until the cache is within its size limit.
+   */
+  const evict = async () => {
+    const entries = await store.entries();
+    const live = [];
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) await store.delete(key);
+      else live.push([key, entry]);
+    }
+    live.sort((a, b) => a[1].storedAt - b[1].storedAt);
+    for (const [key] of live.slice(0, Math.max(0, live.length - maxEntries))) {
+      await store.delete(key);
+    }
+  };
+
+  return {
+    /**
+     * Gets the cached distance of a route.
+     * @param {string} origin - The origin of the trip.
+     * @param {string} destination - The destination for the trip.
+     * @returns {Promise<{ distance: number, provider: string } | null>} The distance in kms and the provider
+     * that produced it, or `null` if it isn't cached or has expired.
+     */
+    get: async (origin, destination) => {
+      const key = toKey(origin, destination);
+      const entry = await store.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        await store.delete(key);
+        return null;
+      }
+      return { distance: entry.distance, provider: entry.provider };
+    },
+
+    /**
+     * Caches the distance of a route, in both directions.
+     * @param {string} origin - The origin of the trip.
+     * @param {string} destination - The destination for the trip.
+     * @param {{ distance: number, provider: string }} route - The distance between them in kms, and the provider that produced it.
+     */
+    set: async (origin, destination, { distance, provider }) => {
+      const entry = { distance, provider, storedAt: Date.now() };
+      await store.set(toKey(origin, destination), entry);
+      await store.set(toKey(destination, origin), entry);
+      await evict();
+    },
+
+    /**
+     * Removes the cached distances of every route to or from a location, for when its coordinates change.
+     * @param {string} location - The location.
+     */
+    forget: async (location) => {
+      const normalized = normalizeLocation(location);
+      for (const [key] of await store.entries()) {
+        if (key.split("|").includes(normalized)) await store.delete(key);
+      }
+    }
+  };
+}
+
+// The cache used by the API, configured through environment variables.
+export const distanceCache = createDistanceCache({
+  store: process.env.DISTANCE_CACHE_STORE === "file"
+    ? createFileStore(process.env.DISTANCE_CACHE_FILE || dataPath("distance-cache.json"))
+    : createMemoryStore("distance-cache"),
+  ttl: parseFloat(process.env.DISTANCE_CACHE_TTL_HOURS || 720) * hour,
+  maxEntries: parseInt(process.env.DISTANCE_CACHE_MAX_ENTRIES || 5000)
+});
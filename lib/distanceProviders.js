@@ -0,0 +1,127 @@
+import { geocode } from "@/lib/geocoder";
+
+// A distance provider has a `name`, and a `getDistance(origin, destination)` method that resolves to the
+// driving distance in kms, or `null` if there is no drivable route. Providers throw when they can't answer,
+// so that the next provider can be tried. Providers that only approximate the distance are marked `estimated`.
+
+const earthRadiusKm = 6371;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Creates a provider that uses Google's Distance Matrix.
+ * @param {Object} options
+ * @param {string} options.apiKey - The Google Maps API key.
+ * @param {number} [options.timeout] - How long to wait for Google, in milliseconds.
+ * @returns {Object} The distance provider.
+ */
+export const createGoogleProvider = ({ apiKey, timeout = 5000 }) => ({
+  name: "google",
+  getDistance: async (origin, destination) => {
+    if (!apiKey) throw new Error("Google distance provider has no API key.");
+    const url = `https://maps.googleapis.com/maps/api/distancematrix/json?destinations=${encodeURIComponent(destination)}&origins=${encodeURIComponent(origin)}&units=metric&key=${apiKey}`;
+    const data = await fetch(url, { signal: AbortSignal.timeout(timeout) }).then(res => res.json());
+    if (data.status !== "OK") throw new Error(`Distance Matrix failed with status ${data.status}.`);
+
+    // Checks if there is a valid route, returns null if there isn't.
+    const element = data.rows[0].elements[0];
+    if (element.status === "ZERO_RESULTS" || element.status === "NOT_FOUND") return null;
+    if (element.status !== "OK") throw new Error(`Distance Matrix route failed with status ${element.status}.`);
+    // API returns value in metres, change it to km, and return it.
+    return element.distance.value / 1000;
+  }
+});
+
+/**
+ * Creates a provider that estimates the driving distance from the great-circle distance, without any network access
+ * besides geocoding. The straight line distance is multiplied by a road factor, since roads are rarely straight.
+ * @param {Object} options
+ * @param {number} [options.roadFactor] - How much longer the road distance is than the straight line distance.
+ * @param {Function} [options.resolve] - Resolves a location to `{ lat, lng }` coordinates.
+ * @returns {Object} The distance provider.
+ */
+export const createHaversineProvider = ({ roadFactor = 1.25, resolve = geocode } = {}) => ({
+  name: "haversine",
+  estimated: true,
+  getDistance: async (origin, destination) => {
+    const [from, to] = await Promise.all([resolve(origin), resolve(destination)]);
+    // Like Google's NOT_FOUND, a location that isn't found has no route.
+    if (!from || !to) return null;
+
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * earthRadiusKm * Math.asin(Math.sqrt(a)) * roadFactor;
+  }
+});
+
+/**
+ * Creates a provider for a self-hosted router with an OSRM-compatible `/route/v1` API.
+ * @param {Object} options
+ * @param {string} options.url - The base URL of the router, e.g. "http://localhost:5000".
+ * @param {string} [options.profile] - The routing profile to use.
+ * @param {number} [options.timeout] - How long to wait for the router, in milliseconds.
+ * @param {Function} [options.resolve] - Resolves a location to `{ lat, lng }` coordinates.
+ * @returns {Object} The distance provider.
+ */
+export const createOsrmProvider = ({ url, profile = "driving", timeout = 5000, resolve = geocode }) => ({
+  name: "osrm",
+  getDistance: async (origin, destination) => {
+    if (!url) throw new Error("OSRM distance provider has no URL.");
+    const [from, to] = await Promise.all([resolve(origin), resolve(destination)]);
+    // Like Google's NOT_FOUND, a location that isn't found has no route.
+    if (!from || !to) return null;
+
+    // OSRM takes coordinates as longitude,latitude pairs.
+    const coordinates = `${from.lng},${from.lat};${to.lng},${to.lat}`;
+    const response = await fetch(`${url.replace(/\/$/, "")}/route/v1/${profile}/${coordinates}?overview=false`, {
+      signal: AbortSignal.timeout(timeout)
+    });
+    const data = await response.json();
+    if (data.code === "NoRoute") return null;
+    if (data.code !== "Ok") throw new Error(`OSRM route failed with code ${data.code}.`);
+    // API returns value in metres, change it to km, and return it.
+    return data.routes[0].distance / 1000;
+  }
+});
+
+/**
+ * Creates the providers named in `DISTANCE_PROVIDERS`, in the order they should be tried.
+ * @param {string} [names] - Comma separated provider names, defaults to "google,haversine".
+ * @returns {Object[]} The distance providers.
+ */
+export const getConfiguredProviders = (names = process.env.DISTANCE_PROVIDERS || "google,haversine") => {
+  const factories = {
+    google: () => createGoogleProvider({ apiKey: process.env.NEXT_PUBLIC_API_KEY }),
+    osrm: () => createOsrmProvider({ url: process.env.OSRM_URL, profile: process.env.OSRM_PROFILE }),
+    haversine: () => createHaversineProvider({ roadFactor: parseFloat(process.env.ROAD_FACTOR || 1.25) })
+  };
+
+  return names.split(",").map(name => name.trim()).filter(Boolean).map(name => {
+    if (!factories[name]) throw new Error(`Unknown distance provider ${name}.`);
+    return factories[name]();
+  });
+}
+
+/**
+ * Gets the distance of a route from the first provider that can answer, falling back to the next one on failure.
+ * @param {string} origin - The origin of the trip.
+ * @param {string} destination - The destination for the trip.
+ * @param {Object[]} [providers] - The providers to try, in order.
+ * @returns {Promise<{ distance: number | null, provider: string, estimated: boolean }>} The distance in kms,
+ * or `null` if there is not a drivable route, along with the provider that answered.
+ */
+export const getRouteDistance = async (origin, destination, providers = getConfiguredProviders()) => {
+  const failures = [];
+  for (const provider of providers) {
+    try {
+      const distance = await provider.getDistance(origin, destination);
+      return { distance, provider: provider.name, estimated: Boolean(provider.estimated) };
+    } catch (error) {
+      // Logs the failure, and moves on to the next provider.
+      console.error(`Distance provider ${provider.name} failed:`, error.message);
+      failures.push(`${provider.name}: ${error.message}`);
+    }
+  }
+  throw new Error(`All distance providers failed (${failures.join("; ")}).`);
+}
@@ -0,0 +1,40 @@
+import fs from "fs";
+import path from "path";
+
+// File holding the exchange rates from the rate tables' currency (CAD) to the currencies quotes can be presented in.
+const exchangeRatesFile = process.env.EXCHANGE_RATES_FILE || path.join(process.cwd(), "config", "exchange-rates.json");
+
+// The currency rate tables and lane rates are priced in.
+export const baseCurrency = "CAD";
+
+/**
+ * Checks that the exchange rates have a rate for the base currency and only valid rates.
+ * @param {Object} config - The parsed exchange rates file.
+ * @returns {string[]} The problems found with the exchange rates, empty if they are valid.
+ */
+export const validateExchangeRates = (config) => {
+  if (!config || !config.rates || typeof config.rates !== "object") return ["rates must be an object"];
+  const problems = [];
+  if (config.base !== baseCurrency) problems.push(`base must be ${baseCurrency}`);
+  if (config.rates[baseCurrency] !== 1) problems.push(`rates.${baseCurrency} must be 1`);
+  for (const [currency, rate] of Object.entries(config.rates)) {
+    if (!/^[A-Z]{3}$/.test(currency)) problems.push(`${currency} must be a three letter currency code`);
+    if (!(typeof rate === "number" && rate > 0)) problems.push(`rates.${currency} must be a positive number`);
+  }
+  return problems;
+}
+
+/**
+ * Reads and validates the exchange rates, throwing if they are invalid. A missing file means quotes can only
+ * be presented in the base currency.
+ * @returns {Object} How much of each currency one unit of the base currency buys, keyed by currency code.
+ */
+export const loadExchangeRates = () => {
+  if (!fs.existsSync(exchangeRatesFile)) return { [baseCurrency]: 1 };
+  const config = JSON.parse(fs.readFileSync(exchangeRatesFile, "utf8"));
+  const problems = validateExchangeRates(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid exchange rates: ${problems.join(", ")}.`);
+  }
+  return config.rates;
+}
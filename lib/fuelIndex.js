@@ -0,0 +1,91 @@
+import fs from "fs";
+import path from "path";
+
+// File holding the dated diesel price series, and the surcharge schedule that maps prices to fuel surcharges.
+const fuelIndexFile = process.env.FUEL_INDEX_FILE || path.join(process.cwd(), "config", "fuel-index.json");
+
+const surchargeTypes = ["percent", "perKm"];
+const weightClasses = ["belowThreshold", "atOrAboveThreshold"];
+
+/**
+ * Checks that the fuel index has a valid price series, and a schedule for both weight classes.
+ * @param {Object} config - The parsed fuel index file.
+ * @returns {string[]} The problems found with the fuel index, empty if it is valid.
+ */
+export const validateFuelIndex = (config) => {
+  if (!config || typeof config !== "object") return ["fuel index must be an object"];
+  const problems = [];
+  if (typeof config.unit !== "string" || config.unit.length === 0) problems.push("unit must be a non-empty string");
+
+  if (!Array.isArray(config.prices) || config.prices.length === 0) problems.push("prices must be a non-empty array");
+  (config.prices || []).forEach(({ date, price } = {}, index) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) problems.push(`prices[${index}].date must be a date as YYYY-MM-DD`);
+    if (!(typeof price === "number" && price > 0)) problems.push(`prices[${index}].price must be a positive number`);
+  });
+
+  for (const weightClass of weightClasses) {
+    const bands = config.schedule && config.schedule[weightClass];
+    const name = `schedule.${weightClass}`;
+    if (!Array.isArray(bands) || bands.length === 0) {
+      problems.push(`${name} must be a non-empty array`);
+      continue;
+    }
+    if (!bands.some(band => band.minPrice === 0)) problems.push(`${name} must have a band starting at a minPrice of 0`);
+    bands.forEach(({ minPrice, type, amount } = {}, index) => {
+      if (!(typeof minPrice === "number" && minPrice >= 0)) problems.push(`${name}[${index}].minPrice must be a non-negative number`);
+      if (!surchargeTypes.includes(type)) problems.push(`${name}[${index}].type must be one of ${surchargeTypes.join(", ")}`);
+      if (!(typeof amount === "number" && amount >= 0)) problems.push(`${name}[${index}].amount must be a non-negative number`);
+    });
+  }
+  return problems;
+}
+
+/**
+ * Reads and validates the fuel index, throwing if it is invalid. Without a fuel index file, the fuel surcharge
+ * comes from the rate table's fixed percentages.
+ * @returns {Object | null} The fuel index, with its prices sorted by date, or `null` if there isn't one.
+ */
+export const loadFuelIndex = () => {
+  if (!fs.existsSync(fuelIndexFile)) return null;
+  const config = JSON.parse(fs.readFileSync(fuelIndexFile, "utf8"));
+  const problems = validateFuelIndex(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid fuel index: ${problems.join(", ")}.`);
+  }
+  return { ...config, prices: [...config.prices].sort((a, b) => a.date.localeCompare(b.date)) };
+}
+
+/**
+ * Gets the diesel price in effect on a date: the latest price published on or before it.
+ * @param {Object[]} prices - The price series, sorted by date.
+ * @param {string} date - The date, as "YYYY-MM-DD".
+ * @returns {{ date: string, price: number } | null} The price and the date it was published, or `null` if
+ * the date is before the series starts.
+ */
+export const getDieselPrice = (prices, date) => prices.findLast(entry => entry.date <= date) || null;
+
+/**
+ * Finds the band of a surcharge schedule that a diesel price falls in, the one with the highest minimum price
+ * at or below it.
+ * @param {Object[]} bands - The schedule's bands, each with a `minPrice`, a `type` and an `amount`.
+ * @param {number} price - The diesel price.
+ * @returns {Object} The band that applies.
+ */
+export const findSurchargeBand = (bands, price) => bands
+  .filter(band => band.minPrice <= price)
+  .reduce((best, band) => band.minPrice > best.minPrice ? band : best);
+
+/**
+ * Gets the fuel surcharge that applies on a pickup date.
+ * @param {Object | null} fuelIndex - The fuel index, from `loadFuelIndex`.
+ * @param {string} pickupDate - The pickup date of the quote, as "YYYY-MM-DD".
+ * @param {string} weightClass - The weight class of the load ('belowThreshold' or 'atOrAboveThreshold').
+ * @returns {Object | null} The `date`, `price` and `unit` of the index value used, and the `type` ('percent' or 'perKm')
+ * and `amount` of the surcharge, or `null` if the index doesn't cover the date.
+ */
+export const getFuelSurcharge = (fuelIndex, pickupDate, weightClass) => {
+  const dieselPrice = fuelIndex && getDieselPrice(fuelIndex.prices, pickupDate);
+  if (!dieselPrice) return null;
+  const { type, amount } = findSurchargeBand(fuelIndex.schedule[weightClass], dieselPrice.price);
+  return { ...dieselPrice, unit: fuelIndex.unit, type, amount };
+}
@@ -0,0 +1,49 @@
+import { addressBook } from "@/lib/addressBook";
+import { resolveLocalPlace } from "@/lib/localGeocoder";
+
+// Matches locations that are already coordinates, e.g. "43.6532,-79.3832".
+const coordinatePattern = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+/**
+ * Parses a location that is written as "latitude,longitude".
+ * @param {string} location - The location to parse.
+ * @returns {{ lat: number, lng: number } | null} The coordinates, or `null` if the location isn't coordinates.
+ */
+export const parseCoordinates = (location) => {
+  const match = coordinatePattern.exec(location);
+  if (!match) return null;
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+/**
+ * Gets the coordinates of a location using Google's Geocoding API.
+ * @param {string} location - The address of the location.
+ * @returns {Promise<{ lat: number, lng: number } | null>} The coordinates, or `null` if the location wasn't found.
+ */
+const googleGeocode = async (location) => {
+  const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(location)}&key=${process.env.NEXT_PUBLIC_API_KEY}`;
+  const data = await fetch(url, { signal: AbortSignal.timeout(5000) }).then(res => res.json());
+  if (data.status === "ZERO_RESULTS") return null;
+  if (data.status !== "OK") throw new Error(`Geocoding failed with status ${data.status}.`);
+  return data.results[0].geometry.location;
+}
+
+/**
+ * Resolves a location to coordinates, trying each source in turn: the coordinates in the location itself, the saved
+ * location with its address, the bundled places of the local geocoder, and then Google's Geocoding API when there is an API key.
+ * @param {string} location - The location to resolve.
+ * @returns {Promise<{ lat: number, lng: number } | null>} The coordinates, or `null` if the location wasn't found.
+ */
+export const geocode = async (location) => {
+  const coordinates = parseCoordinates(location);
+  if (coordinates) return coordinates;
+  const saved = await addressBook.locations.findByAddress(location);
+  if (saved) return { lat: saved.lat, lng: saved.lng };
+  const place = resolveLocalPlace(location);
+  if (place) return { lat: place.lat, lng: place.lng };
+  if (!process.env.NEXT_PUBLIC_API_KEY) return null;
+  return await googleGeocode(location);
+}
@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+
+// File holding the negotiated lane rates, for every customer and for specific lanes.
+const laneRatesFile = process.env.LANE_RATES_FILE || path.join(process.cwd(), "config", "lane-rates.json");
+
+const rateTypes = ["flat", "perKm"];
+const postalCodePattern = /^[A-Z]\d[A-Z] ?\d[A-Z]\d$|^\d{5}(-\d{4})?$/i;
+
+// Compares names without case or accents, so "Montreal" matches "Montréal".
+const normalizeName = (name) => name.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+/**
+ * Splits an address, as formatted by Google Places (e.g. "Toronto, ON M5V 2T6, Canada"), into the parts lanes match on.
+ * @param {string} address - The address to split.
+ * @returns {{ city: string, province: string, postalCode: string }} The parts, empty when they aren't in the address.
+ */
+export const parseAddress = (address) => {
+  const parts = address.split(",").map(part => part.trim());
+  // The province is the first part that starts with a two letter code, optionally followed by a postal code.
+  const index = parts.findIndex(part => /^[A-Z]{2}(\s|$)/.test(part));
+  if (index === -1) return { city: parts[0] || "", province: "", postalCode: "" };
+
+  const [province, ...rest] = parts[index].split(/\s+/);
+  const postalCode = rest.join(" ");
+  return {
+    city: index > 0 ? parts[index - 1] : "",
+    province,
+    postalCode: postalCodePattern.test(postalCode) ? postalCode.replace(/\s/g, "").toUpperCase() : ""
+  };
+}
+
+/**
+ * Checks if an address is inside a lane's region. Every field the region sets has to match.
+ * @param {Object} region - The region, with any of `city`, `province` and `postalPrefix`.
+ * @param {string} address - The address to check.
+ * @returns {boolean} Whether the address is in the region.
+ */
+export const matchesRegion = (region, address) => {
+  const { city, province, postalCode } = parseAddress(address);
+  if (region.city && normalizeName(region.city) !== normalizeName(city)) return false;
+  if (region.province && region.province.toUpperCase() !== province.toUpperCase()) return false;
+  if (region.postalPrefix && !postalCode.startsWith(region.postalPrefix.replace(/\s/g, "").toUpperCase())) return false;
+  return true;
+}
+
+/**
+ * Checks that the lane rates have every value the pricing logic depends on.
+ * @param {Object} config - The parsed lane rates file.
+ * @returns {string[]} The problems found with the lane rates, empty if they are valid.
+ */
+export const validateLaneRates = (config) => {
+  if (!config || !Array.isArray(config.lanes)) return ["lanes must be an array"];
+  const problems = [];
+  const isRegion = (region) => Boolean(region) && Boolean(region.city || region.province || region.postalPrefix);
+
+  config.lanes.forEach((lane, index) => {
+    const name = `lanes[${index}]`;
+    if (typeof lane.id !== "string" || lane.id.length === 0) problems.push(`${name}.id must be a non-empty string`);
+    if (lane.customerId != null && typeof lane.customerId !== "string") problems.push(`${name}.customerId must be a string`);
+    if (!isRegion(lane.origin)) problems.push(`${name}.origin must have a city, province or postalPrefix`);
+    if (!isRegion(lane.destination)) problems.push(`${name}.destination must have a city, province or postalPrefix`);
+    if (!lane.rate || !rateTypes.includes(lane.rate.type)) problems.push(`${name}.rate.type must be one of ${rateTypes.join(", ")}`);
+    if (!lane.rate || !(lane.rate.amount >= 0)) problems.push(`${name}.rate.amount must be a non-negative number`);
+    if (lane.minimumCharge != null && !(lane.minimumCharge >= 0)) problems.push(`${name}.minimumCharge must be a non-negative number`);
+  });
+  return problems;
+}
+
+/**
+ * Reads and validates the lane rates, throwing if they are invalid. A missing file means there are no lane rates.
+ * @returns {Object[]} The lanes, in the order they are listed.
+ */
+export const loadLaneRates = () => {
+  if (!fs.existsSync(laneRatesFile)) return [];
+  const config = JSON.parse(fs.readFileSync(laneRatesFile, "utf8"));
+  const problems = validateLaneRates(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid lane rates: ${problems.join(", ")}.`);
+  }
+  return config.lanes;
+}
+
+/**
+ * Finds the lane rate that applies to a trip. A customer's own lane rates come before lane rates for everyone,
+ * and within each of those the first matching lane in the file wins.
+ * @param {string} origin - The origin of the trip.
+ * @param {string} destination - The destination for the trip.
+ * @param {string} [customerId] - The customer the trip is quoted for.
+ * @param {Object[]} [lanes] - The lanes to search, from `loadLaneRates`.
+ * @returns {{ lane: Object, scope: string } | null} The matching lane and its scope ('customer-lane' or 'lane'),
+ * or `null` if the default rates apply.
+ */
+export const findLaneRate = (origin, destination, customerId, lanes = loadLaneRates()) => {
+  const matches = (lane) => (matchesRegion(lane.origin, origin) && matchesRegion(lane.destination, destination)) ||
+    (lane.bidirectional && matchesRegion(lane.origin, destination) && matchesRegion(lane.destination, origin));
+
+  const customerLane = customerId && lanes.find(lane => lane.customerId === customerId && matches(lane));
+  if (customerLane) return { lane: customerLane, scope: "customer-lane" };
+  const lane = lanes.find(lane => lane.customerId == null && matches(lane));
+  if (lane) return { lane, scope: "lane" };
+  return null;
+}
@@ -0,0 +1,202 @@
+import fs from "fs";
+import path from "path";
+
+// File holding the bundled places that locations are resolved against without Google, cities with their coordinates
+// and the postal code prefixes (Canadian FSAs and US ZIP3s) around them.
+const placesFile = process.env.PLACES_FILE || path.join(process.cwd(), "config", "places.json");
+
+const canadianPostalCode = /^[A-Z]\d[A-Z](\d[A-Z]\d)?$/;
+const usZipCode = /^\d{5}(\d{4})?$/;
+// Postal codes at the end of a longer address, before its country, e.g. "100 King St W, Toronto, ON M5X 1A9, Canada".
+const trailingPostalCode = /\b([A-Z]\d[A-Z] ?\d[A-Z]\d|\d{5}(?:-\d{4})?)(?:\s*,\s*[A-Za-z .]+)?\W*$/i;
+
+const isCoordinate = (value, limit) => typeof value === "number" && Number.isFinite(value) && Math.abs(value) <= limit;
+
+/**
+ * Normalizes a name for matching, ignoring case, accents, periods and extra whitespace.
+ * @param {string} name - The name, e.g. "St. Jérôme".
+ * @returns {string} The normalized name, e.g. "st jerome".
+ */
+const normalizeName = (name) => name.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[’`]/g, "'")
+  .replace(/\./g, " ").replace(/\s+/g, " ").trim().toLowerCase();
+
+/**
+ * Checks that the places are valid, and that every region, city and postal prefix points at something that exists.
+ * @param {Object} config - The parsed places file.
+ * @returns {string[]} The problems found with the places, empty if they are valid.
+ */
+export const validatePlaces = (config) => {
+  if (!config || !Array.isArray(config.countries) || !Array.isArray(config.regions) || !Array.isArray(config.cities) || !Array.isArray(config.postalPrefixes)) {
+    return ["places must have countries, regions, cities and postalPrefixes arrays"];
+  }
+  const problems = [];
+  const countries = new Set(config.countries.map(country => country?.code));
+  const regions = new Set(config.regions.map(region => `${region?.country}:${region?.code}`));
+  const cities = new Set(config.cities.map(city => `${city?.country}:${city?.region}:${city?.name}`));
+
+  config.countries.forEach(({ code, name, aliases = [] } = {}, index) => {
+    if (typeof code !== "string" || !code || typeof name !== "string" || !name) problems.push(`countries[${index}] must have a code and a name`);
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== "string")) problems.push(`countries[${index}].aliases must be an array of strings`);
+  });
+  config.regions.forEach(({ code, name, country } = {}, index) => {
+    if (typeof code !== "string" || !code || typeof name !== "string" || !name) problems.push(`regions[${index}] must have a code and a name`);
+    if (!countries.has(country)) problems.push(`regions[${index}].country must be one of the countries`);
+  });
+  config.cities.forEach(({ name, region, country, lat, lng } = {}, index) => {
+    if (typeof name !== "string" || !name) problems.push(`cities[${index}].name must be a non-empty string`);
+    if (!regions.has(`${country}:${region}`)) problems.push(`cities[${index}].region must be one of the regions of its country`);
+    if (!isCoordinate(lat, 90) || !isCoordinate(lng, 180)) problems.push(`cities[${index}] must have a valid lat and lng`);
+  });
+  config.postalPrefixes.forEach(({ prefix, city, region, country } = {}, index) => {
+    if (typeof prefix !== "string" || !/^[A-Z0-9]{1,5}$/.test(prefix)) problems.push(`postalPrefixes[${index}].prefix must be 1 to 5 uppercase letters or digits`);
+    if (!cities.has(`${country}:${region}:${city}`)) problems.push(`postalPrefixes[${index}] must point at one of the cities`);
+  });
+  return problems;
+}
+
+/**
+ * Reads and validates the bundled places, throwing if they are invalid. A missing file means there are no places.
+ * @returns {Object} The places, with `countries`, `regions`, `cities` and `postalPrefixes`.
+ */
+export const loadPlaces = () => {
+  if (!fs.existsSync(placesFile)) return { countries: [], regions: [], cities: [], postalPrefixes: [] };
+  const config = JSON.parse(fs.readFileSync(placesFile, "utf8"));
+  const problems = validatePlaces(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid places: ${problems.join(", ")}.`);
+  }
+  return config;
+}
+
+/**
+ * Creates a geocoder that resolves locations against a set of places, without any network access. Locations can be
+ * a city with its province or state and country, e.g. "Toronto, ON" or "Montréal, Quebec, Canada", or a postal code,
+ * e.g. "M5V 3L9" or "60601". Longer addresses are resolved by the postal code or city they end with.
+ * @param {Object} places - The places, from `loadPlaces`.
+ * @returns {{ resolve: Function, search: Function }} The geocoder.
+ */
+export const createLocalGeocoder = ({ countries, regions, cities, postalPrefixes }) => {
+  const countryNames = Object.fromEntries(countries.map(country => [country.code, country.name]));
+  const toPlace = (city) => ({
+    label: `${city.name}, ${city.region}, ${countryNames[city.country]}`,
+    lat: city.lat,
+    lng: city.lng
+  });
+  const entries = cities.map(city => ({ city, name: normalizeName(city.name), place: toPlace(city) }));
+  const findCountries = (name) => countries.filter(country => [country.code, country.name, ...(country.aliases || [])]
+    .some(value => normalizeName(value) === name));
+  const findRegions = (name, country) => regions.filter(region => (!country || region.country === country)
+    && [region.code, region.name].some(value => normalizeName(value) === name));
+  // Longest prefixes first, so "L2E" (Niagara Falls) wins over "L2" (St. Catharines).
+  const prefixes = postalPrefixes.slice(0).sort((a, b) => b.prefix.length - a.prefix.length);
+
+  /**
+   * Finds the city for comma separated parts of a location, the last parts can be a region and a country.
+   * @param {string[]} parts - The normalized parts, e.g. ["toronto", "on", "canada"].
+   * @returns {Object | null} The matching entry, or `null`.
+   */
+  const matchParts = (parts) => {
+    const attempts = [{ rest: parts, country: null }];
+    for (const country of findCountries(parts[parts.length - 1])) {
+      if (parts.length > 1) attempts.push({ rest: parts.slice(0, -1), country: country.code });
+    }
+    for (const { rest, country } of attempts) {
+      const name = rest.slice(0, -1).join(", ");
+      for (const region of rest.length > 1 ? findRegions(rest[rest.length - 1], country) : []) {
+        const match = entries.find(entry => entry.name === name && entry.city.region === region.code && entry.city.country === region.country);
+        if (match) return match;
+      }
+      const match = entries.find(entry => entry.name === rest.join(", ") && (!country || entry.city.country === country));
+      if (match) return match;
+    }
+    return null;
+  };
+
+  /**
+   * Finds the city of a location written as a place, also trying the last words as the region when there are no commas,
+   * e.g. "Quebec City QC".
+   * @param {string} location - The location.
+   * @returns {Object | null} The matching entry, or `null`.
+   */
+  const matchPlace = (location) => {
+    const parts = location.split(",").map(normalizeName).filter(Boolean);
+    if (parts.length === 0) return null;
+    const match = matchParts(parts);
+    if (match || parts.length > 1) return match;
+    const words = parts[0].split(" ");
+    for (let count = 1; count < Math.min(words.length, 4); count++) {
+      const split = matchParts([words.slice(0, -count).join(" "), words.slice(-count).join(" ")]);
+      if (split) return split;
+    }
+    return null;
+  };
+
+  /**
+   * Finds the city around a postal code, from its longest known prefix.
+   * @param {string} code - The postal code, e.g. "M5V 3L9" or "60601-1234".
+   * @returns {Object | null} The matching entry, or `null` if it isn't a postal code or its prefix is unknown.
+   */
+  const matchPostalCode = (code) => {
+    const compact = code.toUpperCase().replace(/[\s-]/g, "");
+    if (!canadianPostalCode.test(compact) && !usZipCode.test(compact)) return null;
+    const prefix = prefixes.find(({ prefix }) => compact.startsWith(prefix));
+    return prefix ? entries.find(entry => entry.city.name === prefix.city && entry.city.region === prefix.region && entry.city.country === prefix.country) : null;
+  };
+
+  return {
+    /**
+     * Resolves a location to the place it is in.
+     * @param {string} location - The location.
+     * @returns {{ label: string, lat: number, lng: number } | null} The place, or `null` if the location wasn't found.
+     */
+    resolve: (location) => {
+      if (typeof location !== "string" || !location.trim()) return null;
+      const match = matchPlace(location) || matchPostalCode(location.trim());
+      if (match) return match.place;
+
+      // Longer addresses, resolved by the postal code they end with, or the place at the end of them.
+      const postalCode = trailingPostalCode.exec(location);
+      const postalMatch = postalCode && matchPostalCode(postalCode[1]);
+      if (postalMatch) return postalMatch.place;
+      const parts = location.split(",");
+      for (let start = 1; start < parts.length; start++) {
+        const suffix = matchPlace(parts.slice(start).join(",").replace(trailingPostalCode, ""));
+        if (suffix) return suffix.place;
+      }
+      return null;
+    },
+
+    /**
+     * Suggests places for a partly typed location, matching the start of city names and postal codes.
+     * @param {string} query - The typed text.
+     * @param {number} [limit] - The most places to suggest.
+     * @returns {{ label: string, lat: number, lng: number }[]} The suggested places, biggest cities first.
+     */
+    search: (query, limit = 8) => {
+      const normalized = typeof query === "string" ? normalizeName(query) : "";
+      if (!normalized) return [];
+      const postalMatch = matchPostalCode(query.trim());
+      const suggestions = postalMatch ? [{ ...postalMatch.place, label: `${query.trim().toUpperCase()}, ${postalMatch.place.label}` }] : [];
+      for (const entry of entries) {
+        if (suggestions.length >= limit) break;
+        if (normalizeName(entry.place.label).startsWith(normalized) || entry.name.startsWith(normalized)) suggestions.push(entry.place);
+      }
+      return suggestions;
+    }
+  };
+}
+
+/**
+ * Resolves a location with the bundled places.
+ * @param {string} location - The location.
+ * @returns {{ label: string, lat: number, lng: number } | null} The place, or `null` if the location wasn't found.
+ */
+export const resolveLocalPlace = (location) => createLocalGeocoder(loadPlaces()).resolve(location);
+
+/**
+ * Suggests bundled places for a partly typed location.
+ * @param {string} query - The typed text.
+ * @param {number} [limit] - The most places to suggest.
+ * @returns {{ label: string, lat: number, lng: number }[]} The suggested places.
+ */
+export const searchLocalPlaces = (query, limit) => createLocalGeocoder(loadPlaces()).search(query, limit);
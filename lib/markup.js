@@ -0,0 +1,169 @@
+import fs from "fs";
+import path from "path";
+
+// File holding the markup rules, which turn what a trip costs us with the carrier into the customer's price.
+const markupRulesFile = process.env.MARKUP_RULES_FILE || path.join(process.cwd(), "config", "markup-rules.json");
+
+// How specific each combination of a rule's customer and equipment is, the most specific rule that matches applies.
+const scopes = [
+  { scope: "customer-equipment", customer: true, equipment: true },
+  { scope: "customer", customer: true, equipment: false },
+  { scope: "equipment", customer: false, equipment: true },
+  { scope: "default", customer: false, equipment: false }
+];
+
+/**
+ * Checks that the markup rules have every value the pricing logic depends on.
+ * @param {Object} config - The parsed markup rules file.
+ * @returns {string[]} The problems found with the markup rules, empty if they are valid.
+ */
+export const validateMarkupRules = (config) => {
+  if (!config || !Array.isArray(config.rules)) return ["rules must be an array"];
+  const problems = [];
+
+  config.rules.forEach((rule, index) => {
+    const name = `rules[${index}]`;
+    if (typeof rule.id !== "string" || rule.id.length === 0) problems.push(`${name}.id must be a non-empty string`);
+    if (rule.customerId != null && typeof rule.customerId !== "string") problems.push(`${name}.customerId must be a string`);
+    if (rule.equipmentType != null && typeof rule.equipmentType !== "string") problems.push(`${name}.equipmentType must be a string`);
+    for (const key of ["percent", "flat", "minimumMargin"]) {
+      if (rule[key] != null && !(rule[key] >= 0)) problems.push(`${name}.${key} must be a non-negative number`);
+    }
+    if (rule.percent == null && rule.flat == null && rule.minimumMargin == null) {
+      problems.push(`${name} must have a percent, flat or minimumMargin`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Reads and validates the markup rules, throwing if they are invalid. A missing file means quotes have no markup.
+ * @returns {Object[]} The rules, in the order they are listed.
+ */
+export const loadMarkupRules = () => {
+  if (!fs.existsSync(markupRulesFile)) return [];
+  const config = JSON.parse(fs.readFileSync(markupRulesFile, "utf8"));
+  const problems = validateMarkupRules(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid markup rules: ${problems.join(", ")}.`);
+  }
+  return config.rules;
+}
+
+/**
+ * Finds the markup rule that applies to a quote. A rule for the customer and the equipment comes before a rule for
+ * the customer, then a rule for the equipment, then a rule for everything, and within each of those the first
+ * matching rule in the file wins.
+ * @param {string | null} customerId - The customer the quote is for.
+ * @param {string} equipmentType - The type of truck equipment.
+ * @param {Object[]} [rules] - The rules to search, from `loadMarkupRules`.
+ * @returns {{ rule: Object, scope: string } | null} The matching rule and its scope ('customer-equipment', 'customer',
+ * 'equipment' or 'default'), or `null` if no rule applies and the quote has no markup.
+ */
+export const findMarkupRule = (customerId, equipmentType, rules = loadMarkupRules()) => {
+  for (const { scope, customer, equipment } of scopes) {
+    const rule = rules.find(rule => (customer ? customerId != null && rule.customerId === customerId : rule.customerId == null) &&
+      (equipment ? rule.equipmentType === equipmentType : rule.equipmentType == null));
+    if (rule) return { rule, scope };
+  }
+  return null;
+}
+
+/**
+ * Gets the margin a markup rule adds to a carrier cost: its percent of the cost plus its flat amount, raised to its
+ * minimum margin.
+ * @param {number} cost - The carrier cost, in the rate table's currency.
+ * @param {Object} rule - The markup rule, with an optional `percent`, `flat` and `minimumMargin`.
+ * @returns {{ amount: number, minimumApplied: boolean }} The margin, in the rate table's currency, and whether it was
+ * raised to the minimum.
+ */
+export const getMargin = (cost, { percent = 0, flat = 0, minimumMargin = 0 }) => {
+  const markup = cost * percent + flat;
+  return markup < minimumMargin ? { amount: minimumMargin, minimumApplied: true } : { amount: markup, minimumApplied: false };
+}
+
+/**
+ * Picks the values of a charge line the customer sees.
+ * @param {Object} line - An accessorial or date adjustment line of a quote.
+ * @returns {Object} The line's `code`, `label`, `type`, `rate`, `quantity` and `amount`.
+ */
+const toCustomerLine = ({ code, label, type, rate, quantity, amount }) => ({ code, label, type, rate, quantity, amount });
+
+/**
+ * Gets the view of a quote that is shown to its customer, on the printable sheet and, narrowed with `toSharedQuote`, on
+ * the customer link. Only the values listed here are kept, so our carrier cost and margin, who made the quote, its
+ * history and its links to other quotes stay private, along with any value added to quotes later. Values quotes saved
+ * earlier don't have are `null`.
+ * @param {Object} quote - The saved quote.
+ * @returns {Object} The quote's route, shipment, charges and validity, with the customer's rates.
+ */
+export const toCustomerQuote = (quote) => ({
+  id: quote.id,
+  status: quote.status,
+  timestamp: quote.timestamp,
+  expiresAt: quote.expiresAt,
+  customerId: quote.customerId ?? null,
+  customerName: quote.customerName ?? null,
+  origin: quote.origin,
+  destination: quote.destination,
+  stops: quote.stops ?? null,
+  legs: quote.legs ? quote.legs.map(({ origin, destination, distance, baseRate }) => ({ origin, destination, distance, baseRate })) : null,
+  equipmentType: quote.equipmentType,
+  weight: quote.weight,
+  pickupDate: quote.pickupDate,
+  distance: quote.distance,
+  days: quote.days,
+  transit: quote.transit ?? null,
+  currency: quote.currency ?? null,
+  exchangeRate: quote.exchangeRate ?? null,
+  weightUnit: quote.weightUnit ?? null,
+  distanceUnit: quote.distanceUnit ?? null,
+  baseRate: quote.baseRate,
+  stopCharge: quote.stopCharge ?? null,
+  equipmentCharge: quote.equipmentCharge,
+  fuelSurcharge: quote.fuelSurcharge,
+  weightFactor: quote.weightFactor,
+  accessorials: (quote.accessorials || []).map(toCustomerLine),
+  dateAdjustments: (quote.dateAdjustments || []).map(toCustomerLine),
+  total: quote.total,
+  rates: quote.rates ?? null,
+  pricingRule: quote.pricingRule ? {
+    scope: quote.pricingRule.scope,
+    name: quote.pricingRule.name,
+    rateType: quote.pricingRule.rateType,
+    amount: quote.pricingRule.amount,
+    minimumCharge: quote.pricingRule.minimumCharge,
+    minimumApplied: quote.pricingRule.minimumApplied
+  } : null,
+  rateTableVersion: quote.rateTableVersion ?? null,
+  distanceProvider: quote.distanceProvider ?? null,
+  fuelIndex: quote.fuelIndex ?? null
+});
+
+/**
+ * Gets the view of a quote shown on its customer link, which anyone with the link can open. It's the customer's view
+ * without what only the printable sheet shows: the pricing rule's name, how the distance was measured, the rate table,
+ * the fuel index and the customer's id. Its rates are converted to the quote's currency, so it needs no exchange rate.
+ * @param {Object} quote - The saved quote.
+ * @returns {Object} The quote's route, shipment, charges and validity, with the customer's rates.
+ */
+export const toSharedQuote = (quote) => {
+  const { customerId: _customerId, exchangeRate, rates, pricingRule, rateTableVersion: _version, distanceProvider: _provider, fuelIndex: _fuelIndex, ...shared } = toCustomerQuote(quote);
+  const convert = (amount) => typeof amount === "number" ? amount * (exchangeRate ?? 1) : amount;
+  return {
+    ...shared,
+    rates: rates && {
+      ...rates,
+      baseRatePerKm: convert(rates.baseRatePerKm),
+      fuelSurchargePerKm: convert(rates.fuelSurchargePerKm),
+      weightFactorPer100: convert(rates.weightFactorPer100),
+      stopCharge: convert(rates.stopCharge)
+    },
+    pricingRule: pricingRule && {
+      rateType: pricingRule.rateType,
+      amount: convert(pricingRule.amount),
+      minimumCharge: convert(pricingRule.minimumCharge),
+      minimumApplied: pricingRule.minimumApplied
+    }
+  };
+}
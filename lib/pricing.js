@@ -0,0 +1,340 @@
+import { isDateString, loadHolidays } from "@/lib/calendar";
+import { getDateAdjustments, loadDateSurcharges } from "@/lib/dateSurcharges";
+import { distanceCache } from "@/lib/distanceCache";
+import { getRouteDistance } from "@/lib/distanceProviders";
+import { baseCurrency, loadExchangeRates } from "@/lib/exchangeRates";
+import { getFuelSurcharge, loadFuelIndex } from "@/lib/fuelIndex";
+import { findLaneRate } from "@/lib/laneRates";
+import { findMarkupRule, getMargin, loadMarkupRules } from "@/lib/markup";
+import { invalidRequest, quoteErrorCodes, quoteFailure, validateEquipmentOptionsRequest, validateQuote, validateQuoteRequest } from "@/lib/quoteSchema";
+import { toDateString } from "@/lib/quoteStatus";
+import { getRateTable } from "@/lib/rateTable";
+import { estimateTransit, loadTransitRules } from "@/lib/transit";
+import { fromKm, toPounds } from "@/lib/units";
+
+/**
+ * Gets the distance of a leg from the cache, or from the distance providers if it isn't cached.
+ * Estimated distances aren't cached, so the next quote can use a real route once a provider recovers.
+ * @param {string} origin - The origin of the leg.
+ * @param {string} destination - The destination for the leg.
+ * @returns {Promise<{ distance: number | null, provider: string }>} The distance in kms, or `null` if there is
+ * not a drivable route, and the provider that produced it.
+ */
+export const getLegDistance = async (origin, destination) => {
+  const cached = await distanceCache.get(origin, destination);
+  if (cached) return cached;
+  const route = await getRouteDistance(origin, destination);
+  if (route.distance != null && !route.estimated) await distanceCache.set(origin, destination, route);
+  return { distance: route.distance, provider: route.provider };
+}
+
+/**
+ * Prices the accessorials of a quote. Flat charges are a fixed amount, hourly charges are an amount per hour,
+ * and percent charges are a percentage of the base rate.
+ * @param {Object[]} accessorials - The requested accessorials, validated with `lib/quoteSchema`.
+ * @param {number} baseRate - The base rate of the trip.
+ * @param {Object} catalog - The accessorials of the rate table, keyed by code.
+ * @returns {Object[]} A breakdown line for every accessorial.
+ */
+const priceAccessorials = (accessorials, baseRate, catalog) => accessorials.map(({ code, quantity }) => {
+  const { label, type, amount: rate } = catalog[code];
+  const charged = type === 'hourly' ? quantity : 1;
+  const amount = type === 'percent' ? baseRate * rate : rate * charged;
+  return { code, label, type, rate, quantity: charged, amount };
+});
+
+/**
+ * Prices the date-based adjustments of a quote. Flat adjustments are a fixed amount, and percent adjustments
+ * are a percentage of the base rate.
+ * @param {Object[]} adjustments - The adjustments that apply to the pickup date, from `getDateAdjustments`.
+ * @param {number} baseRate - The base rate of the trip.
+ * @returns {Object[]} A breakdown line for every adjustment.
+ */
+const priceDateAdjustments = (adjustments, baseRate) => adjustments.map(({ code, label, type, rate }) => ({
+  code, label, type, rate, quantity: 1, amount: type === 'percent' ? baseRate * rate : rate
+}));
+
+/**
+ * Calculates the total rate of the trip, and returns the quote breakdown. The trip is priced in pounds, kilometres
+ * and the rate table's currency, and the breakdown is converted to the currency and units the quote is presented in.
+ * The rate table prices what the trip costs us with the carrier, and the markup rule adds our margin to get the
+ * customer's price. The breakdown, its rates and its pricing rule are the customer's price, with the margin spread over
+ * every charge by the same ratio so they still add up, and the carrier's cost of each charge is in `carrierCost`.
+ * @param {Object[]} legs - The legs of the trip, in order, each with its `distance` in kms.
+ * @param {number} weight - The weight of the truck, in the `weightUnit`.
+ * @param {string} equipmentType - The type of truck equipment.
+ * @param {Object} rateTable - The rate table to price the trip with, from `lib/rateTable`.
+ * @param {Object} [options]
+ * @param {Object[]} [options.accessorials] - The accessorials to add, each with a `code` and an optional `quantity`.
+ * @param {{ lane: Object, scope: string } | null} [options.laneRate] - The lane rate that overrides the base rate, from `findLaneRate`.
+ * @param {string} [options.weightUnit] - The unit of the weight ('lb' or 'kg').
+ * @param {string} [options.distanceUnit] - The unit the leg distances are presented in ('km' or 'mi').
+ * @param {string} [options.currency] - The currency the amounts are presented in.
+ * @param {number} [options.exchangeRate] - How much of the `currency` one unit of the rate table's currency buys.
+ * @param {string} [options.pickupDate] - The pickup date, as "YYYY-MM-DD", which picks the diesel price from the `fuelIndex`.
+ * @param {Object | null} [options.fuelIndex] - The diesel price index and surcharge schedule, from `loadFuelIndex`.
+ * @param {Object[]} [options.dateAdjustments] - The adjustments for the pickup date, from `getDateAdjustments`.
+ * @param {{ rule: Object, scope: string } | null} [options.markup] - The markup rule that applies, from `findMarkupRule`.
+ * @returns {Object} Total quote breakdown, with the rates that were applied in the rate table's currency and units.
+ */
+export const calculateTotal = (legs, weight, equipmentType, rateTable, {
+  accessorials = [],
+  laneRate = null,
+  weightUnit = 'lb',
+  distanceUnit = 'km',
+  currency = baseCurrency,
+  exchangeRate = 1,
+  pickupDate = null,
+  fuelIndex = null,
+  dateAdjustments = [],
+  markup = null
+} = {}) => {
+  // Picks the rates that apply to this trip. The fuel surcharge comes from the diesel price on the pickup date, or from
+  // the rate table's fixed percentages (based on https://www.speedy.ca/fuel-surcharge) when the index doesn't cover it.
+  const { weightThreshold, weightFactorPer100, stopCharge: stopRate, fuelSurcharge: fuelRates } = rateTable;
+  const pounds = toPounds(weight, weightUnit);
+  const weightClass = pounds < weightThreshold ? 'belowThreshold' : 'atOrAboveThreshold';
+  const fuelRate = getFuelSurcharge(fuelIndex, pickupDate, weightClass) || { type: 'percent', amount: fuelRates[weightClass] };
+  const equipmentMultiplier = rateTable.equipment[equipmentType].multiplier;
+  const distance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+
+  // The base rate comes from the lane rate if one applies, raised to its minimum charge, otherwise from the rate table.
+  const lane = laneRate && laneRate.lane;
+  const baseRatePerKm = lane && lane.rate.type === 'perKm' ? lane.rate.amount : rateTable.baseRatePerKm;
+  const laneBaseRate = lane && lane.rate.type === 'flat' ? lane.rate.amount : baseRatePerKm * distance;
+  const minimumApplied = Boolean(lane && lane.minimumCharge > laneBaseRate);
+  const pricingRule = {
+    scope: lane ? laneRate.scope : 'default',
+    id: lane ? lane.id : null,
+    name: lane ? lane.name || lane.id : `Rate table ${rateTable.version}`,
+    rateType: lane ? lane.rate.type : 'perKm',
+    amount: lane ? lane.rate.amount : baseRatePerKm,
+    minimumCharge: lane?.minimumCharge ?? null,
+    minimumApplied
+  };
+
+  // Breakdown of the different elements are calculated, every stop between the origin and the destination is charged.
+  const baseRate = minimumApplied ? lane.minimumCharge : laneBaseRate;
+  const weightFactor = pounds > weightThreshold ? ((pounds - weightThreshold) / 100) * weightFactorPer100 : 0;
+  const equipmentCharge = baseRate * equipmentMultiplier;
+  const fuelSurcharge = fuelRate.type === 'perKm' ? distance * fuelRate.amount : baseRate * fuelRate.amount;
+  const stopCharge = (legs.length - 1) * stopRate;
+  const accessorialLines = priceAccessorials(accessorials, baseRate, rateTable.accessorials);
+  const accessorialCharge = accessorialLines.reduce((sum, line) => sum + line.amount, 0);
+  const dateAdjustmentLines = priceDateAdjustments(dateAdjustments, baseRate);
+  const dateAdjustmentCharge = dateAdjustmentLines.reduce((sum, line) => sum + line.amount, 0);
+
+  // Adds the margin to the carrier cost. A trip that costs nothing isn't marked up, as there is nothing to spread it over.
+  const cost = baseRate + equipmentCharge + fuelSurcharge + weightFactor + stopCharge + accessorialCharge + dateAdjustmentCharge;
+  const margin = markup && cost > 0 ? getMargin(cost, markup.rule) : { amount: 0, minimumApplied: false };
+  const ratio = cost > 0 ? (cost + margin.amount) / cost : 1;
+
+  // Returns the price breakdown and the total amount in the presented currency, and the rates used to get there.
+  const convert = (amount) => amount * exchangeRate;
+  const price = (amount) => convert(amount * ratio);
+  const priceLine = (line) => ({
+    ...line,
+    rate: line.type === 'percent' ? line.rate : price(line.rate),
+    amount: price(line.amount)
+  });
+  return {
+    total: price(cost),
+    baseRate: price(baseRate),
+    weightFactor: price(weightFactor),
+    fuelSurcharge: price(fuelSurcharge),
+    equipmentCharge: price(equipmentCharge),
+    stopCharge: price(stopCharge),
+    accessorialCharge: price(accessorialCharge),
+    accessorials: accessorialLines.map(priceLine),
+    dateAdjustmentCharge: price(dateAdjustmentCharge),
+    dateAdjustments: dateAdjustmentLines.map(priceLine),
+    // Each leg gets its share of the base rate, by distance.
+    legs: legs.map(leg => ({
+      ...leg,
+      distance: fromKm(leg.distance, distanceUnit),
+      baseRate: price(distance ? baseRate * leg.distance / distance : baseRate / legs.length)
+    })),
+    carrierCost: {
+      total: convert(cost),
+      baseRate: convert(baseRate),
+      weightFactor: convert(weightFactor),
+      fuelSurcharge: convert(fuelSurcharge),
+      equipmentCharge: convert(equipmentCharge),
+      stopCharge: convert(stopCharge),
+      accessorialCharge: convert(accessorialCharge),
+      dateAdjustmentCharge: convert(dateAdjustmentCharge)
+    },
+    margin: {
+      amount: convert(margin.amount),
+      percent: cost > 0 ? margin.amount / (cost + margin.amount) : 0,
+      rule: markup ? {
+        scope: markup.scope,
+        id: markup.rule.id,
+        name: markup.rule.name || markup.rule.id,
+        percent: markup.rule.percent ?? null,
+        flat: markup.rule.flat ?? null,
+        minimumMargin: markup.rule.minimumMargin ?? null,
+        minimumApplied: margin.minimumApplied
+      } : null
+    },
+    currency,
+    exchangeRate,
+    weightUnit,
+    distanceUnit,
+    pricingRule: {
+      ...pricingRule,
+      amount: pricingRule.amount * ratio,
+      minimumCharge: pricingRule.minimumCharge === null ? null : pricingRule.minimumCharge * ratio
+    },
+    fuelIndex: fuelRate.date ? { date: fuelRate.date, price: fuelRate.price, unit: fuelRate.unit } : null,
+    rateTableVersion: rateTable.version,
+    rates: {
+      baseRatePerKm: baseRatePerKm * ratio,
+      fuelSurchargeType: fuelRate.type,
+      fuelSurchargePercent: fuelRate.type === 'percent' ? fuelRate.amount : null,
+      fuelSurchargePerKm: fuelRate.type === 'perKm' ? fuelRate.amount * ratio : null,
+      equipmentMultiplier,
+      weightThreshold,
+      weightFactorPer100: weightFactorPer100 * ratio,
+      stopCharge: stopRate * ratio
+    }
+  };
+}
+
+/**
+ * Prices the route of a valid quote request for every equipment type. The distance of every leg is looked up once,
+ * however many equipment types are priced. Expected problems with the route are returned instead of thrown,
+ * along with the HTTP status that describes them.
+ * @param {Object} request - The quote request, validated with `lib/quoteSchema`.
+ * @param {string[]} equipmentTypes - The types of truck equipment to price the route for.
+ * @param {Object} options
+ * @param {Function} options.lookupDistance - Gets the distance of a leg.
+ * @param {string} options.today - The date the quote is made on, as "YYYY-MM-DD".
+ * @param {Object} options.rateTable - The rate table to price the route with.
+ * @param {Object} options.exchangeRates - The exchange rates, from `loadExchangeRates`.
+ * @returns {Promise<{ quotes: Object[] } | { status: number, code: string, error: string, errors: Object[] }>} A priced
+ * quote for every equipment type, in the same order, or the reason the route couldn't be priced.
+ */
+const priceRoute = async (request, equipmentTypes, { lookupDistance, today, rateTable, exchangeRates }) => {
+  const { origin, destination, weight, pickupDate, customerId, accessorials = [] } = request;
+  const { currency = baseCurrency, weightUnit = 'lb', distanceUnit = 'km', businessDaysOnly = false } = request;
+  const stops = request.stops ?? [origin, destination];
+
+  // Gets the distance of every leg between consecutive stops.
+  let legs;
+  try {
+    legs = await Promise.all(stops.slice(1).map(async (stop, index) => {
+      const { distance, provider } = await lookupDistance(stops[index], stop);
+      return { origin: stops[index], destination: stop, distance, provider };
+    }));
+  } catch (error) {
+    console.error(error);
+    return quoteFailure(503, quoteErrorCodes.distanceUnavailable, 'Distance service is unavailable, please try again later.');
+  }
+  // If a leg's route is unavailable, return an error message.
+  const missingIndex = legs.findIndex(leg => leg.distance == null);
+  if (missingIndex !== -1) {
+    const { origin: from, destination: to } = legs[missingIndex];
+    const error = `No route between ${from} and ${to} available.`;
+    // The error is on the stop the leg goes to, or the destination for requests without stops.
+    const field = request.stops === undefined ? 'destination' : `stops[${missingIndex + 1}]`;
+    return quoteFailure(400, quoteErrorCodes.noRoute, error, [{ field, code: quoteErrorCodes.noRoute, message: error }]);
+  }
+  const distance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+
+  // Estimates the transit time under the hours-of-service rules, the team driver accessorial puts a team on the truck.
+  const transitRules = loadTransitRules();
+  const holidays = loadHolidays();
+  const transit = estimateTransit({
+    distance,
+    stopCount: stops.length - 2,
+    pickupDate,
+    teamDriving: accessorials.some(({ code }) => code === transitRules.teamDriverAccessorial),
+    businessDaysOnly
+  }, transitRules, holidays);
+
+  // Building a quote for every equipment type, returning the request values with the breakdown of the costs, distance,
+  // and duration included. Everything but the equipment is shared, so it is only loaded once.
+  const timestamp = new Date().getTime();
+  const laneRate = findLaneRate(stops[0], stops[stops.length - 1], customerId);
+  const fuelIndex = loadFuelIndex();
+  const dateAdjustments = getDateAdjustments(loadDateSurcharges(), { pickupDate, today, holidays });
+  const markupRules = loadMarkupRules();
+  const quotes = equipmentTypes.map(equipmentType => ({
+    origin: stops[0],
+    destination: stops[stops.length - 1],
+    stops,
+    equipmentType,
+    weight,
+    pickupDate,
+    customerId: customerId || null,
+    distance: fromKm(distance, distanceUnit),
+    distanceProvider: [...new Set(legs.map(leg => leg.provider))].join(','),
+    days: transit.days,
+    transit,
+    timestamp,
+    ...calculateTotal(legs, parseFloat(weight), equipmentType, rateTable, {
+      accessorials,
+      laneRate,
+      weightUnit,
+      distanceUnit,
+      currency,
+      exchangeRate: exchangeRates[currency],
+      pickupDate,
+      fuelIndex,
+      dateAdjustments,
+      markup: findMarkupRule(customerId || null, equipmentType, markupRules)
+    })
+  }));
+
+  // A quote that doesn't match its schema comes from a broken rate table or config, not the request.
+  const problems = quotes.flatMap(quote => validateQuote(quote));
+  if (problems.length > 0) {
+    throw new Error(`Invalid quote: ${problems.map(problem => problem.message).join(" ")}`);
+  }
+  return { quotes };
+}
+
+/**
+ * Validates a quote request, and prices it. Expected problems with the request are returned instead of thrown,
+ * along with the HTTP status that describes them, an error code, and the field errors from `lib/quoteSchema`.
+ * @param {Object} request - The quote request, with `stops` (or `origin` and `destination`), `equipmentType`,
+ * `weight`, `pickupDate`, and optional `accessorials`, `customerId`, `currency`, `weightUnit`, `distanceUnit` and `businessDaysOnly`.
+ * @param {Object} [options]
+ * @param {Function} [options.lookupDistance] - Gets the distance of a leg, defaults to `getLegDistance`.
+ * @param {string} [options.today] - The date the quote is made on, as "YYYY-MM-DD", defaults to today in the local time zone.
+ * @returns {Promise<{ quote: Object } | { status: number, code: string, error: string, errors: Object[] }>} The priced
+ * quote, or the reason it couldn't be priced.
+ */
+export const priceQuote = async (request, { lookupDistance = getLegDistance, today = toDateString(new Date()) } = {}) => {
+  const rateTable = getRateTable();
+  const exchangeRates = loadExchangeRates();
+  const errors = validateQuoteRequest(request, { rateTable, currencies: Object.keys(exchangeRates), today });
+  if (errors.length > 0) return invalidRequest(errors);
+
+  const { quotes, ...failure } = await priceRoute(request, [request.equipmentType], { lookupDistance, today, rateTable, exchangeRates });
+  return quotes ? { quote: quotes[0] } : failure;
+}
+
+/**
+ * Validates a quote request for several equipment types, and prices an option for each of them so they can be compared.
+ * The route's distance is only looked up once for all of the options.
+ * @param {Object} request - The quote request, like for `priceQuote`, with `equipmentTypes` instead of `equipmentType`:
+ * a list of equipment types, or "all" for every equipment type of the rate table.
+ * @param {Object} [options]
+ * @param {Function} [options.lookupDistance] - Gets the distance of a leg, defaults to `getLegDistance`.
+ * @param {string} [options.today] - The date the quote is made on, as "YYYY-MM-DD", defaults to today in the local time zone.
+ * @returns {Promise<{ options: Object[] } | { status: number, code: string, error: string, errors: Object[] }>} A priced
+ * quote for every equipment type, in the order they were asked for, or the reason they couldn't be priced.
+ */
+export const priceEquipmentOptions = async (request, { lookupDistance = getLegDistance, today = toDateString(new Date()) } = {}) => {
+  const rateTable = getRateTable();
+  const exchangeRates = loadExchangeRates();
+  const resolved = request?.equipmentTypes === 'all' ? { ...request, equipmentTypes: Object.keys(rateTable.equipment) } : request;
+  const errors = validateEquipmentOptionsRequest(resolved, { rateTable, currencies: Object.keys(exchangeRates), today });
+  if (errors.length > 0) return invalidRequest(errors);
+
+  const equipmentTypes = [...new Set(resolved.equipmentTypes)];
+  const { quotes, ...failure } = await priceRoute(resolved, equipmentTypes, { lookupDistance, today, rateTable, exchangeRates });
+  return quotes ? { options: quotes } : failure;
+}
@@ -0,0 +1,192 @@
+// Aggregations of saved quotes, for the analytics page and any other view that summarizes quotes. Amounts are converted
+// back to the rate table's currency (CAD), distances to kilometres and weights to pounds, so quotes presented in other
+// currencies and units can be added up. This module has no server dependencies, so the UI uses it too.
+import { toDateString } from "@/lib/quoteStatus";
+import { distanceUnits, toPounds } from "@/lib/units";
+
+const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// The periods quotes can be grouped by over time.
+export const analyticsIntervals = {
+  "day": { label: "Daily" },
+  "week": { label: "Weekly" },
+  "month": { label: "Monthly" }
+}
+
+/**
+ * Gets the date a quote was created on.
+ * @param {Object} quote - The saved quote.
+ * @returns {string} The date, as "YYYY-MM-DD".
+ */
+export const getQuoteDate = (quote) => toDateString(new Date(quote.timestamp));
+
+/**
+ * Filters quotes by the date they were created on.
+ * @param {Object[]} quotes - The saved quotes.
+ * @param {Object} range
+ * @param {string} [range.from] - The first date to keep, as "YYYY-MM-DD", or empty for no start.
+ * @param {string} [range.to] - The last date to keep, as "YYYY-MM-DD", or empty for no end.
+ * @returns {Object[]} The quotes created within the range.
+ */
+export const filterQuotesByDate = (quotes, { from = "", to = "" }) => quotes.filter((quote) => {
+  const date = getQuoteDate(quote);
+  return (from.length === 0 || date >= from) && (to.length === 0 || date <= to);
+});
+
+/**
+ * Moves a date by a number of days.
+ * @param {string} date - The date, as "YYYY-MM-DD".
+ * @param {number} days - How many days to move it by.
+ * @returns {string} The moved date.
+ */
+const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Gets the period a date falls in: the date itself, the Monday of its week, or its month as "YYYY-MM".
+ * @param {string} date - The date, as "YYYY-MM-DD".
+ * @param {string} interval - The interval ('day', 'week' or 'month').
+ * @returns {string} The period.
+ */
+export const getPeriod = (date, interval) => {
+  if (interval === "month") return date.slice(0, 7);
+  if (interval === "week") return shiftDate(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+  return date;
+}
+
+/**
+ * Gets the period after a period.
+ * @param {string} period - The period, from `getPeriod`.
+ * @param {string} interval - The interval ('day', 'week' or 'month').
+ * @returns {string} The next period.
+ */
+const nextPeriod = (period, interval) => {
+  if (interval === "month") return shiftDate(`${period}-28`, 7).slice(0, 7);
+  return shiftDate(period, interval === "week" ? 7 : 1);
+}
+
+/**
+ * Formats a period for a chart, e.g. "Oct 2026", "Week of Oct 12" or "Oct 19".
+ * @param {string} period - The period, from `getPeriod`.
+ * @param {string} interval - The interval ('day', 'week' or 'month').
+ * @returns {string} The formatted period.
+ */
+export const formatPeriod = (period, interval) => {
+  const [year, month, day] = period.split("-");
+  const monthName = monthNames[Number(month) - 1];
+  if (interval === "month") return `${monthName} ${year}`;
+  return `${interval === "week" ? "Week of " : ""}${monthName} ${Number(day)}`;
+}
+
+/**
+ * Gets the amounts of a quote that are added up, in CAD, kilometres and pounds. Quotes saved before they had a
+ * currency and units are in CAD, pounds and kms.
+ * @param {Object} quote - The saved quote.
+ * @returns {{ value: number, distance: number, weight: number }} The total, distance and weight of the quote.
+ */
+const toBaseAmounts = (quote) => ({
+  value: quote.total / (quote.exchangeRate ?? 1),
+  distance: quote.distance / distanceUnits[quote.distanceUnit || "km"].perKm,
+  weight: toPounds(quote.weight, quote.weightUnit || "lb")
+});
+
+/**
+ * Adds up a group of quotes. The rate per km is the total value over the total distance, so long trips weigh more
+ * than short ones.
+ * @param {{ value: number, distance: number, weight: number }[]} amounts - The amounts of the quotes, from `toBaseAmounts`.
+ * @returns {{ count: number, value: number, distance: number, ratePerKm: number | null, averageValue: number | null, averageWeight: number | null }}
+ * The summary, where the rates and averages are `null` for an empty group or one without any distance.
+ */
+const summarize = (amounts) => {
+  const count = amounts.length;
+  const value = amounts.reduce((sum, amount) => sum + amount.value, 0);
+  const distance = amounts.reduce((sum, amount) => sum + amount.distance, 0);
+  const weight = amounts.reduce((sum, amount) => sum + amount.weight, 0);
+  return {
+    count,
+    value,
+    distance,
+    ratePerKm: distance > 0 ? value / distance : null,
+    averageValue: count > 0 ? value / count : null,
+    averageWeight: count > 0 ? weight / count : null
+  };
+}
+
+/**
+ * Groups the amounts of quotes by a key, keeping the first label of every key.
+ * @param {Object[]} quotes - The saved quotes.
+ * @param {Object[]} amounts - The amounts of the quotes, from `toBaseAmounts`.
+ * @param {Function} getGroup - Called with a quote, returns its `{ key, label }`.
+ * @returns {Map<string, { label: string, amounts: Object[] }>} The groups, by key.
+ */
+const groupBy = (quotes, amounts, getGroup) => {
+  const groups = new Map();
+  quotes.forEach((quote, index) => {
+    const { key, label } = getGroup(quote);
+    if (!groups.has(key)) groups.set(key, { label, amounts: [] });
+    groups.get(key).amounts.push(amounts[index]);
+  });
+  return groups;
+}
+
+/**
+ * Normalizes a location for grouping lanes, ignoring case and extra whitespace.
+ * @param {string} location - The location.
+ * @returns {string} The normalized location.
+ */
+const normalizeLocation = (location) => location.trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Gets the lane of a quote, from its origin to its destination. Intermediate stops don't change the lane.
+ * @param {Object} quote - The saved quote.
+ * @returns {{ key: string, label: { origin: string, destination: string } }} The lane.
+ */
+const getLane = (quote) => ({
+  key: `${normalizeLocation(quote.origin)}|${normalizeLocation(quote.destination)}`,
+  label: { origin: quote.origin, destination: quote.destination }
+});
+
+/**
+ * Aggregates saved quotes for the analytics charts. Amounts are in CAD, distances in kms and weights in pounds.
+ * @param {Object[]} quotes - The saved quotes, already filtered.
+ * @param {Object} [options]
+ * @param {string} [options.interval] - The periods to group quotes by over time ('day', 'week' or 'month').
+ * @param {number} [options.laneCount] - How many of the top lanes to keep.
+ * @returns {{ totals: Object, overTime: Object[], byEquipment: Object[], topLanesByCount: Object[], topLanesByValue: Object[] }}
+ * The summary of every quote, the summary of every period from the first quote to the last (including periods
+ * without quotes), of every equipment type by volume with its `share` of the quotes, and of the busiest and most
+ * valuable lanes. Each summary is described by `summarize`.
+ */
+export const aggregateQuotes = (quotes, { interval = "month", laneCount = 5 } = {}) => {
+  const amounts = quotes.map(toBaseAmounts);
+  const totals = summarize(amounts);
+
+  // Every period between the first and last quote gets an entry, so gaps show up in the charts.
+  const periods = groupBy(quotes, amounts, quote => ({ key: getPeriod(getQuoteDate(quote), interval) }));
+  const overTime = [];
+  const sortedPeriods = [...periods.keys()].sort();
+  if (sortedPeriods.length > 0) {
+    const last = sortedPeriods[sortedPeriods.length - 1];
+    for (let period = sortedPeriods[0]; period <= last; period = nextPeriod(period, interval)) {
+      overTime.push({ period, ...summarize(periods.get(period)?.amounts || []) });
+    }
+  }
+
+  const byEquipment = [...groupBy(quotes, amounts, quote => ({ key: quote.equipmentType }))]
+    .map(([equipmentType, group]) => {
+      const summary = summarize(group.amounts);
+      return { equipmentType, ...summary, share: summary.count / totals.count };
+    })
+    .sort((a, b) => b.count - a.count || a.equipmentType.localeCompare(b.equipmentType));
+
+  const lanes = [...groupBy(quotes, amounts, getLane).values()]
+    .map(({ label, amounts: laneAmounts }) => ({ ...label, ...summarize(laneAmounts) }));
+  const byName = (a, b) => a.origin.localeCompare(b.origin) || a.destination.localeCompare(b.destination);
+  const topLanesByCount = lanes.slice(0).sort((a, b) => b.count - a.count || byName(a, b)).slice(0, laneCount);
+  const topLanesByValue = lanes.slice(0).sort((a, b) => b.value - a.value || byName(a, b)).slice(0, laneCount);
+
+  return { totals, overTime, byEquipment, topLanesByCount, topLanesByValue };
+}
@@ -0,0 +1,145 @@
+import { toCsv } from "@/lib/csv";
+
+// Flattening quotes into rows for spreadsheets. This module has no server dependencies, so the UI uses it too.
+
+// The columns of a quote's route, request and breakdown, in order.
+export const quoteColumns = [
+  "origin", "stops", "destination", "equipmentType", "weight", "weightUnit", "pickupDate", "customerId", "customerName",
+  "distance", "distanceUnit", "days", "earliestDelivery", "latestDelivery", "baseRate", "fuelSurcharge", "equipmentCharge", "weightFactor", "stopCharge",
+  "accessorialCharge", "dateAdjustmentCharge", "total", "currency"
+];
+
+// The columns of an exported quote history, adding the saved quote's details around the quote columns. The history
+// is exported for staff, so it has the carrier cost and margin, which the quote columns leave out for customers.
+export const historyColumns = [
+  "id", "status", "createdAt", "createdBy", "expiresAt", "revisionOf", ...quoteColumns, "carrierCost", "margin", "marginPercent",
+  "markupRule", "pricingRule", "rateTableVersion"
+];
+
+/**
+ * Formats an amount for a row, rounded to cents.
+ * @param {*} value - The amount.
+ * @returns {string} The rounded amount, or empty if it isn't a number.
+ */
+const formatAmount = (value) => typeof value === "number" ? value.toFixed(2) : "";
+
+/**
+ * Flattens a quote into a row with the `quoteColumns`. Values a quote request doesn't have yet are left empty,
+ * so requests that couldn't be priced can be flattened too.
+ * @param {Object} quote - The quote, or a quote request.
+ * @returns {Object} The row, keyed by column name. Intermediate stops are separated by "|", and amounts are rounded to cents.
+ * Quotes saved before they had a currency and units are in CAD, pounds and kms.
+ */
+export const toQuoteRecord = (quote) => {
+  const stops = quote.stops || [quote.origin, quote.destination];
+  return {
+    origin: stops[0],
+    stops: stops.slice(1, -1).join("|"),
+    destination: stops[stops.length - 1],
+    equipmentType: quote.equipmentType,
+    weight: quote.weight,
+    weightUnit: quote.weightUnit || "lb",
+    pickupDate: quote.pickupDate,
+    customerId: quote.customerId,
+    customerName: quote.customerName,
+    distance: typeof quote.distance === "number" ? quote.distance.toFixed(1) : "",
+    distanceUnit: quote.distanceUnit || "km",
+    days: quote.days,
+    earliestDelivery: quote.transit?.earliestDelivery,
+    latestDelivery: quote.transit?.latestDelivery,
+    baseRate: formatAmount(quote.baseRate),
+    fuelSurcharge: formatAmount(quote.fuelSurcharge),
+    equipmentCharge: formatAmount(quote.equipmentCharge),
+    weightFactor: formatAmount(quote.weightFactor),
+    stopCharge: formatAmount(quote.stopCharge),
+    accessorialCharge: formatAmount(quote.accessorialCharge),
+    dateAdjustmentCharge: formatAmount(quote.dateAdjustmentCharge),
+    total: formatAmount(quote.total),
+    currency: quote.currency || "CAD"
+  };
+}
+
+/**
+ * Flattens a saved quote into a row with the `historyColumns`. Quotes saved before they had a margin leave its columns empty.
+ * @param {Object} quote - The saved quote.
+ * @returns {Object} The row, keyed by column name. The margin percent is of the customer's price, rounded to a tenth of a percent.
+ */
+export const toHistoryRecord = (quote) => ({
+  ...toQuoteRecord(quote),
+  id: quote.id,
+  status: quote.status,
+  createdAt: new Date(quote.timestamp).toISOString(),
+  createdBy: quote.createdBy,
+  expiresAt: quote.expiresAt,
+  revisionOf: quote.revisionOf,
+  carrierCost: formatAmount(quote.carrierCost?.total),
+  margin: formatAmount(quote.margin?.amount),
+  marginPercent: quote.margin ? (quote.margin.percent * 100).toFixed(1) : "",
+  markupRule: quote.margin?.rule ? quote.margin.rule.name : "",
+  pricingRule: quote.pricingRule ? quote.pricingRule.name : "",
+  rateTableVersion: quote.rateTableVersion
+});
+
+/**
+ * Picks the values of a saved quote for a JSON export. Exports are handed to customers and accounting, so only the
+ * quote's route, request, breakdown and pricing are listed, and its customer link token, owner and status history stay
+ * private. Values quotes don't have yet are `null`.
+ * @param {Object} quote - The saved quote.
+ * @returns {Object} The exported quote.
+ */
+export const toExportedQuote = (quote) => ({
+  id: quote.id,
+  status: quote.status,
+  timestamp: quote.timestamp,
+  createdBy: quote.createdBy ?? null,
+  expiresAt: quote.expiresAt ?? null,
+  revisionOf: quote.revisionOf ?? null,
+  imported: Boolean(quote.imported),
+  customerId: quote.customerId ?? null,
+  customerName: quote.customerName ?? null,
+  origin: quote.origin,
+  destination: quote.destination,
+  stops: quote.stops ?? null,
+  legs: quote.legs ?? null,
+  equipmentType: quote.equipmentType,
+  weight: quote.weight,
+  weightUnit: quote.weightUnit ?? null,
+  pickupDate: quote.pickupDate,
+  distance: quote.distance,
+  distanceUnit: quote.distanceUnit ?? null,
+  days: quote.days,
+  transit: quote.transit ?? null,
+  currency: quote.currency ?? null,
+  exchangeRate: quote.exchangeRate ?? null,
+  baseRate: quote.baseRate,
+  stopCharge: quote.stopCharge ?? null,
+  equipmentCharge: quote.equipmentCharge,
+  fuelSurcharge: quote.fuelSurcharge,
+  weightFactor: quote.weightFactor,
+  accessorials: quote.accessorials ?? [],
+  accessorialCharge: quote.accessorialCharge ?? null,
+  dateAdjustments: quote.dateAdjustments ?? [],
+  dateAdjustmentCharge: quote.dateAdjustmentCharge ?? null,
+  total: quote.total,
+  carrierCost: quote.carrierCost ?? null,
+  margin: quote.margin ?? null,
+  pricingRule: quote.pricingRule ?? null,
+  rates: quote.rates ?? null,
+  rateTableVersion: quote.rateTableVersion ?? null,
+  distanceProvider: quote.distanceProvider ?? null,
+  fuelIndex: quote.fuelIndex ?? null
+});
+
+/**
+ * Writes saved quotes as a JSON file.
+ * @param {Object[]} quotes - The saved quotes.
+ * @returns {string} The JSON text, an array of the quotes picked with `toExportedQuote`.
+ */
+export const quotesToJson = (quotes) => JSON.stringify(quotes.map(toExportedQuote), null, 2);
+
+/**
+ * Writes saved quotes as a CSV file.
+ * @param {Object[]} quotes - The saved quotes.
+ * @returns {string} The CSV text, with a header row.
+ */
+export const quotesToCsv = (quotes) => toCsv(quotes.map(toHistoryRecord), historyColumns);
@@ -0,0 +1,90 @@
+// Revisions of saved quotes. Re-quoting a saved quote prices its request again, and saves the new quote as a revision
+// that points at the quote it came from (`revisionOf`) and at the first quote of the chain (`revisionRoot`).
+// This module has no server dependencies, so the UI uses it too.
+
+/**
+ * Gets the revision chain a quote belongs to, from the first quote to the latest revision.
+ * @param {Object[]} quotes - The saved quotes to look through.
+ * @param {Object} quote - A quote of the chain.
+ * @returns {Object[]} The quotes of the chain, oldest first.
+ */
+export const getRevisionChain = (quotes, quote) => {
+  const root = quote.revisionRoot || quote.id;
+  return quotes.filter(other => other.id === root || other.revisionRoot === root)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Gets the revision fields for a new quote that revises a saved quote.
+ * @param {Object} original - The saved quote being revised.
+ * @returns {{ revisionOf: string, revisionRoot: string }} The fields to save on the new quote.
+ */
+export const toRevisionFields = (original) => ({
+  revisionOf: original.id,
+  revisionRoot: original.revisionRoot || original.id
+});
+
+/**
+ * Turns a saved quote back into the request it was priced from, so it can be priced again with the current rates.
+ * Quotes saved before they had a currency and units are in CAD, pounds and kms.
+ * @param {Object} quote - The saved quote.
+ * @returns {Object} The quote request.
+ */
+export const toQuoteRequest = (quote) => ({
+  stops: quote.stops || [quote.origin, quote.destination],
+  equipmentType: quote.equipmentType,
+  weight: quote.weight,
+  weightUnit: quote.weightUnit || "lb",
+  distanceUnit: quote.distanceUnit || "km",
+  currency: quote.currency || "CAD",
+  pickupDate: quote.pickupDate,
+  businessDaysOnly: Boolean(quote.transit?.businessDaysOnly),
+  customerId: quote.customerId || null,
+  accessorials: (quote.accessorials || []).map(({ code, type, quantity }) => (type === "hourly" ? { code, quantity } : { code }))
+});
+
+/**
+ * Lists the breakdown components of a quote, keyed so the same component can be found in another revision.
+ * @param {Object} quote - The quote.
+ * @returns {{ key: string, label: string, amount: number }[]} The components, in the order of the breakdown.
+ */
+const getBreakdownComponents = (quote) => [
+  { key: "baseRate", label: "Base Rate", amount: quote.baseRate },
+  { key: "stopCharge", label: "Stop Charge", amount: quote.stopCharge || 0 },
+  { key: "equipmentCharge", label: "Equipment Charge", amount: quote.equipmentCharge },
+  { key: "fuelSurcharge", label: "Fuel Surcharge", amount: quote.fuelSurcharge },
+  { key: "weightFactor", label: "Weight Factor", amount: quote.weightFactor },
+  ...(quote.accessorials || []).map(line => ({ key: `accessorial:${line.code}`, label: line.label, amount: line.amount })),
+  ...(quote.dateAdjustments || []).map(line => ({ key: `dateAdjustment:${line.code}`, label: line.label, amount: line.amount })),
+  { key: "total", label: "Total", amount: quote.total }
+];
+
+/**
+ * Compares the breakdowns of a revision chain side by side. Every component that any revision has gets a row, with
+ * its amount in each revision and the change from the revision before. Changes are only given between revisions
+ * in the same currency.
+ * @param {Object[]} chain - The quotes of the chain, oldest first, from `getRevisionChain`.
+ * @returns {{ key: string, label: string, amounts: (number | null)[], changes: (number | null)[] }[]} The rows, where
+ * an amount is `null` when the revision doesn't have the component, and the first revision has no changes.
+ */
+export const compareRevisions = (chain) => {
+  const components = chain.map(quote => new Map(getBreakdownComponents(quote).map(component => [component.key, component])));
+
+  // Keeps the order of the breakdown, adding components in the order the revisions first have them, with the total last.
+  const rows = new Map();
+  components.forEach(revision => revision.forEach(({ key, label }) => {
+    if (key !== "total" && !rows.has(key)) rows.set(key, label);
+  }));
+  rows.set("total", "Total");
+
+  return [...rows].map(([key, label]) => {
+    const amounts = components.map(revision => revision.has(key) ? revision.get(key).amount : null);
+    const changes = amounts.map((amount, index) => {
+      if (index === 0) return null;
+      if ((chain[index].currency || "CAD") !== (chain[index - 1].currency || "CAD")) return null;
+      if (amount === null && amounts[index - 1] === null) return null;
+      return (amount || 0) - (amounts[index - 1] || 0);
+    });
+    return { key, label, amounts, changes };
+  });
+}
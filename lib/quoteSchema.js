@@ -0,0 +1,330 @@
+import { isDateString } from "@/lib/calendar";
+import { toPounds, weightUnits, distanceUnits } from "@/lib/units";
+
+// Schemas for quote requests and the quotes priced from them. Problems are reported per field, each with one of the
+// error codes below, so the form can show them next to the matching input.
+
+// The codes of quote API errors, for the whole response and for each of its field errors.
+export const quoteErrorCodes = {
+  // The request has field errors, listed in `errors`.
+  invalidRequest: "invalid_request",
+  required: "required",
+  invalidType: "invalid_type",
+  invalidFormat: "invalid_format",
+  outOfRange: "out_of_range",
+  unknownValue: "unknown_value",
+  duplicate: "duplicate",
+  notAllowed: "not_allowed",
+  // The weight is over the legal limit of the equipment.
+  overLimit: "over_limit",
+  noRoute: "no_route",
+  distanceUnavailable: "distance_unavailable",
+  methodNotAllowed: "method_not_allowed",
+  serverError: "server_error"
+}
+
+const typeNames = { string: "text", number: "a number", boolean: "true or false", array: "a list", object: "an object" };
+const maximumStops = 10;
+const weightFormatter = new Intl.NumberFormat("en-CA", { maximumFractionDigits: 0 });
+
+/**
+ * Checks that a value has a type of the schema.
+ * @param {*} value - The value.
+ * @param {string} type - The type, one of the keys of `typeNames`.
+ * @returns {boolean} Whether the value has the type. Numbers have to be finite.
+ */
+const hasType = (value, type) => {
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  if (type === "array") return Array.isArray(value);
+  if (type === "object") return value !== null && typeof value === "object" && !Array.isArray(value);
+  return typeof value === type;
+}
+
+/**
+ * Checks a value against a rule of a schema, adding a field error for every problem found.
+ * A rule has a `label` and a `type`, and can have:
+ * - `required`, whether the value can be missing (`undefined`, `null` or blank text);
+ * - `forbidden`, a message for values that can never be given;
+ * - `format`, "date" for dates as "YYYY-MM-DD";
+ * - `oneOf`, the allowed values, or a function of the context that gets them;
+ * - `greaterThan`, for numbers;
+ * - `items`, the rule of every item of an array, where the `label` can be a function of the index and the array;
+ * - `properties`, the rules of the properties of an object;
+ * - `check`, a function of the value and the context that returns a `{ code, message }` problem or `null`,
+ *   only called once the rest of the rule passes. The problem can be on one of the value's properties, as its `field`.
+ * @param {*} value - The value.
+ * @param {Object} rule - The rule.
+ * @param {Object} options
+ * @param {string | null} options.field - The path of the value, e.g. "accessorials[1].quantity", or `null` for the request.
+ * @param {string} options.label - The name of the value in messages.
+ * @param {Object} options.context - What the rules check against, e.g. the rate table.
+ * @param {Object[]} errors - The field errors found so far, added to.
+ */
+const checkRule = (value, rule, { field, label, context }, errors) => {
+  const fail = (code, message, property) => errors.push({ field: property ? `${field}.${property}` : field, code, message });
+  if (rule.forbidden) {
+    if (value !== undefined) fail(quoteErrorCodes.notAllowed, rule.forbidden);
+    return;
+  }
+  if (value === undefined || value === null || (typeof value === "string" && !value.trim())) {
+    if (rule.required) fail(quoteErrorCodes.required, `${label} is required.`);
+    return;
+  }
+  if (!hasType(value, rule.type)) {
+    fail(quoteErrorCodes.invalidType, `${label} must be ${typeNames[rule.type]}.`);
+    return;
+  }
+  if (rule.format === "date" && !isDateString(value)) {
+    fail(quoteErrorCodes.invalidFormat, `${label} must be a date as YYYY-MM-DD.`);
+    return;
+  }
+  const allowed = typeof rule.oneOf === "function" ? rule.oneOf(context) : rule.oneOf;
+  if (allowed && !allowed.includes(value)) {
+    fail(quoteErrorCodes.unknownValue, `Unknown ${label.toLowerCase()} ${value}.`);
+    return;
+  }
+  if (rule.greaterThan !== undefined && value <= rule.greaterThan) {
+    fail(quoteErrorCodes.outOfRange, `${label} must be greater than ${rule.greaterThan}.`);
+    return;
+  }
+
+  const found = errors.length;
+  if (rule.items) {
+    value.forEach((item, index) => checkRule(item, rule.items, {
+      field: `${field}[${index}]`,
+      label: typeof rule.items.label === "function" ? rule.items.label(index, value) : `${rule.items.label} ${index + 1}`,
+      context
+    }, errors));
+  }
+  for (const [key, property] of Object.entries(rule.properties || {})) {
+    checkRule(value[key], property, { field: field ? `${field}.${key}` : key, label: property.label, context }, errors);
+  }
+  const problem = errors.length === found && rule.check && rule.check(value, context);
+  if (problem) fail(problem.code, problem.message, problem.field);
+}
+
+/**
+ * Checks a value against a schema.
+ * @param {*} value - The value, e.g. a quote request.
+ * @param {Object} schema - The rule of the whole value, see `checkRule`.
+ * @param {Object} [context] - What the rules check against.
+ * @returns {{ field: string | null, code: string, message: string }[]} The field errors, empty if the value is valid.
+ */
+export const validateSchema = (value, schema, context = {}) => {
+  const errors = [];
+  checkRule(value, schema, { field: null, label: schema.label, context }, errors);
+  return errors;
+}
+
+/**
+ * Gets the name of a stop of a route in messages.
+ * @param {number} index - The index of the stop.
+ * @param {string[]} stops - The stops of the route.
+ * @returns {string} "Origin", "Destination", or the number of an intermediate stop, e.g. "Stop 1".
+ */
+const stopLabel = (index, stops) => {
+  if (index === 0) return "Origin";
+  if (index === stops.length - 1) return "Destination";
+  return `Stop ${index}`;
+}
+
+// The fields every quote request has, whatever equipment it is priced for. The context has the `rateTable`,
+// the `currencies` quotes can be presented in, and `today` as "YYYY-MM-DD".
+const requestFields = {
+  stops: {
+    label: "Route",
+    type: "array",
+    required: true,
+    items: { label: stopLabel, type: "string", required: true },
+    check: (stops) => {
+      if (stops.length < 2) return { code: quoteErrorCodes.outOfRange, message: "A route needs an origin and a destination." };
+      if (stops.length > maximumStops) return { code: quoteErrorCodes.outOfRange, message: `A route can have at most ${maximumStops} stops.` };
+      return null;
+    }
+  },
+  weight: { label: "Weight", type: "number", required: true, greaterThan: 0 },
+  weightUnit: { label: "Weight unit", type: "string", oneOf: Object.keys(weightUnits) },
+  distanceUnit: { label: "Distance unit", type: "string", oneOf: Object.keys(distanceUnits) },
+  currency: { label: "Currency", type: "string", oneOf: ({ currencies }) => currencies },
+  pickupDate: {
+    label: "Pickup date",
+    type: "string",
+    required: true,
+    format: "date",
+    check: (pickupDate, { today }) => pickupDate < today
+      ? { code: quoteErrorCodes.outOfRange, message: "Pickup date cannot be in the past." }
+      : null
+  },
+  businessDaysOnly: { label: "Business days only", type: "boolean" },
+  customerId: { label: "Customer id", type: "string" },
+  accessorials: {
+    label: "Accessorials",
+    type: "array",
+    items: {
+      label: "Accessorial",
+      type: "object",
+      properties: {
+        code: { label: "Accessorial", type: "string", required: true, oneOf: ({ rateTable }) => Object.keys(rateTable.accessorials) },
+        quantity: { label: "Hours", type: "number", greaterThan: 0 }
+      },
+      // Hourly charges need the number of hours, other charges are applied once.
+      check: ({ code, quantity }, { rateTable }) => rateTable.accessorials[code].type === "hourly" && quantity === undefined
+        ? { field: "quantity", code: quoteErrorCodes.required, message: `Accessorial ${code} needs a positive number of hours.` }
+        : null
+    },
+    check: (accessorials) => {
+      const duplicate = accessorials.find((accessorial, index) => accessorials.findIndex(other => other.code === accessorial.code) !== index);
+      return duplicate ? { code: quoteErrorCodes.duplicate, message: `Accessorial ${duplicate.code} can only be added once.` } : null;
+    }
+  },
+  // Distances are only ever looked up or cached by the server, never taken from the caller.
+  distance: { forbidden: "Distances cannot be supplied by the client." },
+  cacheDistance: { forbidden: "Distances cannot be supplied by the client." }
+};
+
+// A request for a quote with one equipment type.
+export const quoteRequestSchema = {
+  label: "Quote request",
+  type: "object",
+  required: true,
+  properties: {
+    ...requestFields,
+    equipmentType: { label: "Equipment type", type: "string", required: true, oneOf: ({ rateTable }) => Object.keys(rateTable.equipment) }
+  }
+};
+
+// A request for options with several equipment types, to compare them.
+export const equipmentOptionsRequestSchema = {
+  label: "Quote request",
+  type: "object",
+  required: true,
+  properties: {
+    ...requestFields,
+    equipmentTypes: {
+      label: "Equipment types",
+      type: "array",
+      required: true,
+      items: { label: "Equipment type", type: "string", required: true, oneOf: ({ rateTable }) => Object.keys(rateTable.equipment) },
+      check: (types) => types.length === 0 ? { code: quoteErrorCodes.required, message: "Equipment types are required." } : null
+    }
+  }
+};
+
+// The amounts of a quote's breakdown, which both the customer's price and the carrier's cost have.
+const breakdownProperties = Object.fromEntries(["total", "baseRate", "weightFactor", "fuelSurcharge", "equipmentCharge", "stopCharge", "accessorialCharge", "dateAdjustmentCharge"]
+  .map(key => [key, { label: key, type: "number", required: true }]));
+
+// A priced quote, checked before it is returned so a broken rate table can't produce a quote that isn't a number.
+export const quoteSchema = {
+  label: "Quote",
+  type: "object",
+  properties: {
+    equipmentType: { label: "Equipment type", type: "string", required: true },
+    distance: { label: "Distance", type: "number", required: true },
+    days: { label: "Days", type: "number", required: true },
+    ...breakdownProperties,
+    carrierCost: { label: "Carrier cost", type: "object", required: true, properties: breakdownProperties },
+    margin: {
+      label: "Margin",
+      type: "object",
+      required: true,
+      properties: {
+        amount: { label: "Margin amount", type: "number", required: true },
+        percent: { label: "Margin percent", type: "number", required: true }
+      }
+    },
+    legs: {
+      label: "Legs",
+      type: "array",
+      required: true,
+      items: {
+        label: "Leg",
+        type: "object",
+        properties: {
+          distance: { label: "Distance", type: "number", required: true },
+          baseRate: { label: "Base rate", type: "number", required: true }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Checks the weight of a request against the legal limit of every equipment type it is priced for. Equipment without
+ * a `maxWeight` in the rate table has no limit.
+ * @param {Object} request - The quote request, with a valid `weight` and `weightUnit`.
+ * @param {string[]} equipmentTypes - The equipment types of the request.
+ * @param {Object} rateTable - The rate table.
+ * @returns {Object[]} A field error for the first equipment type the weight is over the limit of, or none.
+ */
+const checkWeightLimits = ({ weight, weightUnit = "lb" }, equipmentTypes, rateTable) => {
+  const type = equipmentTypes.find(type => rateTable.equipment[type].maxWeight && toPounds(weight, weightUnit) > rateTable.equipment[type].maxWeight);
+  if (!type) return [];
+  const { label, maxWeight } = rateTable.equipment[type];
+  const limit = `${weightFormatter.format(maxWeight * weightUnits[weightUnit].perPound)} ${weightUnits[weightUnit].label}`;
+  return [{ field: "weight", code: quoteErrorCodes.overLimit, message: `Weight is over the legal limit of ${limit} for ${label}.` }];
+}
+
+/**
+ * Validates a request with a schema, then the weight limits of its equipment. Requests with an `origin` and `destination`
+ * instead of `stops` get their errors on those fields. A missing request, or one that isn't an object, only gets the
+ * schema's error.
+ * @param {Object} request - The quote request.
+ * @param {Object} schema - The schema of the request.
+ * @param {Function} getEquipmentTypes - Gets the equipment types of a valid request.
+ * @param {Object} context - The `rateTable`, `currencies` and `today`.
+ * @returns {Object[]} The field errors, empty if the request is valid.
+ */
+const validateRequest = (request, schema, getEquipmentTypes, context) => {
+  if (!hasType(request, "object")) return validateSchema(request, schema, context);
+  const usesStops = request.stops !== undefined;
+  const normalized = usesStops ? request : { ...request, stops: [request.origin, request.destination] };
+  const errors = validateSchema(normalized, schema, context);
+  if (errors.length > 0) {
+    const aliases = usesStops ? {} : { "stops[0]": "origin", "stops[1]": "destination" };
+    return errors.map(error => ({ ...error, field: aliases[error.field] || error.field }));
+  }
+  return checkWeightLimits(request, getEquipmentTypes(request), context.rateTable);
+}
+
+/**
+ * Validates a request for a quote with one equipment type.
+ * @param {Object} request - The quote request.
+ * @param {Object} context - The `rateTable`, the `currencies` quotes can be presented in, and `today` as "YYYY-MM-DD".
+ * @returns {{ field: string | null, code: string, message: string }[]} The field errors, empty if the request is valid.
+ */
+export const validateQuoteRequest = (request, context) =>
+  validateRequest(request, quoteRequestSchema, ({ equipmentType }) => [equipmentType], context);
+
+/**
+ * Validates a request for options with several equipment types.
+ * @param {Object} request - The quote request, with `equipmentTypes`.
+ * @param {Object} context - The `rateTable`, the `currencies` quotes can be presented in, and `today` as "YYYY-MM-DD".
+ * @returns {{ field: string | null, code: string, message: string }[]} The field errors, empty if the request is valid.
+ */
+export const validateEquipmentOptionsRequest = (request, context) =>
+  validateRequest(request, equipmentOptionsRequestSchema, ({ equipmentTypes }) => equipmentTypes, context);
+
+/**
+ * Validates a priced quote.
+ * @param {Object} quote - The quote.
+ * @returns {{ field: string | null, code: string, message: string }[]} The field errors, empty if the quote is valid.
+ */
+export const validateQuote = (quote) => validateSchema(quote, quoteSchema);
+
+/**
+ * Builds the result of a quote that couldn't be priced.
+ * @param {number} status - The HTTP status that describes the problem.
+ * @param {string} code - The error code, one of `quoteErrorCodes`.
+ * @param {string} error - The message.
+ * @param {Object[]} [errors] - The field errors.
+ * @returns {{ status: number, code: string, error: string, errors: Object[] }} The result.
+ */
+export const quoteFailure = (status, code, error, errors = []) => ({ status, code, error, errors });
+
+/**
+ * Builds the result of a request with field errors, with the first error as its message.
+ * @param {Object[]} errors - The field errors.
+ * @returns {{ status: number, code: string, error: string, errors: Object[] }} The result.
+ */
+export const invalidRequest = (errors) => quoteFailure(400, quoteErrorCodes.invalidRequest, errors[0].message, errors);
@@ -0,0 +1,21 @@
+import { toDateString } from "@/lib/quoteStatus";
+
+// The answers a customer can give from a quote's link, as the status the quote moves to.
+export const customerResponses = ["accepted", "declined"];
+
+/**
+ * Checks if a quote's customer link has expired, which it does with the quote. Quotes that were accepted, declined
+ * or booked keep their status after their expiry date, but their link still stops working.
+ * @param {Object} quote - The saved quote.
+ * @param {Date} [now] - The current time.
+ * @returns {boolean} Whether the link has expired.
+ */
+export const isShareLinkExpired = (quote, now = new Date()) => quote.status === "expired" || toDateString(now) > quote.expiresAt;
+
+/**
+ * Checks if the customer can still accept or decline a quote from its link, which they can once it's sent to them.
+ * @param {Object} quote - The saved quote.
+ * @param {Date} [now] - The current time.
+ * @returns {boolean} Whether the customer can answer the quote.
+ */
+export const canRespond = (quote, now = new Date()) => quote.status === "sent" && !isShareLinkExpired(quote, now);
@@ -0,0 +1,69 @@
+// The lifecycle of a saved quote. This module has no server dependencies, so the UI uses it too.
+
+const day = 24 * 60 * 60 * 1000;
+
+// The statuses a quote can move to from each status, declined, expired and booked quotes are final.
+export const statusTransitions = {
+  "draft": ["sent", "expired"],
+  "sent": ["accepted", "declined", "expired"],
+  "accepted": ["booked", "expired"],
+  "declined": [],
+  "expired": [],
+  "booked": []
+}
+
+export const statusLabels = {
+  "draft": "Draft",
+  "sent": "Sent",
+  "accepted": "Accepted",
+  "declined": "Declined",
+  "expired": "Expired",
+  "booked": "Booked"
+}
+
+/**
+ * Formats a date as "YYYY-MM-DD", in the local time zone.
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+export const toDateString = (date) => {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Gets the last day a quote is valid: the end of its validity window, or its pickup date if that is sooner.
+ * @param {string} pickupDate - The pickup date of the quote, as "YYYY-MM-DD".
+ * @param {number} createdAt - When the quote was created, in milliseconds.
+ * @param {number} validityDays - How many days a quote is valid for after it's created.
+ * @returns {string} The expiry date, as "YYYY-MM-DD".
+ */
+export const getExpiryDate = (pickupDate, createdAt, validityDays) => {
+  const windowEnd = toDateString(new Date(createdAt + validityDays * day));
+  return pickupDate < windowEnd ? pickupDate : windowEnd;
+}
+
+/**
+ * Checks if a quote can move from one status to another.
+ * @param {string} from - The current status.
+ * @param {string} to - The new status.
+ * @returns {boolean} Whether the transition is allowed.
+ */
+export const canTransition = (from, to) => (statusTransitions[from] || []).includes(to);
+
+/**
+ * Marks a quote as expired if it's past its expiry date and hasn't reached a final status.
+ * @param {Object} quote - The saved quote.
+ * @param {Date} [now] - The current time.
+ * @returns {Object} The quote, or an expired copy of it.
+ */
+export const expireIfStale = (quote, now = new Date()) => {
+  if (!quote.expiresAt || toDateString(now) <= quote.expiresAt || !canTransition(quote.status, "expired")) {
+    return quote;
+  }
+  return {
+    ...quote,
+    status: "expired",
+    statusHistory: [...(quote.statusHistory || []), { status: "expired", at: now.getTime() }]
+  };
+}
@@ -0,0 +1,185 @@
+import { randomBytes, randomUUID } from "crypto";
+import { expireIfStale, getExpiryDate } from "@/lib/quoteStatus";
+import { createFileStore, createMemoryStore, dataPath } from "@/lib/store";
+
+/**
+ * Sorts quotes by their pickup date, and then by when they were created.
+ * @param {Object} a - The first quote.
+ * @param {Object} b - The second quote.
+ * @returns {number} A negative number if `a` comes first, a positive number if `b` comes first.
+ */
+export const sortQuotes = (a, b) => {
+  if (new Date(a.pickupDate) - new Date(b.pickupDate) == 0) {
+    return a.timestamp - b.timestamp;
+  }
+  return new Date(a.pickupDate) - new Date(b.pickupDate);
+}
+
+/**
+ * Filters quotes by origin, destination, equipment type and customer. Empty filters match every quote.
+ * @param {Object[]} quotes - The quotes to filter.
+ * @param {Object} filters - The 'origin' and 'destination' to search for, the exact 'equipment' type, and the id of the 'customer'.
+ * @returns {Object[]} The quotes that match every filter.
+ */
+export const filterQuotes = (quotes, { origin = "", destination = "", equipment = "", customer = "" }) => quotes.filter((quote) =>
+  (origin.length === 0 || (quote.origin && quote.origin.toLowerCase().includes(origin.toLowerCase()))) &&
+  (destination.length === 0 || (quote.destination && quote.destination.toLowerCase().includes(destination.toLowerCase()))) &&
+  (equipment.length === 0 || quote.equipmentType === equipment) &&
+  (customer.length === 0 || quote.customerId === customer)
+);
+
+/**
+ * Reads the quote filters from a request's query parameters.
+ * @param {Object} query - The query parameters, with optional 'origin', 'destination', 'equipment' and 'customer'.
+ * @returns {{ origin: string, destination: string, equipment: string, customer: string }} The filters for `filterQuotes`.
+ */
+export const parseQuoteFilters = (query) => ({
+  origin: String(query.origin ?? ""),
+  destination: String(query.destination ?? ""),
+  equipment: String(query.equipment ?? ""),
+  customer: String(query.customer ?? "")
+});
+
+/**
+ * Gets one page of items.
+ * @param {Object[]} items - All of the items.
+ * @param {number} page - The page to get, starting at 1.
+ * @param {number} pageSize - How many items are on a page.
+ * @returns {{ items: Object[], page: number, pageSize: number, total: number, totalPages: number }} The page, and the totals.
+ */
+export const paginate = (items, page, pageSize) => {
+  const startIndex = (page - 1) * pageSize;
+  return {
+    items: items.slice(startIndex, startIndex + pageSize),
+    page,
+    pageSize,
+    total: items.length,
+    totalPages: Math.ceil(items.length / pageSize)
+  };
+}
+
+/**
+ * Creates the unguessable token of a quote's customer link.
+ * @returns {string} The token, URL safe.
+ */
+const createShareToken = () => randomBytes(24).toString("base64url");
+
+/**
+ * Creates the repository that saved quotes are read from and written to. Quotes are marked as expired
+ * when they are read after their expiry date.
+ * @param {Object} store - Where the quotes are kept, from `lib/store`.
+ * @param {Object} options
+ * @param {number} options.validityDays - How many days a quote is valid for after it's created.
+ * @returns {Object} The repository, with async `list`, `get`, `findByShareToken`, `create`, `update` and `delete` methods.
+ */
+export const createQuoteRepository = (store, { validityDays }) => {
+  /**
+   * Gives a stored quote its lifecycle and customer link, for quotes saved before they had them, and expires it if
+   * it's stale. Quotes that change are saved again.
+   * @param {Object} stored - The quote, as it is in the store.
+   * @returns {Promise<Object>} The up to date quote.
+   */
+  const refresh = async (stored) => {
+    const quote = expireIfStale({
+      status: "draft",
+      statusHistory: [],
+      expiresAt: getExpiryDate(stored.pickupDate, stored.timestamp, validityDays),
+      shareToken: stored.imported ? null : createShareToken(),
+      ...stored
+    });
+    if (quote.status !== stored.status || stored.expiresAt === undefined || stored.shareToken === undefined) {
+      await store.set(quote.id, quote);
+    }
+    return quote;
+  };
+
+  return {
+    /**
+     * Gets every saved quote.
+     * @returns {Promise<Object[]>} The quotes, sorted with `sortQuotes`.
+     */
+    list: async () => {
+      const quotes = [];
+      for (const [, stored] of await store.entries()) {
+        quotes.push(await refresh(stored));
+      }
+      return quotes.sort(sortQuotes);
+    },
+
+    /**
+     * Gets a saved quote.
+     * @param {string} id - The id of the quote.
+     * @returns {Promise<Object | null>} The quote, or `null` if it doesn't exist.
+     */
+    get: async (id) => {
+      const stored = await store.get(id);
+      return stored ? await refresh(stored) : null;
+    },
+
+    /**
+     * Finds the saved quote a customer link is for. Imported quotes were priced in the browser, so they have no link.
+     * @param {string} token - The token of the link.
+     * @returns {Promise<Object | null>} The quote, or `null` if no quote has the token.
+     */
+    findByShareToken: async (token) => {
+      if (typeof token !== "string" || token.length === 0) return null;
+      for (const [, stored] of await store.entries()) {
+        if (stored.shareToken === token && !stored.imported) return await refresh(stored);
+      }
+      return null;
+    },
+
+    /**
+     * Saves a new quote as a draft, giving it an id, an expiry date and the token of its customer link, unless it's
+     * imported.
+     * @param {Object} quote - The quote to save.
+     * @returns {Promise<Object>} The saved quote.
+     */
+    create: async (quote) => {
+      const saved = {
+        ...quote,
+        id: randomUUID(),
+        status: "draft",
+        statusHistory: [{ status: "draft", at: quote.timestamp }],
+        expiresAt: getExpiryDate(quote.pickupDate, quote.timestamp, validityDays),
+        shareToken: quote.imported ? null : createShareToken()
+      };
+      await store.set(saved.id, saved);
+      return saved;
+    },
+
+    /**
+     * Changes the values of a saved quote.
+     * @param {string} id - The id of the quote.
+     * @param {Object} changes - The values to change.
+     * @returns {Promise<Object | null>} The updated quote, or `null` if it doesn't exist.
+     */
+    update: async (id, changes) => {
+      const stored = await store.get(id);
+      if (!stored) return null;
+      const updated = { ...stored, ...changes, id };
+      await store.set(id, updated);
+      return updated;
+    },
+
+    /**
+     * Deletes a saved quote.
+     * @param {string} id - The id of the quote.
+     * @returns {Promise<boolean>} Whether the quote existed.
+     */
+    delete: async (id) => {
+      if (!(await store.get(id))) return false;
+      await store.delete(id);
+      return true;
+    }
+  };
+}
+
+// The repository used by the API, set `QUOTE_STORE` to "memory" to keep quotes in memory instead of a file.
+// Quotes are valid for `QUOTE_VALIDITY_DAYS` days, or until their pickup date if that is sooner.
+export const quoteRepository = createQuoteRepository(
+  process.env.QUOTE_STORE === "memory"
+    ? createMemoryStore("quotes")
+    : createFileStore(process.env.QUOTE_STORE_FILE || dataPath("quotes.json")),
+  { validityDays: parseFloat(process.env.QUOTE_VALIDITY_DAYS || 7) }
+);
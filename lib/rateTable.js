@@ -0,0 +1,82 @@
+import fs from "fs";
+import path from "path";
+
+// Directory holding the versioned rate tables, one JSON file per version.
+const rateTableDir = process.env.RATE_TABLE_DIR || path.join(process.cwd(), "config", "rate-tables");
+
+const isRate = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+/**
+ * Checks that a rate table has every value the pricing logic depends on.
+ * @param {Object} table - The parsed rate table.
+ * @returns {string[]} The problems found with the table, empty if it is valid.
+ */
+export const validateRateTable = (table) => {
+  const problems = [];
+  if (!table || typeof table !== "object") return ["rate table must be an object"];
+
+  if (typeof table.version !== "string" || table.version.length === 0) problems.push("version must be a non-empty string");
+  if (isNaN(Date.parse(table.effectiveDate))) problems.push("effectiveDate must be a valid date");
+  if (!isRate(table.baseRatePerKm)) problems.push("baseRatePerKm must be a non-negative number");
+  if (!isRate(table.weightThreshold)) problems.push("weightThreshold must be a non-negative number");
+  if (!isRate(table.weightFactorPer100)) problems.push("weightFactorPer100 must be a non-negative number");
+  if (!isRate(table.stopCharge)) problems.push("stopCharge must be a non-negative number");
+
+  const fuel = table.fuelSurcharge || {};
+  if (!isRate(fuel.belowThreshold)) problems.push("fuelSurcharge.belowThreshold must be a non-negative number");
+  if (!isRate(fuel.atOrAboveThreshold)) problems.push("fuelSurcharge.atOrAboveThreshold must be a non-negative number");
+
+  const equipment = table.equipment || {};
+  if (Object.keys(equipment).length === 0) problems.push("equipment must define at least one type");
+  for (const [type, { label, multiplier, maxWeight } = {}] of Object.entries(equipment)) {
+    if (typeof label !== "string" || label.length === 0) problems.push(`equipment.${type}.label must be a non-empty string`);
+    if (!isRate(multiplier)) problems.push(`equipment.${type}.multiplier must be a non-negative number`);
+    // The legal weight limit in pounds, optional.
+    if (maxWeight !== undefined && !(isRate(maxWeight) && maxWeight > 0)) problems.push(`equipment.${type}.maxWeight must be a positive number`);
+  }
+
+  const accessorialTypes = ["flat", "hourly", "percent"];
+  if (!table.accessorials || typeof table.accessorials !== "object") problems.push("accessorials must be an object");
+  for (const [code, { label, type, amount } = {}] of Object.entries(table.accessorials || {})) {
+    if (typeof label !== "string" || label.length === 0) problems.push(`accessorials.${code}.label must be a non-empty string`);
+    if (!accessorialTypes.includes(type)) problems.push(`accessorials.${code}.type must be one of ${accessorialTypes.join(", ")}`);
+    if (!isRate(amount)) problems.push(`accessorials.${code}.amount must be a non-negative number`);
+  }
+
+  return problems;
+}
+
+/**
+ * Reads and validates every rate table, throwing if any of them are invalid.
+ * @returns {Object[]} The rate tables, sorted by effective date with the newest first.
+ */
+export const loadRateTables = () => {
+  const files = fs.readdirSync(rateTableDir).filter(file => file.endsWith(".json"));
+  const tables = files.map(file => {
+    const table = JSON.parse(fs.readFileSync(path.join(rateTableDir, file), "utf8"));
+    const problems = validateRateTable(table);
+    if (problems.length > 0) {
+      throw new Error(`Invalid rate table ${file}: ${problems.join(", ")}.`);
+    }
+    return table;
+  });
+  return tables.sort((a, b) => new Date(b.effectiveDate) - new Date(a.effectiveDate));
+}
+
+/**
+ * Gets the rate table that quotes should be priced with. `RATE_TABLE_VERSION` pins a specific version,
+ * otherwise the newest table that is already in effect is used.
+ * @param {string} [version] - A specific version to look up, instead of the active one.
+ * @returns {Object} The rate table.
+ */
+export const getRateTable = (version = process.env.RATE_TABLE_VERSION) => {
+  const tables = loadRateTables();
+  const table = version
+    ? tables.find(table => table.version === version)
+    : tables.find(table => new Date(table.effectiveDate) <= new Date());
+
+  if (!table) {
+    throw new Error(version ? `Rate table ${version} does not exist.` : "No rate table is in effect.");
+  }
+  return table;
+}
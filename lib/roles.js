@@ -0,0 +1,31 @@
+// The roles a user can have. This module has no server dependencies, so the UI uses it too.
+
+export const roleLabels = {
+  "sales_rep": "Sales Rep",
+  "pricing_admin": "Pricing Admin"
+}
+
+/**
+ * Checks if a user is a pricing admin, who can see every quote and manage users.
+ * @param {Object | null} user - The signed in user.
+ * @returns {boolean} Whether the user is a pricing admin.
+ */
+export const isPricingAdmin = (user) => Boolean(user) && user.role === "pricing_admin";
+
+/**
+ * Checks if a user can see and change a saved quote. Sales reps only have access to the quotes they created,
+ * and quotes saved before they had an owner are only visible to admins.
+ * @param {Object} user - The signed in user.
+ * @param {Object} quote - The saved quote.
+ * @returns {boolean} Whether the user has access to the quote.
+ */
+export const canAccessQuote = (user, quote) => isPricingAdmin(user) || (Boolean(quote.ownerId) && quote.ownerId === user.id);
+
+/**
+ * Checks if a user can change or delete a saved location. Its coordinates price every quote to or from its address,
+ * so only the user who saved it and admins can, and locations saved before they had a creator are admin only.
+ * @param {Object} user - The signed in user.
+ * @param {Object} location - The saved location.
+ * @returns {boolean} Whether the user can change the location.
+ */
+export const canEditSavedLocation = (user, location) => isPricingAdmin(user) || (Boolean(location.createdBy) && location.createdBy === user.id);
@@ -0,0 +1,94 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Key-value stores used for the server's data. Every store has async `get`, `set`, `delete` and `entries`
+// methods, so the memory and file stores can be swapped for one backed by a database.
+
+/**
+ * Gets the path of a file in the data directory, which can be moved with `DATA_DIR`.
+ * @param {string} name - The name of the file.
+ * @returns {string} The path of the file.
+ */
+export const dataPath = (name) => path.join(process.env.DATA_DIR || path.join(process.cwd(), "data"), name);
+
+// The stores created so far, by their name or file. Next.js bundles pages and API routes separately, each with its own
+// copy of this module, so they are kept on `globalThis` for every bundle to use the same entries.
+const sharedStores = globalThis[Symbol.for("freightquote.stores")] ??= new Map();
+
+/**
+ * Gets a shared store, creating it the first time it's used.
+ * @param {string} key - What the store is shared by.
+ * @param {Function} create - Creates the store.
+ * @returns {Object} The store.
+ */
+const getSharedStore = (key, create) => {
+  if (!sharedStores.has(key)) sharedStores.set(key, create());
+  return sharedStores.get(key);
+}
+
+/**
+ * Creates a store that keeps entries in memory, they are lost when the server restarts. Stores with the same name
+ * are shared, and a store without a name is only used by its caller.
+ * @param {string} [name] - The name of the store.
+ * @returns {Object} A store with async `get`, `set`, `delete` and `entries` methods.
+ */
+export const createMemoryStore = (name) => {
+  const create = () => {
+    const entries = new Map();
+    return {
+      get: async (key) => entries.get(key),
+      set: async (key, value) => { entries.set(key, value); },
+      delete: async (key) => { entries.delete(key); },
+      entries: async () => [...entries.entries()]
+    };
+  };
+  return name ? getSharedStore(`memory:${name}`, create) : create();
+}
+
+/**
+ * Creates a store that keeps entries in a JSON file, so they survive server restarts. Stores for the same file
+ * are shared.
+ * @param {string} filePath - The path of the JSON file, created on the first write.
+ * @returns {Object} A store with async `get`, `set`, `delete` and `entries` methods.
+ */
+export const createFileStore = (filePath) => getSharedStore(`file:${path.resolve(filePath)}`, () => {
+  let loading = null;
+  let writing = Promise.resolve();
+
+  // Reads the file once, and keeps the entries in memory afterwards.
+  const load = () => {
+    loading ??= fs.readFile(filePath, "utf8")
+      .then(contents => JSON.parse(contents))
+      .catch(error => {
+        if (error.code !== "ENOENT") throw error;
+        return {};
+      });
+    return loading;
+  };
+
+  // Writes are queued, and go through a temporary file so a crash never leaves the file half written.
+  // A failed write is reported to its caller, without blocking the writes queued after it.
+  const save = (entries) => {
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, JSON.stringify(entries));
+      await fs.rename(`${filePath}.tmp`, filePath);
+    });
+    return writing;
+  };
+
+  return {
+    get: async (key) => (await load())[key],
+    set: async (key, value) => {
+      const entries = await load();
+      entries[key] = value;
+      await save(entries);
+    },
+    delete: async (key) => {
+      const entries = await load();
+      delete entries[key];
+      await save(entries);
+    },
+    entries: async () => Object.entries(await load())
+  };
+});
@@ -0,0 +1,89 @@
+import fs from "fs";
+import path from "path";
+import { addDays, isWeekend } from "@/lib/calendar";
+
+// File holding the hours-of-service rules that transit times are estimated with.
+const transitRulesFile = process.env.TRANSIT_RULES_FILE || path.join(process.cwd(), "config", "transit.json");
+
+const isPositive = (value) => typeof value === "number" && value > 0;
+const isNonNegative = (value) => typeof value === "number" && value >= 0;
+
+/**
+ * Checks that the transit rules have every value the estimator depends on.
+ * @param {Object} rules - The parsed transit rules.
+ * @returns {string[]} The problems found with the rules, empty if they are valid.
+ */
+export const validateTransitRules = (rules) => {
+  if (!rules || typeof rules !== "object") return ["transit rules must be an object"];
+  const problems = [];
+  for (const key of ["averageSpeedKmh", "drivingHoursPerDay", "dutyHoursPerDay", "breakAfterHours", "teamDrivingHoursPerDay"]) {
+    if (!isPositive(rules[key])) problems.push(`${key} must be a positive number`);
+  }
+  for (const key of ["breakMinutes", "stopHours"]) {
+    if (!isNonNegative(rules[key])) problems.push(`${key} must be a non-negative number`);
+  }
+  if (!Number.isInteger(rules.deliveryWindowDays) || rules.deliveryWindowDays < 0) problems.push("deliveryWindowDays must be a non-negative integer");
+  if (rules.teamDriverAccessorial != null && typeof rules.teamDriverAccessorial !== "string") problems.push("teamDriverAccessorial must be a string");
+  return problems;
+}
+
+/**
+ * Reads and validates the transit rules, throwing if they are invalid.
+ * @returns {Object} The transit rules.
+ */
+export const loadTransitRules = () => {
+  const rules = JSON.parse(fs.readFileSync(transitRulesFile, "utf8"));
+  const problems = validateTransitRules(rules);
+  if (problems.length > 0) {
+    throw new Error(`Invalid transit rules: ${problems.join(", ")}.`);
+  }
+  return rules;
+}
+
+/**
+ * Gets how many hours a truck can drive in a day. A solo driver is limited by their driving hours, and by their
+ * duty hours once the mandatory breaks are taken out. Team drivers take turns, so the truck keeps moving through breaks.
+ * @param {Object} rules - The transit rules, from `loadTransitRules`.
+ * @param {boolean} teamDriving - Whether the truck has a team of drivers.
+ * @returns {number} The driving hours per day.
+ */
+export const getDailyDrivingHours = (rules, teamDriving) => {
+  if (teamDriving) return rules.teamDrivingHoursPerDay;
+  const breaks = Math.ceil(rules.drivingHoursPerDay / rules.breakAfterHours) - 1;
+  return Math.min(rules.drivingHoursPerDay, rules.dutyHoursPerDay - breaks * rules.breakMinutes / 60);
+}
+
+/**
+ * Estimates the transit time of a trip, and the window it will be delivered in.
+ * @param {Object} trip
+ * @param {number} trip.distance - The distance of the trip, in kms.
+ * @param {number} trip.stopCount - How many stops there are between the origin and the destination.
+ * @param {string} trip.pickupDate - The pickup date, as "YYYY-MM-DD".
+ * @param {boolean} trip.teamDriving - Whether the truck has a team of drivers.
+ * @param {boolean} trip.businessDaysOnly - Whether the truck only drives on weekdays that aren't holidays.
+ * @param {Object} rules - The transit rules, from `loadTransitRules`.
+ * @param {Map<string, string>} holidays - The holidays, from `loadHolidays`.
+ * @returns {Object} The transit `days`, `drivingHours`, and the `earliestDelivery` and `latestDelivery` dates,
+ * along with the options it was estimated with.
+ */
+export const estimateTransit = ({ distance, stopCount, pickupDate, teamDriving, businessDaysOnly }, rules, holidays) => {
+  // Every stop takes time to load or unload, which counts against the day's hours like driving does.
+  const drivingHours = distance / rules.averageSpeedKmh;
+  const hours = drivingHours + stopCount * rules.stopHours;
+  const days = Math.max(1, Math.ceil(hours / getDailyDrivingHours(rules, teamDriving)));
+
+  const isWorkingDay = (date) => !businessDaysOnly || (!isWeekend(date) && !holidays.has(date));
+  const nextWorkingDay = (date) => {
+    let next = date;
+    while (!isWorkingDay(next)) next = addDays(next, 1);
+    return next;
+  };
+
+  // The truck leaves on the pickup date (or the first working day after it), and drives one working day at a time.
+  let earliestDelivery = nextWorkingDay(pickupDate);
+  for (let day = 1; day < days; day++) earliestDelivery = nextWorkingDay(addDays(earliestDelivery, 1));
+  let latestDelivery = earliestDelivery;
+  for (let day = 0; day < rules.deliveryWindowDays; day++) latestDelivery = nextWorkingDay(addDays(latestDelivery, 1));
+
+  return { days, drivingHours, teamDriving, businessDaysOnly, earliestDelivery, latestDelivery };
+}
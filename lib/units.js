@@ -0,0 +1,28 @@
+// Units that weights and distances can be entered and presented in. This module has no server dependencies,
+// so the UI uses it too. Rate tables and distance providers work in pounds and kilometres.
+
+export const weightUnits = {
+  "lb": { label: "lbs", name: "Pounds", perPound: 1 },
+  "kg": { label: "kg", name: "Kilograms", perPound: 0.45359237 }
+}
+
+export const distanceUnits = {
+  "km": { label: "km", name: "Kilometres", perKm: 1 },
+  "mi": { label: "mi", name: "Miles", perKm: 0.621371192 }
+}
+
+/**
+ * Converts a weight to pounds.
+ * @param {number} weight - The weight.
+ * @param {string} unit - The unit of the weight ('lb' or 'kg').
+ * @returns {number} The weight in pounds.
+ */
+export const toPounds = (weight, unit) => weight / weightUnits[unit].perPound;
+
+/**
+ * Converts a distance from kilometres.
+ * @param {number} distance - The distance in kilometres.
+ * @param {string} unit - The unit to convert to ('km' or 'mi').
+ * @returns {number} The distance in the unit.
+ */
+export const fromKm = (distance, unit) => distance * distanceUnits[unit].perKm;
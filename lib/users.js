@@ -0,0 +1,155 @@
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import { roleLabels } from "@/lib/roles";
+import { createFileStore, createMemoryStore, dataPath } from "@/lib/store";
+
+const scryptAsync = promisify(scrypt);
+const keyLength = 64;
+const minimumPasswordLength = 8;
+
+/**
+ * Hashes a password with a random salt, so the credential store never holds passwords.
+ * @param {string} password - The password to hash.
+ * @returns {Promise<string>} The salt and the hash, as "salt:hash" in hex.
+ */
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString("hex");
+  const hash = await scryptAsync(password, salt, keyLength);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+/**
+ * Checks a password against a hash from `hashPassword`, in constant time.
+ * @param {string} password - The password to check.
+ * @param {string} passwordHash - The stored salt and hash.
+ * @returns {Promise<boolean>} Whether the password matches.
+ */
+export const verifyPassword = async (password, passwordHash) => {
+  const [salt, hash] = passwordHash.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scryptAsync(password, salt, keyLength);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Removes the password hash from a user, for sending it to the browser.
+ * @param {Object} user - The stored user.
+ * @returns {{ id: string, username: string, name: string, role: string }} The user's public details.
+ */
+export const toPublicUser = ({ id, username, name, role }) => ({ id, username, name, role });
+
+/**
+ * Checks the details of a new user, or the changes to an existing one.
+ * @param {Object} details - The `username`, `name`, `role` and `password` of the user.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Whether missing details are allowed, for changes.
+ * @returns {string | null} The problem with the details, or `null` if they are valid.
+ */
+export const validateUserDetails = ({ username, name, role, password }, { partial = false } = {}) => {
+  if (!partial || username !== undefined) {
+    if (typeof username !== 'string' || !/^[a-z0-9._-]{3,32}$/i.test(username)) {
+      return 'Username must be 3 to 32 letters, numbers, dots, dashes or underscores.';
+    }
+  }
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Name is required.';
+  }
+  if ((!partial || role !== undefined) && !Object.hasOwn(roleLabels, role)) {
+    return `Unknown role ${role}.`;
+  }
+  if ((!partial || password !== undefined) && (typeof password !== 'string' || password.length < minimumPasswordLength)) {
+    return `Password must be at least ${minimumPasswordLength} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Creates the repository of users and their credentials. Usernames are case-insensitive.
+ * @param {Object} store - Where the users are kept, from `lib/store`.
+ * @returns {Object} The repository, with async `list`, `get`, `findByUsername`, `create`, `update` and `delete` methods.
+ */
+export const createUserRepository = (store) => {
+  const findByUsername = async (username) => {
+    const normalized = String(username).toLowerCase();
+    const entry = (await store.entries()).find(([, user]) => user.username === normalized);
+    return entry ? entry[1] : null;
+  };
+
+  return {
+    /**
+     * Gets every user.
+     * @returns {Promise<Object[]>} The stored users, sorted by username.
+     */
+    list: async () => (await store.entries()).map(([, user]) => user).sort((a, b) => a.username.localeCompare(b.username)),
+
+    /**
+     * Gets a user.
+     * @param {string} id - The id of the user.
+     * @returns {Promise<Object | null>} The stored user, or `null` if they don't exist.
+     */
+    get: async (id) => (await store.get(id)) || null,
+
+    /**
+     * Finds a user by their username.
+     * @param {string} username - The username, in any case.
+     * @returns {Promise<Object | null>} The stored user, or `null` if there isn't one.
+     */
+    findByUsername,
+
+    /**
+     * Creates a user, with their password hashed.
+     * @param {Object} details - The `username`, `name`, `role` and `password` of the user, checked with `validateUserDetails`.
+     * @returns {Promise<Object | null>} The stored user, or `null` if the username is taken.
+     */
+    create: async ({ username, name, role, password }) => {
+      if (await findByUsername(username)) return null;
+      const user = {
+        id: randomUUID(),
+        username: username.toLowerCase(),
+        name: name.trim(),
+        role,
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().getTime()
+      };
+      await store.set(user.id, user);
+      return user;
+    },
+
+    /**
+     * Changes the name, role or password of a user.
+     * @param {string} id - The id of the user.
+     * @param {Object} changes - The new `name`, `role` or `password`, checked with `validateUserDetails`.
+     * @returns {Promise<Object | null>} The updated user, or `null` if they don't exist.
+     */
+    update: async (id, { name, role, password }) => {
+      const stored = await store.get(id);
+      if (!stored) return null;
+      const updated = {
+        ...stored,
+        ...(name !== undefined && { name: name.trim() }),
+        ...(role !== undefined && { role }),
+        ...(password !== undefined && { passwordHash: await hashPassword(password) })
+      };
+      await store.set(id, updated);
+      return updated;
+    },
+
+    /**
+     * Deletes a user. The quotes they created are kept.
+     * @param {string} id - The id of the user.
+     * @returns {Promise<boolean>} Whether the user existed.
+     */
+    delete: async (id) => {
+      if (!(await store.get(id))) return false;
+      await store.delete(id);
+      return true;
+    }
+  };
+}
+
+// The repository used by the API, set `USER_STORE` to "memory" to keep users in memory instead of a file.
+export const userRepository = createUserRepository(
+  process.env.USER_STORE === "memory"
+    ? createMemoryStore("users")
+    : createFileStore(process.env.USER_STORE_FILE || dataPath("users.json"))
+);
@@ -0,0 +1,228 @@
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { ArrowLeftIcon, CalendarIcon, ChartBarIcon } from "@heroicons/react/24/outline";
+import BarChart from "@/components/BarChart";
+import QuoteFilters from "@/components/QuoteFilters";
+import TrendChart from "@/components/TrendChart";
+import { formatCurrency, formatWeight, numberFormatter, percentFormatter } from "@/components/utils";
+import { getSessionUser, redirectToSignIn } from "@/lib/auth";
+import { customerRepository } from "@/lib/customers";
+import { analyticsIntervals, formatPeriod } from "@/lib/quoteAnalytics";
+import { getRateTable } from "@/lib/rateTable";
+
+const inputClassName = "border border-slate-600 rounded-xl px-3 py-2 w-full focus:ring-indigo-500 focus:border-transparent transition bg-slate-700 text-slate-50";
+
+// Helper component for styled card containers
+const Card = ({ title, children, className = "" }) => (
+  <div className={`bg-slate-800 rounded-xl shadow-lg border border-slate-700 p-6 ${className}`}>
+    <h2 className="text-lg font-bold text-indigo-400 mb-4">{title}</h2>
+    {children}
+  </div>
+);
+
+// Helper component for a summary figure
+const Metric = ({ title, value }) => (
+  <div className="bg-slate-800 p-4 rounded-xl border border-slate-700 shadow-lg">
+    <p className="text-xs font-medium text-slate-400">{title}</p>
+    <p className="text-2xl font-extrabold text-slate-50 mt-1">{value}</p>
+  </div>
+);
+
+/**
+ * Formats a rate per km, e.g. "$2.35/km".
+ * @param {number | null} rate - The rate, in CAD.
+ * @returns {string} The formatted rate.
+ */
+const formatRatePerKm = (rate) => rate === null ? 'N/A' : `${formatCurrency(rate)}/km`;
+
+/**
+ * Formats an average weight in pounds, rounded to a whole number.
+ * @param {number | null} weight - The weight.
+ * @returns {string} The formatted weight.
+ */
+const formatAverageWeight = (weight) => weight === null ? 'N/A' : formatWeight(Math.round(weight));
+
+/**
+ * Loads the equipment of the active rate table and the customers on the server, for the filters.
+ * Visitors have to sign in first.
+ * @returns {{ props: { equipmentTypes: Object, customers: Object[] } } | { redirect: Object }}
+ */
+export const getServerSideProps = async ({ req, resolvedUrl }) => {
+  const user = await getSessionUser(req);
+  if (!user) return redirectToSignIn(resolvedUrl);
+  return {
+    props: {
+      equipmentTypes: getRateTable().equipment,
+      customers: await customerRepository.list()
+    }
+  };
+}
+
+export default function AnalyticsPage({ equipmentTypes, customers }) {
+  const [filters, setFilters] = useState({ origin: "", destination: "", equipment: "", customer: "", from: "", to: "" });
+  const [grouping, setGrouping] = useState("month");
+  // The aggregated quotes from `api/quotes/analytics`, `null` until they have loaded.
+  const [analytics, setAnalytics] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  // Fetches the analytics whenever the filters or the grouping change, ignoring responses that are outdated.
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = new URLSearchParams({ ...filters, interval: grouping });
+    fetch(`/api/quotes/analytics?${params}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(data => {
+        if (data.error) throw new Error(data.error);
+        setErrorMessage("");
+        setAnalytics(data.analytics);
+      })
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        console.error("Quote analytics error:", err);
+        setErrorMessage(err.message);
+      });
+    return () => controller.abort();
+  }, [filters, grouping]);
+
+  /**
+   * Changes a filter.
+   * @param {string} key - The filter ('origin', 'destination', 'equipment', 'customer', 'from' or 'to').
+   * @param {string} value - The value to filter with.
+   */
+  const changeFilter = (key, value) => setFilters(current => ({ ...current, [key]: value }));
+
+  const equipmentLabel = (type) => equipmentTypes[type]?.label || type;
+  const laneLabel = (lane) => `${lane.origin} → ${lane.destination}`;
+  const totals = analytics?.totals;
+
+  return (
+    <div className="min-h-screen bg-slate-900 text-slate-50 font-sans pb-20">
+      <Head>
+        <title>Analytics - FreightQuote Pro</title>
+      </Head>
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-10 space-y-8">
+
+        {/* Header */}
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-extrabold text-slate-50 tracking-tight flex items-center gap-2">
+              <ChartBarIcon className="w-8 h-8 text-indigo-500" />
+              Quote Analytics
+            </h1>
+            <p className="text-slate-400 text-sm">Quoted rates, volumes and lanes, in CAD, kms and pounds.</p>
+          </div>
+          <Link
+            href="/"
+            className="inline-flex items-center gap-1.5 text-sm font-medium px-3 py-1.5 rounded-full text-slate-400 hover:text-slate-200 hover:bg-slate-700 transition-colors"
+          >
+            <ArrowLeftIcon className="w-4 h-4" />
+            Back to Quotes
+          </Link>
+        </div>
+
+        {/* Filters, the same as the history's, with the dates the quotes were created between */}
+        <div>
+          <QuoteFilters filters={filters} onChange={changeFilter} equipmentTypes={equipmentTypes} customers={customers} />
+          <div className="flex flex-col md:flex-row md:items-end gap-4">
+            <label className="block text-xs text-slate-400 space-y-1">
+              <span className="flex items-center gap-1"><CalendarIcon className="w-4 h-4" />Quoted from</span>
+              <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => changeFilter('from', e.target.value)} className={inputClassName} />
+            </label>
+            <label className="block text-xs text-slate-400 space-y-1">
+              <span className="flex items-center gap-1"><CalendarIcon className="w-4 h-4" />Quoted to</span>
+              <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => changeFilter('to', e.target.value)} className={inputClassName} />
+            </label>
+            <label className="block text-xs text-slate-400 space-y-1">
+              <span>Group by</span>
+              <select value={grouping} onChange={(e) => setGrouping(e.target.value)} className={inputClassName}>
+                {Object.entries(analyticsIntervals).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        {errorMessage && (
+          <div className="bg-red-900/50 border border-red-700 text-red-300 p-4 rounded-lg text-sm" role="alert">
+            {errorMessage}
+          </div>
+        )}
+
+        {analytics && totals.count === 0 && (
+          <p className="text-center py-6 text-slate-500 bg-slate-800 rounded-xl border border-slate-700">
+            No quotes match your current filter criteria.
+          </p>
+        )}
+
+        {analytics && totals.count > 0 && (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <Metric title="Quotes" value={numberFormatter.format(totals.count)} />
+              <Metric title="Quoted Value" value={formatCurrency(totals.value)} />
+              <Metric title="Average Rate" value={formatRatePerKm(totals.ratePerKm)} />
+              <Metric title="Average Weight" value={formatAverageWeight(totals.averageWeight)} />
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card title="Quoted $/km Over Time">
+                <TrendChart
+                  points={analytics.overTime.map(point => ({ key: point.period, label: formatPeriod(point.period, grouping), value: point.ratePerKm }))}
+                  format={rate => formatCurrency(rate)}
+                />
+              </Card>
+
+              <Card title="Average Weight Over Time">
+                <TrendChart
+                  points={analytics.overTime.map(point => ({ key: point.period, label: formatPeriod(point.period, grouping), value: point.averageWeight }))}
+                  format={weight => numberFormatter.format(Math.round(weight))}
+                  color="bg-sky-500"
+                />
+              </Card>
+
+              <Card title="Volume by Equipment">
+                <BarChart
+                  bars={analytics.byEquipment.map(group => ({
+                    key: group.equipmentType,
+                    label: equipmentLabel(group.equipmentType),
+                    value: group.count,
+                    note: `${percentFormatter.format(group.share)} · ${formatAverageWeight(group.averageWeight)} avg`
+                  }))}
+                  format={count => numberFormatter.format(count)}
+                  color="bg-emerald-500"
+                />
+              </Card>
+
+              <Card title="Top Lanes by Count">
+                <BarChart
+                  bars={analytics.topLanesByCount.map(lane => ({
+                    key: laneLabel(lane),
+                    label: laneLabel(lane),
+                    value: lane.count,
+                    note: formatRatePerKm(lane.ratePerKm)
+                  }))}
+                  format={count => numberFormatter.format(count)}
+                />
+              </Card>
+
+              <Card title="Top Lanes by Value" className="lg:col-span-2">
+                <BarChart
+                  bars={analytics.topLanesByValue.map(lane => ({
+                    key: laneLabel(lane),
+                    label: laneLabel(lane),
+                    value: lane.value,
+                    note: `${numberFormatter.format(lane.count)} ${lane.count === 1 ? 'quote' : 'quotes'}`
+                  }))}
+                  format={value => formatCurrency(value)}
+                  color="bg-amber-500"
+                />
+              </Card>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
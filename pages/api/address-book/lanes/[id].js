@@ -0,0 +1,44 @@
+import { addressBook, validateSavedLane } from "@/lib/addressBook";
+import { requireUser } from "@/lib/auth";
+import { getRateTable } from "@/lib/rateTable";
+
+/**
+ * Changes the `name`, `originId`, `destinationId` or `equipmentType` of a saved lane.
+ */
+const updateLane = async (req, res, id) => {
+  const { name, originId, destinationId, equipmentType } = req.body || {};
+  const changes = { name, originId, destinationId, equipmentType };
+  const problem = validateSavedLane(changes, { partial: true, equipment: getRateTable().equipment });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  const { lane, status, error } = await addressBook.lanes.update(id, changes);
+  if (error) return res.status(status).json({ error });
+  if (!lane) return res.status(404).json({ error: 'Saved lane not found.' });
+  return res.status(200).json({ lane });
+}
+
+/**
+ * Changes and deletes the saved lanes of the address book.
+ */
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    if (!(await requireUser(req, res))) return;
+
+    if (req.method === 'PATCH') return await updateLane(req, res, id);
+
+    // Deletes a saved lane.
+    const deleted = await addressBook.lanes.delete(id);
+    if (!deleted) return res.status(404).json({ error: 'Saved lane not found.' });
+    return res.status(204).end();
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to process saved lane. Server returned an error.' });
+  }
+}
@@ -0,0 +1,38 @@
+import { addressBook, validateSavedLane } from "@/lib/addressBook";
+import { requireUser } from "@/lib/auth";
+import { getRateTable } from "@/lib/rateTable";
+
+/**
+ * Saves a lane with a `name`, the `originId` and `destinationId` of two saved locations, and an `equipmentType`.
+ */
+const createLane = async (req, res) => {
+  const details = req.body || {};
+  const problem = validateSavedLane(details, { equipment: getRateTable().equipment });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  const { lane, status, error } = await addressBook.lanes.create(details);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  return res.status(201).json({ lane });
+}
+
+/**
+ * Lists and creates the saved lanes of the address book.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    if (!(await requireUser(req, res))) return;
+
+    if (req.method === 'GET') return res.status(200).json({ lanes: await addressBook.lanes.list() });
+    return await createLane(req, res);
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to process saved lanes. Server returned an error.' });
+  }
+}
@@ -0,0 +1,79 @@
+import { addressBook, validateSavedLocation } from "@/lib/addressBook";
+import { requireUser } from "@/lib/auth";
+import { distanceCache, normalizeLocation } from "@/lib/distanceCache";
+import { geocode } from "@/lib/geocoder";
+import { canEditSavedLocation, isPricingAdmin } from "@/lib/roles";
+
+/**
+ * Changes the `name`, `address`, `lat` or `lng` of a saved location. Only pricing admins can change its coordinates,
+ * so a new address is geocoded when they aren't given, and cached routes to the old and new address are forgotten.
+ */
+const updateLocation = async (req, res, user, stored) => {
+  const { name, address, lat, lng } = req.body || {};
+  const changes = { name, address, lat, lng };
+  const hasCoordinates = changes.lat !== undefined || changes.lng !== undefined;
+  if (hasCoordinates && !isPricingAdmin(user)) {
+    return res.status(403).json({ error: "Only a pricing admin can change a location's coordinates." });
+  }
+  const problem = validateSavedLocation(changes, { partial: true });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  const isMoved = changes.address !== undefined && normalizeLocation(changes.address) !== normalizeLocation(stored.address);
+  if (isMoved && !hasCoordinates) {
+    let coordinates = null;
+    try {
+      coordinates = await geocode(changes.address);
+    } catch (error) {
+      console.error(error);
+    }
+    if (!coordinates) {
+      const fix = isPricingAdmin(user) ? 'add its latitude and longitude' : 'ask a pricing admin to change it';
+      return res.status(400).json({ error: `Could not find the coordinates of ${changes.address}, ${fix}.` });
+    }
+    Object.assign(changes, coordinates);
+  }
+  const { location, status, error } = await addressBook.locations.update(stored.id, changes);
+  if (error) return res.status(status).json({ error });
+  if (!location) return res.status(404).json({ error: 'Saved location not found.' });
+  if (isMoved || hasCoordinates) {
+    await distanceCache.forget(stored.address);
+    await distanceCache.forget(location.address);
+  }
+  return res.status(200).json({ location });
+}
+
+/**
+ * Changes and deletes the saved locations of the address book. Only the user who saved a location and admins can,
+ * since quotes to and from its address are priced with its coordinates.
+ */
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const location = await addressBook.locations.get(id);
+    if (!location) return res.status(404).json({ error: 'Saved location not found.' });
+    if (!canEditSavedLocation(user, location)) {
+      return res.status(403).json({ error: 'Only the user who saved this location or a pricing admin can change it.' });
+    }
+
+    if (req.method === 'PATCH') return await updateLocation(req, res, user, location);
+
+    // Deletes a saved location, unless a saved lane uses it.
+    const { deleted, status, error } = await addressBook.locations.delete(id);
+    if (error) return res.status(status).json({ error });
+    if (!deleted) return res.status(404).json({ error: 'Saved location not found.' });
+    await distanceCache.forget(location.address);
+    return res.status(204).end();
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to process saved location. Server returned an error.' });
+  }
+}
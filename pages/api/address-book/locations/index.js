@@ -0,0 +1,59 @@
+import { addressBook, validateSavedLocation } from "@/lib/addressBook";
+import { requireUser } from "@/lib/auth";
+import { distanceCache } from "@/lib/distanceCache";
+import { geocode } from "@/lib/geocoder";
+import { isPricingAdmin } from "@/lib/roles";
+
+/**
+ * Saves a location with a `name` and `address`, created by the user. Quotes to and from the address are priced with
+ * its `lat` and `lng`, so only pricing admins can give them, and they are geocoded from the address otherwise.
+ */
+const createLocation = async (req, res, user) => {
+  const details = { ...req.body };
+  const hasCoordinates = details.lat !== undefined || details.lng !== undefined;
+  if (hasCoordinates && !isPricingAdmin(user)) {
+    return res.status(403).json({ error: "Only a pricing admin can set a location's coordinates, leave them empty to look them up from the address." });
+  }
+  if (!hasCoordinates && typeof details.address === 'string' && details.address.trim()) {
+    let coordinates = null;
+    try {
+      coordinates = await geocode(details.address);
+    } catch (error) {
+      console.error(error);
+    }
+    if (!coordinates) {
+      const fix = isPricingAdmin(user) ? 'add its latitude and longitude' : 'ask a pricing admin to add it';
+      return res.status(400).json({ error: `Could not find the coordinates of ${details.address}, ${fix}.` });
+    }
+    Object.assign(details, coordinates);
+  }
+  const problem = validateSavedLocation(details);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  const { location, status, error } = await addressBook.locations.create({ ...details, createdBy: user.id });
+  if (error) return res.status(status).json({ error });
+  // Routes to the address that were cached before it was saved may have been measured from other coordinates.
+  await distanceCache.forget(location.address);
+  return res.status(201).json({ location });
+}
+
+/**
+ * Lists and creates the saved locations of the address book.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') return res.status(200).json({ locations: await addressBook.locations.list() });
+    return await createLocation(req, res, user);
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to process saved locations. Server returned an error.' });
+  }
+}
@@ -0,0 +1,30 @@
+import { authenticate, serializeSessionCookie, sessionRepository } from "@/lib/auth";
+import { toPublicUser } from "@/lib/users";
+
+/**
+ * Signs a user in with their `username` and `password`, and sets the session cookie.
+ */
+export default async function handler(req, res) {
+  // Check that it is a POST method.
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ error: 'Username and password are required.' });
+  }
+
+  try {
+    const user = await authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password.' });
+    }
+    const { token, expiresAt } = await sessionRepository.create(user.id);
+    res.setHeader('Set-Cookie', serializeSessionCookie(req, token, (expiresAt - new Date().getTime()) / 1000));
+    return res.status(200).json({ user: toPublicUser(user) });
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to sign in. Server returned an error.' });
+  }
+}
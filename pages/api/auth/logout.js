@@ -0,0 +1,22 @@
+import { serializeSessionCookie, sessionCookieName, sessionRepository } from "@/lib/auth";
+
+/**
+ * Signs the user out, ending their session and clearing the session cookie.
+ */
+export default async function handler(req, res) {
+  // Check that it is a POST method.
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  try {
+    const token = req.cookies[sessionCookieName];
+    if (token) await sessionRepository.delete(token);
+    res.setHeader('Set-Cookie', serializeSessionCookie(req, '', 0));
+    return res.status(204).end();
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to sign out. Server returned an error.' });
+  }
+}
@@ -0,0 +1,22 @@
+import { requireUser } from "@/lib/auth";
+import { toPublicUser } from "@/lib/users";
+
+/**
+ * Gets the signed in user.
+ */
+export default async function handler(req, res) {
+  // Check that it is a GET method.
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+    return res.status(200).json({ user: toPublicUser(user) });
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to get the signed in user. Server returned an error.' });
+  }
+}
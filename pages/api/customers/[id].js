@@ -0,0 +1,48 @@
+import { requireUser } from "@/lib/auth";
+import { customerRepository, validateCustomer } from "@/lib/customers";
+import { getRateTable } from "@/lib/rateTable";
+
+/**
+ * Changes the details of a customer, their id can't be changed.
+ */
+const updateCustomer = async (req, res, id) => {
+  const { id: _id, ...changes } = req.body || {};
+  const problem = validateCustomer(changes, { partial: true, equipment: getRateTable().equipment });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  const customer = await customerRepository.update(id, changes);
+  if (!customer) return res.status(404).json({ error: 'Customer not found.' });
+  return res.status(200).json({ customer });
+}
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    // Every user can look up and edit customers, only pricing admins can delete them.
+    if (!(await requireUser(req, res, { admin: req.method === 'DELETE' }))) return;
+
+    // Gets a single customer.
+    if (req.method === 'GET') {
+      const customer = await customerRepository.get(id);
+      if (!customer) return res.status(404).json({ error: 'Customer not found.' });
+      return res.status(200).json({ customer });
+    }
+
+    // Changes a customer's details.
+    if (req.method === 'PATCH') return await updateCustomer(req, res, id);
+
+    // Deletes a customer.
+    const deleted = await customerRepository.delete(id);
+    if (!deleted) return res.status(404).json({ error: 'Customer not found.' });
+    return res.status(204).end();
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to process customer. Server returned an error.' });
+  }
+}
@@ -0,0 +1,46 @@
+import { requireUser } from "@/lib/auth";
+import { customerRepository, validateCustomer } from "@/lib/customers";
+import { getRateTable } from "@/lib/rateTable";
+
+/**
+ * Lists the customers, filtered by the 'search' query parameter, which matches their id or name.
+ */
+const listCustomers = async (req, res) => {
+  const search = String(req.query.search ?? "").toLowerCase();
+  const customers = (await customerRepository.list()).filter(customer =>
+    customer.id.includes(search) || customer.name.toLowerCase().includes(search)
+  );
+  return res.status(200).json({ customers });
+}
+
+/**
+ * Creates a customer, with an optional `id` that is otherwise made from their name.
+ */
+const createCustomer = async (req, res) => {
+  const details = req.body || {};
+  const problem = validateCustomer(details, { equipment: getRateTable().equipment });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  const { customer, status, error } = await customerRepository.create(details);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  return res.status(201).json({ customer });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    if (!(await requireUser(req, res))) return;
+
+    if (req.method === 'GET') return await listCustomers(req, res);
+    return await createCustomer(req, res);
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to process customers. Server returned an error.' });
+  }
+}
@@ -0,0 +1,22 @@
+import { requireUser } from "@/lib/auth";
+import { searchLocalPlaces } from "@/lib/localGeocoder";
+
+/**
+ * Suggests places from the bundled places of the local geocoder, for location inputs that can't use Google Places.
+ * Takes the typed text as the `search` query parameter.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    if (!(await requireUser(req, res))) return;
+
+    const { search } = req.query;
+    return res.status(200).json({ places: searchLocalPlaces(typeof search === 'string' ? search : "") });
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to search places. Server returned an error.' });
+  }
+}
@@ -0,0 +1,53 @@
+import { requireUser } from "@/lib/auth";
+import { quoteRepository } from "@/lib/quotes";
+import { canTransition, statusTransitions } from "@/lib/quoteStatus";
+import { canAccessQuote } from "@/lib/roles";
+
+/**
+ * Moves a saved quote to a new status, if its lifecycle allows it.
+ */
+const changeStatus = async (req, res, quote) => {
+  const { status } = req.body || {};
+  if (!Object.hasOwn(statusTransitions, status)) {
+    return res.status(400).json({ error: `Unknown status ${status}.` });
+  }
+  if (!canTransition(quote.status, status)) {
+    return res.status(409).json({ error: `A ${quote.status} quote cannot be marked as ${status}.` });
+  }
+
+  const updated = await quoteRepository.update(quote.id, {
+    status,
+    statusHistory: [...quote.statusHistory, { status, at: new Date().getTime() }]
+  });
+  return res.status(200).json({ quote: updated });
+}
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    // Quotes the user doesn't have access to are reported as missing, so their ids aren't confirmed.
+    const quote = await quoteRepository.get(id);
+    if (!quote || !canAccessQuote(user, quote)) return res.status(404).json({ error: 'Quote not found.' });
+
+    // Gets a single saved quote.
+    if (req.method === 'GET') return res.status(200).json({ quote });
+
+    // Changes the status of a saved quote.
+    if (req.method === 'PATCH') return await changeStatus(req, res, quote);
+
+    // Deletes a saved quote.
+    await quoteRepository.delete(id);
+    return res.status(204).end();
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to process quote. Server returned an error.' });
+  }
+}
@@ -0,0 +1,29 @@
+import { requireUser } from "@/lib/auth";
+import { getRevisionChain } from "@/lib/quoteRevisions";
+import { quoteRepository } from "@/lib/quotes";
+import { canAccessQuote } from "@/lib/roles";
+
+/**
+ * Lists the revision chain of a saved quote, oldest first, with only the revisions the user has access to.
+ */
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const quote = await quoteRepository.get(id);
+    if (!quote || !canAccessQuote(user, quote)) return res.status(404).json({ error: 'Quote not found.' });
+
+    const visible = (await quoteRepository.list()).filter(other => canAccessQuote(user, other));
+    return res.status(200).json({ revisions: getRevisionChain(visible, quote) });
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to get quote revisions. Server returned an error.' });
+  }
+}
@@ -0,0 +1,43 @@
+import { requireUser } from "@/lib/auth";
+import { isDateString } from "@/lib/calendar";
+import { aggregateQuotes, analyticsIntervals, filterQuotesByDate } from "@/lib/quoteAnalytics";
+import { filterQuotes, parseQuoteFilters, quoteRepository } from "@/lib/quotes";
+import { canAccessQuote } from "@/lib/roles";
+
+/**
+ * Aggregates every saved quote the user has access to that matches the 'origin', 'destination', 'equipment' and 'customer'
+ * query parameters, and was created between the 'from' and 'to' dates, grouped over time by the 'interval' query parameter.
+ */
+export default async function handler(req, res) {
+  // Check that it is a GET method.
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+  const from = String(req.query.from ?? '');
+  const to = String(req.query.to ?? '');
+  const interval = String(req.query.interval ?? 'month');
+  for (const [name, date] of [['from', from], ['to', to]]) {
+    if (date.length > 0 && !isDateString(date)) {
+      return res.status(400).json({ error: `The ${name} date must be a date formatted as YYYY-MM-DD.` });
+    }
+  }
+  if (from.length > 0 && to.length > 0 && from > to) {
+    return res.status(400).json({ error: 'The from date must be on or before the to date.' });
+  }
+  if (!Object.hasOwn(analyticsIntervals, interval)) {
+    return res.status(400).json({ error: `Unknown interval ${interval}.` });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const visible = (await quoteRepository.list()).filter(quote => canAccessQuote(user, quote));
+    const quotes = filterQuotesByDate(filterQuotes(visible, parseQuoteFilters(req.query)), { from, to });
+    return res.status(200).json({ analytics: aggregateQuotes(quotes, { interval }) });
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to load quote analytics. Server returned an error.' });
+  }
+}
@@ -0,0 +1,55 @@
+import { requireUser } from "@/lib/auth";
+import { maximumBatchRows, parseBatchCsv, priceBatch } from "@/lib/batch";
+
+// CSV uploads are larger than single quotes, so the body limit is raised from the default 1mb.
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '4mb' }
+  }
+};
+
+/**
+ * Reads the rows of a batch, sent as `{ quotes: [...] }`, `{ csv: "..." }`, or a raw `text/csv` body.
+ * @param {Object} req - The request.
+ * @returns {{ rows: Object[] } | { error: string }} The rows to price, or the problem with the batch.
+ */
+const readBatch = (req) => {
+  if (typeof req.body === 'string') return parseBatchCsv(req.body);
+  const { quotes, csv } = req.body || {};
+  if (typeof csv === 'string') return parseBatchCsv(csv);
+  if (Array.isArray(quotes)) return { rows: quotes.map(request => ({ request })) };
+  return { error: 'Quotes must be an array, or a CSV file.' };
+}
+
+/**
+ * Prices a batch of quote requests, returning a result for every row. Batch quotes aren't saved.
+ */
+export default async function handler(req, res) {
+  // Check that it is a POST method.
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  try {
+    if (!(await requireUser(req, res))) return;
+
+    const { rows, error } = readBatch(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The batch has no quotes.' });
+    }
+    if (rows.length > maximumBatchRows) {
+      return res.status(400).json({ error: `At most ${maximumBatchRows} quotes can be priced at once.` });
+    }
+
+    const results = await priceBatch(rows);
+    const priced = results.filter(result => result.quote).length;
+    return res.status(200).json({ results, summary: { total: results.length, priced, failed: results.length - priced } });
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to price batch. Server returned an error.' });
+  }
+}
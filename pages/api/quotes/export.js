@@ -0,0 +1,41 @@
+import { requireUser } from "@/lib/auth";
+import { quotesToCsv, quotesToJson } from "@/lib/quoteExport";
+import { filterQuotes, parseQuoteFilters, quoteRepository } from "@/lib/quotes";
+import { canAccessQuote } from "@/lib/roles";
+
+// The formats quotes can be exported as, with their content types.
+const contentTypes = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * Exports every saved quote the user has access to that matches the 'origin', 'destination', 'equipment' and 'customer' query parameters,
+ * as a CSV or JSON file picked by the 'format' query parameter. Both list the values they export, so links and owners stay private.
+ */
+export default async function handler(req, res) {
+  // Check that it is a GET method.
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+  const format = String(req.query.format ?? 'csv');
+  if (!Object.hasOwn(contentTypes, format)) {
+    return res.status(400).json({ error: `Unknown export format ${format}.` });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const visible = (await quoteRepository.list()).filter(quote => canAccessQuote(user, quote));
+    const quotes = filterQuotes(visible, parseQuoteFilters(req.query));
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', contentTypes[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="quotes-${date}.${format}"`);
+    return res.status(200).send(format === 'csv' ? quotesToCsv(quotes) : quotesToJson(quotes));
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to export quotes. Server returned an error.' });
+  }
+}
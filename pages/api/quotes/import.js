@@ -0,0 +1,88 @@
+import { requireUser } from "@/lib/auth";
+import { isDateString } from "@/lib/calendar";
+import { quoteRepository } from "@/lib/quotes";
+import { loadRateTables } from "@/lib/rateTable";
+
+// The most quotes that can be imported at once.
+const maximumImport = 1000;
+
+// How old an imported quote can be, older timestamps are taken as made up.
+const maximumAge = 10 * 365 * 24 * 60 * 60 * 1000;
+
+// The amounts of a quote, which have to be numbers that aren't negative.
+const amountFields = ["distance", "days", "baseRate", "weightFactor", "fuelSurcharge", "equipmentCharge", "total"];
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Reads the weight of an imported quote, which the quote form sent as text before quotes were saved on the server.
+ * @param {number | string} weight - The weight, in pounds.
+ * @returns {number | null} The weight, or `null` if it isn't a number that isn't negative.
+ */
+const toWeight = (weight) => {
+  const value = typeof weight === 'string' && /^\d+(\.\d+)?$/.test(weight.trim()) ? parseFloat(weight) : weight;
+  return isAmount(value) ? value : null;
+}
+
+/**
+ * Checks that an imported quote has the values the history and analytics need to show it, of the types they expect.
+ * @param {Object} quote - A quote from the browser's local storage.
+ * @param {Object} context
+ * @param {Set<string>} context.equipmentTypes - The equipment types of every rate table.
+ * @param {number} context.now - The current time, which the quote can't be newer than.
+ * @returns {boolean} Whether the quote can be imported.
+ */
+const isImportable = (quote, { equipmentTypes, now }) => Boolean(quote) && typeof quote === 'object' &&
+  typeof quote.origin === 'string' && quote.origin.trim() !== '' &&
+  typeof quote.destination === 'string' && quote.destination.trim() !== '' &&
+  isDateString(quote.pickupDate) &&
+  equipmentTypes.has(quote.equipmentType) &&
+  toWeight(quote.weight) !== null &&
+  amountFields.every(field => isAmount(quote[field])) &&
+  Number.isInteger(quote.timestamp) && quote.timestamp <= now && quote.timestamp >= now - maximumAge;
+
+/**
+ * Picks the values of a quote from the browser's local storage, the ones `api/createQuote` returned before quotes were
+ * saved on the server. Anything else the client sends, like a status, a margin or the quote it revises, is dropped.
+ * @param {Object} quote - A quote from the browser's local storage, checked with `isImportable`.
+ * @returns {Object} The quote to save.
+ */
+const toImportedQuote = ({ origin, destination, equipmentType, weight, pickupDate, distance, days, timestamp, baseRate, weightFactor, fuelSurcharge, equipmentCharge, total }) =>
+  ({ origin, destination, equipmentType, weight: toWeight(weight), pickupDate, distance, days, timestamp, baseRate, weightFactor, fuelSurcharge, equipmentCharge, total });
+
+/**
+ * Imports the quote history that was kept in the browser's local storage, before quotes were saved on the server.
+ */
+export default async function handler(req, res) {
+  // Check that it is a POST method.
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed.' });
+  }
+
+  try {
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    const { quotes } = req.body || {};
+    if (!Array.isArray(quotes)) {
+      return res.status(400).json({ error: 'Quotes must be an array.' });
+    }
+    if (quotes.length > maximumImport) {
+      return res.status(400).json({ error: `At most ${maximumImport} quotes can be imported at once.` });
+    }
+
+    // Saves every valid quote as a new draft owned by the user, skipping the rest, and marks them as imported.
+    // Their prices come from the browser and are kept as a record, they can't be priced again since their pickup dates
+    // have passed, so imported quotes get no customer link. Re-quoting one prices it on the server.
+    const context = { equipmentTypes: new Set(loadRateTables().flatMap(table => Object.keys(table.equipment))), now: new Date().getTime() };
+    const importable = quotes.filter(quote => isImportable(quote, context));
+    for (const quote of importable) {
+      await quoteRepository.create({ ...toImportedQuote(quote), imported: true, ownerId: user.id, createdBy: user.name });
+    }
+    return res.status(201).json({ imported: importable.length, skipped: quotes.length - importable.length });
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to import quotes. Server returned an error.' });
+  }
+}
@@ -0,0 +1,83 @@
+import { requireUser } from "@/lib/auth";
+import { customerRepository } from "@/lib/customers";
+import { priceQuote } from "@/lib/pricing";
+import { toRevisionFields } from "@/lib/quoteRevisions";
+import { quoteErrorCodes, quoteFailure } from "@/lib/quoteSchema";
+import { filterQuotes, paginate, parseQuoteFilters, quoteRepository } from "@/lib/quotes";
+import { canAccessQuote } from "@/lib/roles";
+
+/**
+ * Lists the saved quotes the user has access to, filtered by the 'origin', 'destination', 'equipment' and 'customer' query parameters,
+ * and paginated by the 'page' and 'pageSize' query parameters.
+ */
+const listQuotes = async (req, res, user) => {
+  const filters = parseQuoteFilters(req.query);
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 5));
+
+  const visible = (await quoteRepository.list()).filter(quote => canAccessQuote(user, quote));
+  const quotes = filterQuotes(visible, filters);
+  const { items, ...pagination } = paginate(quotes, page, pageSize);
+  return res.status(200).json({ quotes: items, ...pagination });
+}
+
+/**
+ * Sends a quote that couldn't be priced or saved, with its error code and field errors.
+ * @param {Object} res - The response.
+ * @param {{ status: number, code: string, error: string, errors: Object[] }} failure - Why the quote failed.
+ */
+const sendFailure = (res, { status, code, error, errors }) => res.status(status).json({ error, code, errors });
+
+/**
+ * Sends an unknown value of a quote request as a field error.
+ * @param {Object} res - The response.
+ * @param {string} field - The field with the unknown value.
+ * @param {string} message - The error message.
+ */
+const sendUnknownValue = (res, field, message) =>
+  sendFailure(res, quoteFailure(400, quoteErrorCodes.invalidRequest, message, [{ field, code: quoteErrorCodes.unknownValue, message }]));
+
+/**
+ * Prices a quote request, and saves the quote as the user's. Saved quotes can only be for customers in the directory.
+ * A request with the `revisionOf` id of a saved quote the user has access to is saved as a revision of that quote.
+ */
+const createQuote = async (req, res, user) => {
+  const revisionOf = req.body?.revisionOf;
+  const original = typeof revisionOf === 'string' ? await quoteRepository.get(revisionOf) : null;
+  if (revisionOf != null && (!original || !canAccessQuote(user, original))) {
+    return sendUnknownValue(res, 'revisionOf', `Unknown quote ${revisionOf} to revise.`);
+  }
+  const { quote, ...failure } = await priceQuote(req.body);
+  if (!quote) {
+    return sendFailure(res, failure);
+  }
+  const customer = quote.customerId && await customerRepository.get(quote.customerId);
+  if (quote.customerId && !customer) {
+    return sendUnknownValue(res, 'customerId', `Unknown customer ${quote.customerId}.`);
+  }
+  const saved = await quoteRepository.create({
+    ...quote,
+    customerName: customer ? customer.name : null,
+    ...(original && toRevisionFields(original)),
+    ownerId: user.id,
+    createdBy: user.name
+  });
+  return res.status(201).json({ quote: saved });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed.', code: quoteErrorCodes.methodNotAllowed, errors: [] });
+    }
+    const user = await requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === 'GET') return await listQuotes(req, res, user);
+    return await createQuote(req, res, user);
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to process quotes. Server returned an error.', code: quoteErrorCodes.serverError, errors: [] });
+  }
+}
@@ -0,0 +1,39 @@
+import { toSharedQuote } from "@/lib/markup";
+import { quoteRepository } from "@/lib/quotes";
+import { canRespond, customerResponses, isShareLinkExpired } from "@/lib/quoteShare";
+
+/**
+ * Records the customer's answer to a quote from its link, accepting or declining it. The link is the customer's only
+ * credential, so this endpoint doesn't need a signed in user.
+ */
+export default async function handler(req, res) {
+  const { token } = req.query;
+
+  try {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    const { response } = req.body || {};
+    if (!customerResponses.includes(response)) {
+      return res.status(400).json({ error: `Unknown response ${response}, expected one of: ${customerResponses.join(', ')}.` });
+    }
+
+    const quote = await quoteRepository.findByShareToken(token);
+    if (!quote) return res.status(404).json({ error: 'Quote not found.' });
+    if (isShareLinkExpired(quote)) return res.status(410).json({ error: 'This quote has expired.' });
+    if (!canRespond(quote)) {
+      const reason = quote.status === 'draft' ? "hasn't been sent yet" : `has already been ${quote.status}`;
+      return res.status(409).json({ error: `This quote ${reason}.` });
+    }
+
+    const updated = await quoteRepository.update(quote.id, {
+      status: response,
+      statusHistory: [...quote.statusHistory, { status: response, at: new Date().getTime(), by: 'customer' }]
+    });
+    return res.status(200).json({ quote: toSharedQuote(updated) });
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to answer quote. Server returned an error.' });
+  }
+}
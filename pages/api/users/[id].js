@@ -0,0 +1,48 @@
+import { requireUser } from "@/lib/auth";
+import { toPublicUser, userRepository, validateUserDetails } from "@/lib/users";
+
+/**
+ * Changes the `name`, `role` or `password` of a user. Admins can't change their own role, so there is always an admin.
+ */
+const updateUser = async (req, res, admin, id) => {
+  const { name, role, password } = req.body || {};
+  const problem = validateUserDetails({ name, role, password }, { partial: true });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  if (id === admin.id && role !== undefined && role !== admin.role) {
+    return res.status(409).json({ error: 'You cannot change your own role.' });
+  }
+  const user = await userRepository.update(id, { name, role, password });
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+  return res.status(200).json({ user: toPublicUser(user) });
+}
+
+/**
+ * Changes and deletes users, only pricing admins can manage users.
+ */
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    const admin = await requireUser(req, res, { admin: true });
+    if (!admin) return;
+
+    if (req.method === 'PATCH') return await updateUser(req, res, admin, id);
+
+    // Deletes a user, admins can't delete themselves.
+    if (id === admin.id) {
+      return res.status(409).json({ error: 'You cannot delete yourself.' });
+    }
+    const deleted = await userRepository.delete(id);
+    if (!deleted) return res.status(404).json({ error: 'User not found.' });
+    return res.status(204).end();
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to process user. Server returned an error.' });
+  }
+}
@@ -0,0 +1,41 @@
+import { requireUser } from "@/lib/auth";
+import { toPublicUser, userRepository, validateUserDetails } from "@/lib/users";
+
+/**
+ * Creates a user with a `username`, `name`, `role` and `password`.
+ */
+const createUser = async (req, res) => {
+  const details = req.body || {};
+  const problem = validateUserDetails(details);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  const user = await userRepository.create(details);
+  if (!user) {
+    return res.status(409).json({ error: `The username ${details.username} is taken.` });
+  }
+  return res.status(201).json({ user: toPublicUser(user) });
+}
+
+/**
+ * Lists and creates users, only pricing admins can manage users.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed.' });
+    }
+    const admin = await requireUser(req, res, { admin: true });
+    if (!admin) return;
+
+    if (req.method === 'GET') {
+      const users = await userRepository.list();
+      return res.status(200).json({ users: users.map(toPublicUser) });
+    }
+    return await createUser(req, res);
+  } catch (error) {
+    // Returning an error message if a problem occurred, and logging it.
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to process users. Server returned an error.' });
+  }
+}
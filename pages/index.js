@@ -1,6 +1,14 @@
 import { useEffect, useState } from "react";
-import { LoadScript } from "@react-google-maps/api";
-import GoogleAutocomplete from "../components/GoogleAutocomplete";
+import Link from "next/link";
+import LocationInput, { LocationServiceProvider } from "../components/LocationInput";
+import StopList from "../components/StopList";
+import AccessorialPicker from "../components/AccessorialPicker";
+import CustomerPicker from "../components/CustomerPicker";
+import SavedLanePicks from "../components/SavedLanePicks";
+import SavedLocationSelect from "../components/SavedLocationSelect";
+import EquipmentComparison from "../components/EquipmentComparison";
+import MarginSummary from "../components/MarginSummary";
+import ShareLinkButton from "../components/ShareLinkButton";
 import {
   CalendarIcon,
   CurrencyDollarIcon,
@@ -9,18 +17,28 @@ import {
   MapPinIcon,
   CircleStackIcon,
   ScaleIcon,
-  ClockIcon
+  ClockIcon,
+  DocumentTextIcon,
+  UserCircleIcon,
+  ArrowRightStartOnRectangleIcon,
+  Cog6ToothIcon,
+  ChartBarIcon,
+  ArrowPathIcon,
+  XMarkIcon
 } from "@heroicons/react/24/outline";
 import QuoteHistory from "@/components/QuoteHistory";
-import { currencyFormatter, equipmentCharges, getFuelSurchargePercent, numberFormatter } from "@/components/utils";
-
-const libraries = ["places"];
-const sortQuotes = (a, b) => {
-  if (new Date(a.pickupDate) - new Date(b.pickupDate) == 0) {
-    return a.timestamp - b.timestamp;
-  }
-  return new Date(a.pickupDate) - new Date(b.pickupDate);
-}
+import BatchQuote from "@/components/BatchQuote";
+import { formatAccessorialLabel, formatAccessorialRate, formatBaseRateLabel, formatCurrency, formatDeliveryWindow, formatDistanceProvider, formatFuelIndex, formatFuelSurchargeLabel, formatPricingRule, formatQuoteReference, formatRateAmount, formatWeight, getQuoteRates, getQuoteUnits, multiplierFormatter, numberFormatter, percentFormatter } from "@/components/utils";
+import { addressBook } from "@/lib/addressBook";
+import { getSessionUser, redirectToSignIn } from "@/lib/auth";
+import { customerRepository } from "@/lib/customers";
+import { loadExchangeRates } from "@/lib/exchangeRates";
+import { toDateString } from "@/lib/quoteStatus";
+import { toQuoteRequest } from "@/lib/quoteRevisions";
+import { getRateTable } from "@/lib/rateTable";
+import { isPricingAdmin, roleLabels } from "@/lib/roles";
+import { distanceUnits, weightUnits } from "@/lib/units";
+import { toPublicUser } from "@/lib/users";
 
 // Helper component for styled card containers
 const Card = ({ children, className = "" }) => (
@@ -30,76 +48,181 @@ const Card = ({ children, className = "" }) => (
 );
 
 // Helper Component for Breakdown Row
-const ItemRow = ({ label, value, title = "", isTotal = false, currency = true }) => (
-  <div className={`flex justify-between items-center px-2 ${isTotal ? 'text-xl font-bold pt-2' : 'text-sm'}`}>
+const ItemRow = ({ label, value, title = "", isTotal = false, isSubItem = false, currency = true, currencyCode = "CAD" }) => (
+  <div className={`flex justify-between items-center ${isSubItem ? 'pl-6 pr-2' : 'px-2'} ${isTotal ? 'text-xl font-bold pt-2' : isSubItem ? 'text-xs' : 'text-sm'}`}>
     <span title={title} className={`${isTotal ? 'text-slate-50' : 'text-slate-300'}`}>{label}</span>
     <span className={`${isTotal ? 'text-green-400' : 'text-slate-200'} ${currency && 'font-mono'}`}>
-      {currency ? currencyFormatter.format(value) : value}
+      {currency ? formatCurrency(value, currencyCode) : value}
     </span>
   </div>
 );
 
+// Helper Component for the error of a form field
+const FieldError = ({ message }) => message ? <p className="text-xs text-red-400">{message}</p> : null;
+
 // Helper Component for Metric Box
-const MetricBox = ({ title, value, unit, color }) => (
+const MetricBox = ({ title, value, unit, color, note = "" }) => (
   <div className="flex flex-col items-start bg-slate-900 p-3 rounded-lg border border-slate-700 shadow-inner">
     <p className="text-xs font-medium text-slate-400">{title}</p>
     <p className={`text-2xl font-extrabold ${color} mt-1`}>
       {value ? value : "N/A"}
       <span className="text-sm font-semibold text-slate-500 ml-1">{unit}</span>
     </p>
+    {note && <p className="text-xs text-slate-500 mt-1">{note}</p>}
   </div>
 );
 
 
-export default function HomePage() {
-  const [googleLoaded, setGoogleLoaded] = useState(false);
+/**
+ * Maps the field errors of the quote API onto the inputs of the form, keeping the first error of every input.
+ * Route errors are on `stops[i]`, the first stop is the origin, the last is the destination, and the rest are the
+ * intermediate stops as "stop-0", "stop-1" and so on.
+ * @param {{ field: string | null, message: string }[]} errors - The field errors.
+ * @param {number} stopCount - How many stops the request had, with the origin and destination.
+ * @returns {Object} The error message of every input with an error, keyed by input.
+ */
+const toFormErrors = (errors, stopCount) => {
+  const formErrors = {};
+  for (const { field, message } of errors || []) {
+    const [, name, index] = /^(\w+)(?:\[(\d+)\])?/.exec(field || "") || [];
+    let input = name;
+    if (name === 'stops' && index !== undefined) {
+      const stop = Number(index);
+      input = stop === 0 ? 'origin' : stop === stopCount - 1 ? 'destination' : `stop-${stop - 1}`;
+    } else if (name === 'equipmentTypes') {
+      input = 'equipmentType';
+    }
+    if (input && !formErrors[input]) formErrors[input] = message;
+  }
+  return formErrors;
+}
+
+/**
+ * Loads the active rate table on the server, so the form shows the rates quotes are priced with,
+ * the currencies quotes can be presented in, the customers they can be for, and the saved locations and lanes of the
+ * address book. Visitors have to sign in first.
+ * @returns {{ props: { rateTable: Object, currencies: string[], customers: Object[], savedLocations: Object[], savedLanes: Object[], user: Object } } | { redirect: Object }}
+ */
+export const getServerSideProps = async ({ req, resolvedUrl }) => {
+  const user = await getSessionUser(req);
+  if (!user) return redirectToSignIn(resolvedUrl);
+  return {
+    props: {
+      rateTable: getRateTable(),
+      currencies: Object.keys(loadExchangeRates()),
+      customers: await customerRepository.list(),
+      savedLocations: await addressBook.locations.list(),
+      savedLanes: await addressBook.lanes.list(),
+      user: toPublicUser(user)
+    }
+  };
+}
+
+export default function HomePage({ rateTable, currencies, customers, savedLocations, savedLanes, user }) {
+  const [locationService, setLocationService] = useState("loading");
   const [origin, setOrigin] = useState("");
   const [destination, setDestination] = useState("");
-  const [equipmentType, setEquipmentType] = useState("dry_van");
+  const [stops, setStops] = useState([]);
+  const [customerId, setCustomerId] = useState("");
+  const [equipmentType, setEquipmentType] = useState(Object.keys(rateTable.equipment)[0]);
+  // The equipment types to compare, `null` when a single equipment type is quoted.
+  const [compareTypes, setCompareTypes] = useState(null);
   const [weight, setWeight] = useState("");
+  const [weightUnit, setWeightUnit] = useState("lb");
+  const [distanceUnit, setDistanceUnit] = useState("km");
+  const [currency, setCurrency] = useState("CAD");
   const [pickupDate, setPickupDate] = useState("");
+  const [businessDaysOnly, setBusinessDaysOnly] = useState(false);
+  const [accessorials, setAccessorials] = useState({});
+  // The saved quote being re-quoted, the next quote is saved as its revision.
+  const [revisionOf, setRevisionOf] = useState(null);
   const [quote, setQuote] = useState(null);
-  const [quotes, setQuotes] = useState([]);
-  const [filters, setFilters] = useState({ origin: "", equipment: "", destination: "" });
+  // The request that was compared and its priced options, and the equipment type of the option being saved.
+  const [comparison, setComparison] = useState(null);
+  const [savingOption, setSavingOption] = useState(null);
+  const [filters, setFilters] = useState({ origin: "", equipment: "", destination: "", customer: "" });
   const [loading, setLoading] = useState(false);
   const [errorMessage, setErrorMessage] = useState("");
+  // The errors of the form's inputs from the quote API, keyed by input, see `toFormErrors`.
+  const [fieldErrors, setFieldErrors] = useState({});
   const [activeTab, setActiveTab] = useState('quote');
   const [originInputValue, setOriginInputValue] = useState("");
   const [destinationInputValue, setDestinationInputValue] = useState("");
 
-  // Reads the previous quotes from local storage, runs once on load.
+  // Imports the quote history kept in local storage before quotes were saved on the server, runs once on load.
+  // The local copy is only removed once the server has saved it.
   useEffect(() => {
     const storedQuotes = localStorage.getItem('quotes');
     if (storedQuotes == null) return;
-    const translatedQuotes = JSON.parse(storedQuotes).sort(sortQuotes);
-    setQuotes(translatedQuotes);
+    const options = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ quotes: JSON.parse(storedQuotes) })
+    }
+    fetch('/api/quotes/import', options).then(res => {
+      if (res.ok) localStorage.removeItem('quotes');
+    }).catch(err => console.error("Quote import error:", err));
   }, []);
 
   /**
-   * Deletes a quote based on their index, used in `<QuoteHistory />`.
-   * @param {number} index - The index of the quote to delete.
+   * Saves a quote request using `api/quotes`, and shows the saved quote.
+   * @param {Object} request - The quote request, with its `equipmentType`.
+   * @returns {Promise<boolean>} Whether the quote was saved, the error message is shown if it wasn't.
    */
-  const deleteQuote = (index) => {
-    const savedQuotes = quotes.slice(0);
-    savedQuotes.splice(index, 1);
-    setQuotes(savedQuotes);
-    localStorage.setItem('quotes', JSON.stringify(savedQuotes));
-  }
+  const saveQuote = async (request) => {
+    const response = await fetch('/api/quotes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    });
+    const data = await response.json();
+
+    // Handles if the response has an error, showing its field errors on the inputs.
+    if (!response.ok) {
+      setErrorMessage(data.error || 'Failed to create quote. Server returned an error.');
+      setFieldErrors(toFormErrors(data.errors, request.stops.length));
+      return false;
+    }
+    setQuote(data.quote);
+    setRevisionOf(null);
+    return true;
+  };
+
+  /**
+   * Prices the options for every compared equipment type using `api/createQuote`, without saving them.
+   * @param {Object} request - The quote request, without its equipment.
+   */
+  const compareQuote = async (request) => {
+    const response = await fetch('/api/createQuote', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...request, equipmentTypes: compareTypes })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setErrorMessage(data.error || 'Failed to create quote. Server returned an error.');
+      setFieldErrors(toFormErrors(data.errors, request.stops.length));
+      return;
+    }
+    setComparison({ request, options: data.options });
+  };
 
   /**
-   * Creates the quote using `api/createQuote`, updates local storage, and handles errors.
+   * Creates and saves the quote, or prices the options to compare when comparing equipment, and handles errors.
    */
   const handleCreateQuote = async () => {
     setErrorMessage("");
+    setFieldErrors({});
 
     // Verifies that the form values exist, and are valid.
-    if (!origin || !destination || !equipmentType || !weight || !pickupDate) {
+    const hasEquipment = compareTypes ? compareTypes.length > 0 : Boolean(equipmentType);
+    if (!origin || !destination || stops.some(stop => !stop.place) || !hasEquipment || !weight || !pickupDate) {
       setErrorMessage("Please fill in all required fields.");
       return;
     } else if (parseFloat(weight) <= 0) {
       setErrorMessage("Invalid weight value.");
       return;
-    } else if (origin != originInputValue || destination != destinationInputValue) {
+    } else if (origin != originInputValue || destination != destinationInputValue || stops.some(stop => stop.place != stop.inputValue)) {
       setErrorMessage("Invalid locations, please select from dropdown.");
       return;
     }
@@ -107,45 +230,27 @@ export default function HomePage() {
     // Sets loading and quote values
     setLoading(true);
     setQuote(null);
+    setComparison(null);
 
     try {
       // Building and sending fetch request to the API.
-      const weightInt = parseFloat(weight);
-      const cacheDistance = localStorage.getItem(`${origin}-${destination}`);
-      const options = {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          origin,
-          destination,
-          equipmentType,
-          weight: weightInt,
-          pickupDate,
-          cacheDistance
-        })
-      }
-      const response = await fetch('/api/createQuote', options);
-
-      // Handles if the response throws an error.
-      if (!response.ok) {
-        const data = await response.json();
-        setErrorMessage(data.error || 'Failed to create quote. Server returned an error.');
-        return;
-      }
-
-      // Gets the quote data from the response, and adds the distance to local storage if the route is new.
-      const data = await response.json();
-      const distance = data.quote.distance;
-      if (cacheDistance == null && distance) {
-        localStorage.setItem(`${origin}-${destination}`, distance);
-        localStorage.setItem(`${destination}-${origin}`, distance);
+      const request = {
+        stops: [origin, ...stops.map(stop => stop.place), destination],
+        weight: parseFloat(weight),
+        weightUnit,
+        distanceUnit,
+        currency,
+        pickupDate,
+        businessDaysOnly,
+        customerId: customerId || undefined,
+        revisionOf: revisionOf ? revisionOf.id : undefined,
+        accessorials: Object.entries(accessorials).map(([code, quantity]) => ({ code, quantity: parseFloat(quantity) }))
+      };
+      if (compareTypes) {
+        await compareQuote(request);
+      } else {
+        await saveQuote({ ...request, equipmentType });
       }
-
-      // Updates the current quote and the stored quotes, saves it to local storage.
-      const updatedQuotes = [data.quote, ...quotes].sort(sortQuotes);
-      localStorage.setItem('quotes', JSON.stringify(updatedQuotes));
-      setQuote(data.quote);
-      setQuotes(updatedQuotes);
     } catch (error) {
       // Handles if an error is thrown when creating the quote.
       console.error("Quote creation error:", error);
@@ -155,16 +260,111 @@ export default function HomePage() {
     }
   };
 
-  // Filtering the quotes based on the filters, used in <QuoteHistory />.
-  const filteredQuotes = quotes.filter((quote) =>
-    (filters.origin.length === 0 || (quote.origin && quote.origin.toLowerCase().includes(filters.origin.toLowerCase()))) &&
-    (filters.destination.length === 0 || (quote.destination && quote.destination.toLowerCase().includes(filters.destination.toLowerCase()))) &&
-    (filters.equipment.length === 0 || quote.equipmentType === filters.equipment)
-  );
+  /**
+   * Saves one of the compared options to the history, pricing it again with the request that was compared.
+   * @param {string} type - The equipment type of the option.
+   */
+  const saveOption = async (type) => {
+    setErrorMessage("");
+    setFieldErrors({});
+    setSavingOption(type);
+    try {
+      if (await saveQuote({ ...comparison.request, equipmentType: type })) {
+        setComparison(null);
+        setEquipmentType(type);
+      }
+    } catch (error) {
+      console.error("Quote save error:", error);
+      setErrorMessage(`Saving failed: ${error.message || "An unknown error occurred."}`);
+    } finally {
+      setSavingOption(null);
+    }
+  };
+
+  // Rates the current quote was priced with, and the currency and units it's presented in, used for the breakdown labels.
+  const quoteRates = quote && getQuoteRates(quote);
+  const quoteUnits = quote && getQuoteUnits(quote);
+
+  /**
+   * Sets the origin to one of the customer's saved locations.
+   * @param {{ label: string, address: string }} location - The saved location.
+   */
+  const pickCustomerLocation = (location) => {
+    setOrigin(location.address);
+    setOriginInputValue(location.address);
+  }
+
+  /**
+   * Fills the origin, destination and equipment from a saved lane.
+   * @param {{ lane: Object, origin: Object, destination: Object }} pick - The lane, and its saved origin and destination.
+   */
+  const pickSavedLane = ({ lane, origin, destination }) => {
+    setOrigin(origin.address);
+    setOriginInputValue(origin.address);
+    setDestination(destination.address);
+    setDestinationInputValue(destination.address);
+    if (rateTable.equipment[lane.equipmentType]) setEquipmentType(lane.equipmentType);
+  }
+
+  /**
+   * Changes the customer the quote is for, pre-filling their default equipment and their first saved location as the origin.
+   * @param {Object | null} customer - The picked customer, or `null` for no customer.
+   */
+  const changeCustomer = (customer) => {
+    setCustomerId(customer ? customer.id : "");
+    if (!customer) return;
+    if (customer.defaultEquipment && rateTable.equipment[customer.defaultEquipment]) setEquipmentType(customer.defaultEquipment);
+    if (customer.locations.length > 0) pickCustomerLocation(customer.locations[0]);
+  }
+
+  /**
+   * Loads a saved quote back into the form to price it again with the current rates, saving the new quote as its revision.
+   * Pickup dates that have passed are cleared, since quotes can't be picked up in the past.
+   * @param {Object} saved - The saved quote to re-quote.
+   */
+  const requote = (saved) => {
+    const request = toQuoteRequest(saved);
+    const [first, ...rest] = request.stops;
+    const last = rest.pop();
+    setOrigin(first);
+    setOriginInputValue(first);
+    setStops(rest.map((stop, index) => ({ id: `revision-${saved.id}-${index}`, place: stop, inputValue: stop })));
+    setDestination(last);
+    setDestinationInputValue(last);
+    if (rateTable.equipment[request.equipmentType]) setEquipmentType(request.equipmentType);
+    setWeight(String(request.weight));
+    setWeightUnit(request.weightUnit);
+    setDistanceUnit(request.distanceUnit);
+    if (currencies.includes(request.currency)) setCurrency(request.currency);
+    setPickupDate(request.pickupDate >= toDateString(new Date()) ? request.pickupDate : "");
+    setBusinessDaysOnly(request.businessDaysOnly);
+    setCustomerId(customers.some(customer => customer.id === request.customerId) ? request.customerId : "");
+    setAccessorials(Object.fromEntries(request.accessorials
+      .filter(({ code }) => rateTable.accessorials[code])
+      .map(({ code, quantity }) => [code, quantity ?? 1])));
+    setRevisionOf(saved);
+    setQuote(null);
+    setComparison(null);
+    setErrorMessage("");
+    setFieldErrors({});
+    setActiveTab('quote');
+  }
+
+  /**
+   * Signs the user out, and sends them to the sign in page.
+   */
+  const handleSignOut = async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error("Sign out error:", error);
+    }
+    window.location.assign('/login');
+  }
 
   /**
    * Handles changing the active tab.
-   * @param {string} newTab - The tab to change it to ('quote' or 'history').
+   * @param {string} newTab - The tab to change it to ('quote', 'batch' or 'history').
    */
   const changeActiveTab = (newTab) => {
     if (activeTab == newTab) return;
@@ -189,28 +389,59 @@ export default function HomePage() {
             </div>
           </div>
 
-          {/* Status Indicator */}
-          <div className="flex items-center gap-2 text-xs font-medium px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-full text-slate-300 shadow-sm">
-            {googleLoaded ? (
-              <>
-                <CheckCircleIcon className="w-4 h-4 text-green-500" />
-                <span>Maps Service Ready</span>
-              </>
-            ) : (
-              <>
-                <span className="w-2 h-2 bg-yellow-400 rounded-full animate-pulse"></span>
-                <span>Loading Maps...</span>
-              </>
-            )}
+          <div className="flex flex-wrap items-center gap-3">
+            {/* Status Indicator */}
+            <div className="flex items-center gap-2 text-xs font-medium px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-full text-slate-300 shadow-sm">
+              {locationService === 'google' ? (
+                <>
+                  <CheckCircleIcon className="w-4 h-4 text-green-500" />
+                  <span>Maps Service Ready</span>
+                </>
+              ) : locationService === 'local' ? (
+                <>
+                  <MapPinIcon className="w-4 h-4 text-indigo-400" />
+                  <span>Offline Location Search</span>
+                </>
+              ) : (
+                <>
+                  <span className="w-2 h-2 bg-yellow-400 rounded-full animate-pulse"></span>
+                  <span>Loading Maps...</span>
+                </>
+              )}
+            </div>
+
+            {/* Signed In User */}
+            <div className="flex items-center gap-2 text-xs font-medium px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-full text-slate-300 shadow-sm">
+              <UserCircleIcon className="w-4 h-4 text-indigo-400" />
+              <span>{user.name}</span>
+              <span className="text-slate-500">{roleLabels[user.role]}</span>
+            </div>
+            <Link
+              href="/analytics"
+              className="inline-flex items-center gap-1.5 text-xs font-medium px-3 py-1.5 rounded-full text-slate-400 hover:text-slate-200 hover:bg-slate-700 transition-colors"
+            >
+              <ChartBarIcon className="w-4 h-4" />
+              Analytics
+            </Link>
+            <Link
+              href="/settings"
+              className="inline-flex items-center gap-1.5 text-xs font-medium px-3 py-1.5 rounded-full text-slate-400 hover:text-slate-200 hover:bg-slate-700 transition-colors"
+            >
+              <Cog6ToothIcon className="w-4 h-4" />
+              Settings
+            </Link>
+            <button
+              onClick={handleSignOut}
+              className="cursor-pointer inline-flex items-center gap-1.5 text-xs font-medium px-3 py-1.5 rounded-full text-slate-400 hover:text-slate-200 hover:bg-slate-700 transition-colors"
+            >
+              <ArrowRightStartOnRectangleIcon className="w-4 h-4" />
+              Sign Out
+            </button>
           </div>
         </div>
 
-        {/* Loads the script for access to Google's location autocomplete/suggestions, using the 'Places API'. */}
-        <LoadScript
-          googleMapsApiKey={process.env.NEXT_PUBLIC_API_KEY}
-          libraries={libraries}
-          onLoad={() => setGoogleLoaded(true)}
-        >
+        {/* Loads Google's location autocomplete/suggestions using the 'Places API', with the local geocoder until then or without it. */}
+        <LocationServiceProvider onServiceChange={setLocationService}>
           {/* Tab Navigation */}
           <div className="mb-6">
             <div className="border-b border-slate-700">
@@ -226,6 +457,17 @@ export default function HomePage() {
                   <CurrencyDollarIcon className={`w-5 h-5 ${activeTab === 'quote' ? 'text-indigo-400' : 'text-slate-500 group-hover:text-slate-300'}`} />
                   <span>New Quote</span>
                 </button>
+                <button
+                  onClick={() => changeActiveTab('batch')}
+                  className={`group cursor-pointer inline-flex items-center gap-2 py-4 px-1 border-b-2 font-medium text-sm transition-colors
+                    ${activeTab === 'batch'
+                      ? 'border-indigo-500 text-indigo-400'
+                      : 'border-transparent text-slate-400 hover:text-slate-200 hover:border-slate-500'
+                    }`}
+                >
+                  <DocumentTextIcon className={`w-5 h-5 ${activeTab === 'batch' ? 'text-indigo-400' : 'text-slate-500 group-hover:text-slate-300'}`} />
+                  <span>Batch Quotes</span>
+                </button>
                 <button
                   onClick={() => changeActiveTab('history')}
                   className={`group cursor-pointer inline-flex items-center gap-2 py-4 px-1 border-b-2 font-medium text-sm transition-colors
@@ -252,58 +494,148 @@ export default function HomePage() {
                   <Card className="p-8">
                     <h2 className="text-xl font-bold mb-6 text-indigo-400 border-b border-slate-700 pb-3">Shipment Details</h2>
 
+                    {/* Re-quote Banner */}
+                    {revisionOf && (
+                      <div className="mb-6 flex items-start gap-3 bg-indigo-900/40 border border-indigo-700 text-indigo-200 p-4 rounded-lg text-sm">
+                        <ArrowPathIcon className="w-5 h-5 flex-shrink-0" />
+                        <p className="flex-grow">
+                          Re-quoting {formatQuoteReference(revisionOf.id)} with the current rates, the new quote will be saved as its revision.
+                          {revisionOf.pickupDate < toDateString(new Date()) && ' Its pickup date has passed, pick a new one.'}
+                        </p>
+                        <button
+                          type="button"
+                          onClick={() => setRevisionOf(null)}
+                          className="cursor-pointer text-indigo-300 hover:text-indigo-100"
+                          title="Save as a new quote instead"
+                        >
+                          <XMarkIcon className="w-5 h-5" />
+                        </button>
+                      </div>
+                    )}
+
                     <form className="space-y-6">
+                      {/* Customer */}
+                      <CustomerPicker
+                        customers={customers}
+                        customerId={customerId}
+                        onCustomerChange={changeCustomer}
+                        origin={origin}
+                        onLocationPick={pickCustomerLocation}
+                      />
+                      <FieldError message={fieldErrors.customerId} />
+
+                      {/* Saved Lanes */}
+                      <SavedLanePicks
+                        lanes={savedLanes}
+                        locations={savedLocations}
+                        onPick={pickSavedLane}
+                        origin={origin}
+                        destination={destination}
+                      />
+
                       {/* Origin */}
                       <div className="space-y-2">
-                        <label className="block text-sm font-medium text-slate-300">Origin City</label>
+                        <div className="flex items-center justify-between">
+                          <label className="block text-sm font-medium text-slate-300">Origin City</label>
+                          <SavedLocationSelect
+                            locations={savedLocations}
+                            label="Saved location for origin"
+                            onPick={(location) => { setOrigin(location.address); setOriginInputValue(location.address); }}
+                          />
+                        </div>
                         <div className="relative">
                           <MapPinIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500 z-10" />
-                          <GoogleAutocomplete
+                          <LocationInput
                             inputValue={originInputValue}
                             setInputValue={setOriginInputValue}
-                            placeholder="e.g. Toronto, ON"
-                            onPlaceChanged={(place) => setOrigin(place.formatted_address)}
-                            inputClassName={!googleLoaded ? 'bg-slate-700 cursor-not-allowed' : 'bg-slate-700 text-slate-50 placeholder-slate-500 border-slate-600'}
+                            placeholder="e.g. Toronto, ON or M5V 3L9"
+                            onLocationChange={(location) => setOrigin(location.address)}
+                            inputClassName={fieldErrors.origin ? 'ring-2 ring-red-500' : ''}
                           />
                         </div>
+                        <FieldError message={fieldErrors.origin} />
                       </div>
 
+                      {/* Intermediate Stops */}
+                      <StopList
+                        stops={stops}
+                        setStops={setStops}
+                        savedLocations={savedLocations}
+                        errors={Object.fromEntries(stops.map((stop, index) => [index, fieldErrors[`stop-${index}`]]))}
+                      />
+
                       {/* Destination */}
                       <div className="space-y-2">
-                        <label className="block text-sm font-medium text-slate-300">Destination City</label>
+                        <div className="flex items-center justify-between">
+                          <label className="block text-sm font-medium text-slate-300">Destination City</label>
+                          <SavedLocationSelect
+                            locations={savedLocations}
+                            label="Saved location for destination"
+                            onPick={(location) => { setDestination(location.address); setDestinationInputValue(location.address); }}
+                          />
+                        </div>
                         <div className="relative">
                           <MapPinIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500 z-10" />
-                          <GoogleAutocomplete
+                          <LocationInput
                             inputValue={destinationInputValue}
                             setInputValue={setDestinationInputValue}
-                            placeholder="e.g. Montreal, QC"
-                            onPlaceChanged={(place) => setDestination(place.formatted_address)}
-                            inputClassName={!googleLoaded ? 'bg-slate-700 cursor-not-allowed' : 'bg-slate-700 text-slate-50 placeholder-slate-500 border-slate-600'}
+                            placeholder="e.g. Montreal, QC or H2Y 1C6"
+                            onLocationChange={(location) => setDestination(location.address)}
+                            inputClassName={fieldErrors.destination ? 'ring-2 ring-red-500' : ''}
                           />
                         </div>
+                        <FieldError message={fieldErrors.destination} />
                       </div>
 
                       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                         {/* Equipment Type */}
                         <div className="space-y-2">
                           <label className="block text-sm font-medium text-slate-300">Equipment Type</label>
-                          <div className="relative">
-                            <TruckIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
-                            <select
-                              value={equipmentType}
-                              onChange={(e) => setEquipmentType(e.target.value)}
-                              className="w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition"
-                            >
-                              <option value="dry_van">Dry Van (1.0x)</option>
-                              <option value="reefer">Reefer (1.3x)</option>
-                              <option value="flatbed">Flatbed (1.15x)</option>
-                            </select>
-                          </div>
+                          {compareTypes ? (
+                            <div className="space-y-1.5 py-1">
+                              {Object.entries(rateTable.equipment).map(([type, { label, multiplier }]) => (
+                                <label key={type} className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                                  <input
+                                    type="checkbox"
+                                    checked={compareTypes.includes(type)}
+                                    onChange={(e) => setCompareTypes(e.target.checked ? [...compareTypes, type] : compareTypes.filter(other => other !== type))}
+                                    className="accent-indigo-500 w-4 h-4"
+                                  />
+                                  {label} <span className="text-slate-500">({multiplierFormatter.format(1 + multiplier)}x)</span>
+                                </label>
+                              ))}
+                            </div>
+                          ) : (
+                            <div className="relative">
+                              <TruckIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+                              <select
+                                value={equipmentType}
+                                onChange={(e) => setEquipmentType(e.target.value)}
+                                className={`w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition ${fieldErrors.equipmentType ? 'ring-2 ring-red-500' : ''}`}
+                              >
+                                {Object.entries(rateTable.equipment).map(([type, { label, multiplier }]) => (
+                                  <option key={type} value={type}>
+                                    {label} ({multiplierFormatter.format(1 + multiplier)}x)
+                                  </option>
+                                ))}
+                              </select>
+                            </div>
+                          )}
+                          <label className="flex items-center gap-2 text-sm text-slate-400">
+                            <input
+                              type="checkbox"
+                              checked={compareTypes !== null}
+                              onChange={(e) => setCompareTypes(e.target.checked ? Object.keys(rateTable.equipment) : null)}
+                              className="accent-indigo-500"
+                            />
+                            Compare equipment types
+                          </label>
+                          <FieldError message={fieldErrors.equipmentType} />
                         </div>
 
                         {/* Weight */}
                         <div className="space-y-2">
-                          <label className="block text-sm font-medium text-slate-300">Total Weight (lbs)</label>
+                          <label className="block text-sm font-medium text-slate-300">Total Weight ({weightUnits[weightUnit].label})</label>
                           <div className="relative">
                             <ScaleIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
                             <input
@@ -311,9 +643,20 @@ export default function HomePage() {
                               value={weight}
                               onChange={(e) => setWeight(e.target.value)}
                               min={1}
-                              className="w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition"
+                              className={`w-full pl-10 pr-24 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition ${fieldErrors.weight || fieldErrors.weightUnit ? 'ring-2 ring-red-500' : ''}`}
                             />
+                            <select
+                              aria-label="Weight unit"
+                              value={weightUnit}
+                              onChange={(e) => setWeightUnit(e.target.value)}
+                              className="absolute right-1 top-1/2 -translate-y-1/2 py-1.5 px-2 rounded-lg bg-slate-800 text-slate-300 text-sm outline-none"
+                            >
+                              {Object.entries(weightUnits).map(([unit, { label }]) => (
+                                <option key={unit} value={unit}>{label}</option>
+                              ))}
+                            </select>
                           </div>
+                          <FieldError message={fieldErrors.weight || fieldErrors.weightUnit} />
                         </div>
                       </div>
 
@@ -329,9 +672,69 @@ export default function HomePage() {
                             type="date"
                             value={pickupDate}
                             onChange={(e) => setPickupDate(e.target.value)}
-                            className="w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition"
+                            className={`w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition ${fieldErrors.pickupDate ? 'ring-2 ring-red-500' : ''}`}
                           />
                         </div>
+                        <FieldError message={fieldErrors.pickupDate} />
+                        <label className="flex items-center gap-2 text-sm text-slate-400">
+                          <input
+                            type="checkbox"
+                            checked={businessDaysOnly}
+                            onChange={(e) => setBusinessDaysOnly(e.target.checked)}
+                            className="accent-indigo-500"
+                          />
+                          Skip weekends and holidays in transit
+                        </label>
+                        <FieldError message={fieldErrors.businessDaysOnly} />
+                      </div>
+
+                      {/* Currency and Distance Unit, that the quote is presented in */}
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div className="space-y-2">
+                          <label htmlFor="currency" className="block text-sm font-medium text-slate-300">Currency</label>
+                          <div className="relative">
+                            <CurrencyDollarIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+                            <select
+                              id="currency"
+                              value={currency}
+                              onChange={(e) => setCurrency(e.target.value)}
+                              className={`w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition ${fieldErrors.currency ? 'ring-2 ring-red-500' : ''}`}
+                            >
+                              {currencies.map(code => (
+                                <option key={code} value={code}>{code}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <FieldError message={fieldErrors.currency} />
+                        </div>
+                        <div className="space-y-2">
+                          <label htmlFor="distance-unit" className="block text-sm font-medium text-slate-300">Distance Unit</label>
+                          <div className="relative">
+                            <MapPinIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+                            <select
+                              id="distance-unit"
+                              value={distanceUnit}
+                              onChange={(e) => setDistanceUnit(e.target.value)}
+                              className={`w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition ${fieldErrors.distanceUnit ? 'ring-2 ring-red-500' : ''}`}
+                            >
+                              {Object.entries(distanceUnits).map(([unit, { name }]) => (
+                                <option key={unit} value={unit}>{name}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <FieldError message={fieldErrors.distanceUnit} />
+                        </div>
+                      </div>
+
+                      {/* Accessorials */}
+                      <div className="space-y-2">
+                        <label className="block text-sm font-medium text-slate-300">Accessorials</label>
+                        <AccessorialPicker
+                          catalog={rateTable.accessorials}
+                          selected={accessorials}
+                          setSelected={setAccessorials}
+                        />
+                        <FieldError message={fieldErrors.accessorials} />
                       </div>
                     </form>
 
@@ -340,7 +743,7 @@ export default function HomePage() {
                       <button
                         type="button"
                         onClick={handleCreateQuote}
-                        disabled={loading || !googleLoaded}
+                        disabled={loading}
                         className="w-full cursor-pointer px-6 py-3 border border-transparent text-base font-semibold rounded-xl 
                             disabled:opacity-60 disabled:cursor-not-allowed bg-indigo-600 text-white 
                             hover:bg-indigo-700 transition duration-150 ease-in-out flex items-center justify-center gap-2 shadow-md shadow-indigo-500/30"
@@ -353,7 +756,7 @@ export default function HomePage() {
                         ) : (
                           <CurrencyDollarIcon className="h-5 w-5" />
                         )}
-                        {loading ? 'Calculating...' : 'Calculate Quote'}
+                        {loading ? 'Calculating...' : compareTypes ? 'Compare Equipment' : 'Calculate Quote'}
                       </button>
                     </div>
                   </Card>
@@ -374,7 +777,7 @@ export default function HomePage() {
                         <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                         <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                       </svg>
-                      <p className="text-lg font-semibold mt-4">Generating Quote...</p>
+                      <p className="text-lg font-semibold mt-4">{compareTypes ? 'Pricing Options...' : 'Generating Quote...'}</p>
                     </div>
                   )}
 
@@ -388,54 +791,136 @@ export default function HomePage() {
 
                       {/* Cost Breakdown */}
                       <div className="space-y-3 mb-5">
+                        {quote.revisionOf && <ItemRow label="Revision Of" value={formatQuoteReference(quote.revisionOf)} currency={false} />}
+                        {quote.customerName && <ItemRow label="Customer" value={quote.customerName} currency={false} />}
                         <ItemRow label="Origin" value={quote.origin} currency={false} />
+                        {quote.stops.slice(1, -1).map((stop, index) => (
+                          <ItemRow key={index} label={`Stop ${index + 1}`} value={stop} currency={false} />
+                        ))}
                         <ItemRow label="Destination" value={quote.destination} currency={false} />
+                        <ItemRow label="Pricing Rule" value={formatPricingRule(quote.pricingRule)} currency={false} />
                         <div className="h-px bg-slate-700 mx-auto w-full my-2" />
-                        <ItemRow title="$1.62/km" label="Base Rate ($1.62/km)" value={quote.baseRate} />
+                        <ItemRow
+                          title={formatPricingRule(quote.pricingRule)}
+                          label={formatBaseRateLabel(quote)}
+                          value={quote.baseRate}
+                          currencyCode={quoteUnits.currency}
+                        />
+                        {quote.legs.length > 1 && quote.legs.map((leg, index) => (
+                          <ItemRow
+                            key={index}
+                            title={`${leg.origin} → ${leg.destination}`}
+                            label={`Leg ${index + 1} (${numberFormatter.format(leg.distance.toFixed(0))} ${distanceUnits[quoteUnits.distanceUnit].label})`}
+                            value={leg.baseRate}
+                            isSubItem={true}
+                            currencyCode={quoteUnits.currency}
+                          />
+                        ))}
+                        {quote.stopCharge !== 0 &&
+                        <ItemRow
+                          title={`${formatRateAmount(quote, quoteRates.stopCharge)} per stop`}
+                          label={`Stop Charge (${quote.stops.length - 2} × ${formatRateAmount(quote, quoteRates.stopCharge)})`}
+                          value={quote.stopCharge}
+                          currencyCode={quoteUnits.currency}
+                        />}
                         {quote.equipmentCharge !== 0 && 
                         <ItemRow
-                          title={`${equipmentCharges[quote.equipmentType]}`}
-                          label={`Equipment Charge (${equipmentCharges[quote.equipmentType]})`}
-                          value={quote.equipmentCharge} 
+                          title={percentFormatter.format(quoteRates.equipmentMultiplier)}
+                          label={`Equipment Charge (${percentFormatter.format(quoteRates.equipmentMultiplier)})`}
+                          value={quote.equipmentCharge}
+                          currencyCode={quoteUnits.currency}
                         />}
                         <ItemRow 
-                          title={getFuelSurchargePercent(parseFloat(quote.weight))}
-                          label={`Fuel Surcharge (${getFuelSurchargePercent(parseFloat(quote.weight))})`}
-                          value={quote.fuelSurcharge} 
+                          title={formatFuelIndex(quote)}
+                          label={formatFuelSurchargeLabel(quote)}
+                          value={quote.fuelSurcharge}
+                          currencyCode={quoteUnits.currency}
                         />
                         {quote.weightFactor !== 0 && 
-                        <ItemRow title="$0.10 per 100lbs over 10,000lbs" 
-                          label="Weight Factor" 
+                        <ItemRow
+                          title={`${formatRateAmount(quote, quoteRates.weightFactorPer100)} per 100lbs over ${formatWeight(quoteRates.weightThreshold * weightUnits[quoteUnits.weightUnit].perPound, quoteUnits.weightUnit)}`}
+                          label="Weight Factor"
                           value={quote.weightFactor}
+                          currencyCode={quoteUnits.currency}
                         />}
-                        <ItemRow label="Final Total Rate" value={quote.total} isTotal={true} />
+                        {quote.accessorials.map(line => (
+                          <ItemRow
+                            key={line.code}
+                            title={formatAccessorialRate(line, quoteUnits.currency)}
+                            label={formatAccessorialLabel(line, quoteUnits.currency)}
+                            value={line.amount}
+                            currencyCode={quoteUnits.currency}
+                          />
+                        ))}
+                        {(quote.dateAdjustments || []).map(line => (
+                          <ItemRow
+                            key={line.code}
+                            title={formatAccessorialRate(line, quoteUnits.currency)}
+                            label={formatAccessorialLabel(line, quoteUnits.currency)}
+                            value={line.amount}
+                            currencyCode={quoteUnits.currency}
+                          />
+                        ))}
+                        <ItemRow label="Final Total Rate" value={quote.total} isTotal={true} currencyCode={quoteUnits.currency} />
                       </div>
 
+                      {/* Carrier Cost and Margin, for staff only */}
+                      <MarginSummary quote={quote} className="mb-5" />
+
                       {/* Key Metrics */}
-                      <div className="grid grid-cols-2 gap-4 border-t border-slate-700 pt-4">
+                      <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 border-t border-slate-700 pt-4">
                         <MetricBox
                           title="Estimated Distance"
                           value={numberFormatter.format(quote.distance.toFixed(0))}
-                          unit="km"
+                          unit={distanceUnits[quoteUnits.distanceUnit].label}
                           color="text-indigo-400"
+                          note={quote.distanceProvider && `via ${formatDistanceProvider(quote.distanceProvider)}`}
                         />
                         <MetricBox
                           title="Estimated Duration"
                           value={quote.days}
                           unit={quote.days == 1 ? "day" : "days"}
                           color={"text-indigo-400"}
+                          note={`${numberFormatter.format(quote.transit.drivingHours.toFixed(1))} h driving${quote.transit.teamDriving ? ', team' : ''}`}
+                        />
+                        <MetricBox
+                          title="Estimated Delivery"
+                          value={formatDeliveryWindow(quote.transit)}
+                          color="text-indigo-400"
+                          note={quote.transit.businessDaysOnly ? 'Business days only' : 'Every day of the week'}
                         />
                       </div>
 
                       <div className="col-span-2 text-sm pt-4 text-slate-400 flex items-center gap-2 border-t border-slate-700 mt-4">
                         <CircleStackIcon className="w-5 h-5 text-indigo-500" />
-                        Quote saved to history.
+                        {quote.status === 'draft' ? 'Quote saved to history as a draft' : 'Quote saved to history and sent to the customer'}, valid until {quote.expiresAt}.
+                        <ShareLinkButton
+                          quote={quote}
+                          onShared={setQuote}
+                          className="px-2 py-1 text-xs font-medium rounded-lg border border-indigo-700 text-indigo-200 hover:bg-indigo-800 transition-colors"
+                        />
+                        {quote.rateTableVersion && (
+                          <span className="ml-auto text-xs text-slate-500">
+                            Rate table {quote.rateTableVersion}
+                            {quoteUnits.currency !== 'CAD' && `, 1 CAD = ${quoteUnits.exchangeRate} ${quoteUnits.currency}`}
+                          </span>
+                        )}
                       </div>
                     </Card>
                   )}
 
+                  {/* Equipment Comparison - an option for every compared equipment type */}
+                  {!loading && comparison && (
+                    <EquipmentComparison
+                      options={comparison.options}
+                      equipmentTypes={rateTable.equipment}
+                      onSave={saveOption}
+                      saving={savingOption}
+                    />
+                  )}
+
                   {/* Placeholder for when no quote is generated yet */}
-                  {!loading && !quote && (
+                  {!loading && !quote && !comparison && (
                     <div className="flex flex-col items-center justify-center h-full min-h-[300px] bg-slate-800/50 rounded-xl border-2 border-dashed border-slate-700 text-slate-600 p-8">
                       <CurrencyDollarIcon className="w-12 h-12 mb-3 opacity-50" />
                       <p className="text-lg font-semibold">Your quote will appear here.</p>
@@ -446,19 +931,28 @@ export default function HomePage() {
               </div>
             )}
 
+            {/* "Batch Quotes" Tab Content */}
+            {activeTab === 'batch' && (
+              <div className="animate-in fade-in duration-300">
+                <BatchQuote equipmentTypes={rateTable.equipment} />
+              </div>
+            )}
+
             {/* "Quote History" Tab Content */}
             {activeTab === 'history' && (
               <div className="animate-in fade-in duration-300">
                 <QuoteHistory
-                  quotes={filteredQuotes}
                   filters={filters}
                   setFilters={setFilters}
-                  deleteQuote={deleteQuote}
+                  equipmentTypes={rateTable.equipment}
+                  customers={customers}
+                  showOwner={isPricingAdmin(user)}
+                  onRequote={requote}
                 />
               </div>
             )}
           </div>
-        </LoadScript>
+        </LocationServiceProvider>
       </div>
     </div>
   );
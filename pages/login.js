@@ -0,0 +1,122 @@
+import { useState } from "react";
+import Head from "next/head";
+import { CurrencyDollarIcon, LockClosedIcon, UserCircleIcon } from "@heroicons/react/24/outline";
+import { getReturnPath, getSessionUser } from "@/lib/auth";
+
+/**
+ * Sends users who are already signed in back to the page they came from.
+ * @returns {{ props: { next: string } } | { redirect: Object }}
+ */
+export const getServerSideProps = async ({ req, query }) => {
+  const next = getReturnPath(query.next);
+  if (await getSessionUser(req)) {
+    return { redirect: { destination: next, permanent: false } };
+  }
+  return { props: { next } };
+}
+
+export default function LoginPage({ next }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [errorMessage, setErrorMessage] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Signs in using `api/auth/login`, and returns to the page the user came from.
+   * @param {Event} event - The form's submit event.
+   */
+  const handleSignIn = async (event) => {
+    event.preventDefault();
+    setErrorMessage("");
+    if (!username || !password) {
+      setErrorMessage("Please enter your username and password.");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        setErrorMessage(data.error || 'Failed to sign in. Server returned an error.');
+        return;
+      }
+      window.location.assign(next);
+    } catch (error) {
+      console.error("Sign in error:", error);
+      setErrorMessage(`Sign in failed: ${error.message || "An unknown error occurred."}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-900 text-slate-50 font-sans flex items-center justify-center px-4">
+      <Head>
+        <title>Sign In - FreightQuote Pro</title>
+      </Head>
+      <div className="w-full max-w-sm">
+        <div className="flex items-center justify-center gap-3 mb-8">
+          <div className="bg-indigo-600 p-3 rounded-full shadow-lg shadow-indigo-500/50">
+            <CurrencyDollarIcon className="w-6 h-6 text-white" />
+          </div>
+          <h1 className="text-3xl font-extrabold text-slate-50 tracking-tight">
+            FreightQuote <span className="text-indigo-400">Pro</span>
+          </h1>
+        </div>
+
+        <form onSubmit={handleSignIn} className="bg-slate-800 rounded-xl shadow-lg border border-slate-700 p-8 space-y-6">
+          <h2 className="text-xl font-bold text-indigo-400 border-b border-slate-700 pb-3">Sign In</h2>
+
+          <div className="space-y-2">
+            <label htmlFor="username" className="block text-sm font-medium text-slate-300">Username</label>
+            <div className="relative">
+              <UserCircleIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-500" />
+              <input
+                id="username"
+                type="text"
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition"
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label htmlFor="password" className="block text-sm font-medium text-slate-300">Password</label>
+            <div className="relative">
+              <LockClosedIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-slate-500" />
+              <input
+                id="password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full pl-10 pr-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 transition"
+              />
+            </div>
+          </div>
+
+          {errorMessage && (
+            <div className="bg-red-900/50 border border-red-700 text-red-300 p-4 rounded-lg text-sm" role="alert">
+              {errorMessage}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="cursor-pointer w-full py-3 rounded-xl bg-indigo-600 text-white font-semibold hover:bg-indigo-700 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Signing In...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import Head from "next/head";
+import { PrinterIcon } from "@heroicons/react/24/outline";
+import { formatAccessorialLabel, formatBaseRateLabel, formatCurrency, formatDeliveryWindow, formatDistance, formatDistanceProvider, formatFuelIndex, formatFuelSurchargeLabel, formatPricingRule, formatQuoteReference, formatRateAmount, formatWeight, getQuoteRates, getQuoteUnits, percentFormatter } from "@/components/utils";
+import { getSessionUser, redirectToSignIn } from "@/lib/auth";
+import { customerRepository } from "@/lib/customers";
+import { toCustomerQuote } from "@/lib/markup";
+import { quoteRepository } from "@/lib/quotes";
+import { statusLabels } from "@/lib/quoteStatus";
+import { loadRateTables } from "@/lib/rateTable";
+import { canAccessQuote } from "@/lib/roles";
+
+// Helper component for a row of the breakdown table.
+const BreakdownRow = ({ label, value, currency, isSubItem = false, isTotal = false }) => (
+  <tr className={isTotal ? 'border-t-2 border-slate-900 font-bold text-lg' : 'border-t border-slate-200'}>
+    <td className={`py-2 ${isSubItem ? 'pl-6 text-sm text-slate-500' : ''}`}>{label}</td>
+    <td className={`py-2 text-right font-mono ${isSubItem ? 'text-sm text-slate-500' : ''}`}>{formatCurrency(value, currency)}</td>
+  </tr>
+);
+
+// Helper component for a labelled value in the shipment details.
+const Detail = ({ label, value }) => (
+  <div>
+    <dt className="text-xs uppercase tracking-wide text-slate-500">{label}</dt>
+    <dd className="font-medium">{value}</dd>
+  </div>
+);
+
+/**
+ * Loads the saved quote on the server, along with the label of its equipment from the rate table it was priced with,
+ * and the customer it's for, with only the customer's view of the quote. Visitors have to sign in, and can only print the
+ * quotes they have access to.
+ * @returns {{ props: { quote: Object, equipmentLabel: string, customer: Object | null } } | { notFound: true } | { redirect: Object }}
+ */
+export const getServerSideProps = async ({ params, req, resolvedUrl }) => {
+  const user = await getSessionUser(req);
+  if (!user) return redirectToSignIn(resolvedUrl);
+  const quote = await quoteRepository.get(params.id);
+  if (!quote || !canAccessQuote(user, quote)) return { notFound: true };
+
+  const tables = loadRateTables();
+  const rateTable = tables.find(table => table.version === quote.rateTableVersion) || tables[0];
+  const equipmentLabel = rateTable?.equipment[quote.equipmentType]?.label || quote.equipmentType;
+  const customer = quote.customerId ? await customerRepository.get(quote.customerId) : null;
+  // The sheet is handed to the customer, so only the customer's view of the quote is sent to the page.
+  return { props: { quote: toCustomerQuote(quote), equipmentLabel, customer } };
+}
+
+export default function PrintQuote({ quote, equipmentLabel, customer }) {
+  const stops = quote.stops || [quote.origin, quote.destination];
+  const legs = quote.legs || [];
+  const quoteRates = getQuoteRates(quote);
+  const { currency, exchangeRate, weightUnit, distanceUnit } = getQuoteUnits(quote);
+  const reference = formatQuoteReference(quote.id);
+
+  return (
+    <div className="min-h-screen bg-white text-slate-900 font-sans">
+      <Head>
+        <title>{`Quote ${reference}`}</title>
+      </Head>
+      <div className="max-w-3xl mx-auto px-8 py-10 print:p-0">
+
+        {/* Actions, hidden when printed */}
+        <div className="flex justify-end mb-6 print:hidden">
+          <button
+            onClick={() => window.print()}
+            className="cursor-pointer inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-700 transition-colors"
+          >
+            <PrinterIcon className="w-5 h-5" />
+            Print
+          </button>
+        </div>
+
+        {/* Header */}
+        <div className="flex justify-between items-start border-b-2 border-slate-900 pb-4 mb-6">
+          <div>
+            <h1 className="text-3xl font-extrabold tracking-tight">FreightQuote Pro</h1>
+            <p className="text-slate-500">Freight Quote</p>
+          </div>
+          <div className="text-right text-sm">
+            <p><span className="text-slate-500">Quote</span> <span className="font-mono font-semibold">{reference}</span></p>
+            <p><span className="text-slate-500">Issued</span> {new Date(quote.timestamp).toISOString().slice(0, 10)}</p>
+            <p><span className="text-slate-500">Status</span> {statusLabels[quote.status]}</p>
+          </div>
+        </div>
+
+        {/* Customer, with their billing details when they are still in the directory */}
+        {(customer || quote.customerName) && (
+          <>
+            <h2 className="text-lg font-bold mb-2">Bill To</h2>
+            <div className="mb-6">
+              <p className="font-medium">{customer ? customer.name : quote.customerName}</p>
+              {customer?.billing?.address && <p className="whitespace-pre-line">{customer.billing.address}</p>}
+              {customer?.billing?.email && <p>{customer.billing.email}</p>}
+              {customer?.contact?.name && (
+                <p className="text-slate-500">
+                  Attn: {customer.contact.name}{customer.contact.phone && `, ${customer.contact.phone}`}
+                </p>
+              )}
+              {customer?.billing?.terms && <p className="text-slate-500">Terms: {customer.billing.terms}</p>}
+            </div>
+          </>
+        )}
+
+        {/* Route */}
+        <h2 className="text-lg font-bold mb-2">Route</h2>
+        <ol className="mb-6 space-y-1">
+          {stops.map((stop, index) => (
+            <li key={index} className="flex gap-3">
+              <span className="w-24 flex-shrink-0 text-slate-500">
+                {index === 0 ? 'Origin' : index === stops.length - 1 ? 'Destination' : `Stop ${index}`}
+              </span>
+              <span className="font-medium">{stop}</span>
+            </li>
+          ))}
+        </ol>
+
+        {/* Shipment Details */}
+        <h2 className="text-lg font-bold mb-2">Shipment</h2>
+        <dl className="grid grid-cols-3 gap-4 mb-6">
+          <Detail label="Equipment" value={equipmentLabel} />
+          <Detail label="Weight" value={formatWeight(quote.weight, weightUnit)} />
+          <Detail label="Pickup Date" value={quote.pickupDate} />
+          <Detail label="Distance" value={formatDistance(quote.distance, distanceUnit)} />
+          <Detail label="Estimated Transit" value={`${quote.days} ${quote.days == 1 ? 'day' : 'days'}`} />
+          {quote.transit && <Detail label="Estimated Delivery" value={formatDeliveryWindow(quote.transit)} />}
+          {quote.customerId && <Detail label="Customer" value={quote.customerId} />}
+        </dl>
+
+        {/* Breakdown */}
+        <h2 className="text-lg font-bold mb-2">Rate Breakdown</h2>
+        <table className="w-full mb-6">
+          <tbody>
+            <BreakdownRow currency={currency} label={formatBaseRateLabel(quote)} value={quote.baseRate} />
+            {legs.length > 1 && legs.map((leg, index) => (
+              <BreakdownRow
+                key={index}
+                currency={currency}
+                label={`Leg ${index + 1}: ${leg.origin} → ${leg.destination} (${formatDistance(leg.distance, distanceUnit)})`}
+                value={leg.baseRate}
+                isSubItem={true}
+              />
+            ))}
+            {quote.stopCharge > 0 && (
+              <BreakdownRow
+                currency={currency}
+                label={`Stop Charge (${stops.length - 2} × ${formatRateAmount(quote, quoteRates.stopCharge)})`}
+                value={quote.stopCharge}
+              />
+            )}
+            {quote.equipmentCharge !== 0 && (
+              <BreakdownRow currency={currency} label={`Equipment Charge (${percentFormatter.format(quoteRates.equipmentMultiplier)})`} value={quote.equipmentCharge} />
+            )}
+            <BreakdownRow currency={currency} label={formatFuelSurchargeLabel(quote)} value={quote.fuelSurcharge} />
+            {quote.weightFactor !== 0 && <BreakdownRow currency={currency} label="Weight Factor" value={quote.weightFactor} />}
+            {(quote.accessorials || []).map(line => (
+              <BreakdownRow key={line.code} currency={currency} label={formatAccessorialLabel(line, currency)} value={line.amount} />
+            ))}
+            {(quote.dateAdjustments || []).map(line => (
+              <BreakdownRow key={line.code} currency={currency} label={formatAccessorialLabel(line, currency)} value={line.amount} />
+            ))}
+            <BreakdownRow currency={currency} label="Total" value={quote.total} isTotal={true} />
+          </tbody>
+        </table>
+
+        {/* Validity */}
+        <div className="border-t border-slate-300 pt-4 text-sm text-slate-600 space-y-1">
+          <p className="font-semibold text-slate-900">
+            {quote.status === 'expired' ? `This quote expired after ${quote.expiresAt}.` : `This quote is valid until ${quote.expiresAt}.`}
+          </p>
+          <p>
+            {quote.rateTableVersion && `Priced with rate table ${quote.rateTableVersion}.`}
+            {quote.pricingRule && ` ${formatPricingRule(quote.pricingRule)}.`}
+            {quote.distanceProvider && ` Distance via ${formatDistanceProvider(quote.distanceProvider)}.`}
+            {quote.fuelIndex && ` ${formatFuelIndex(quote)}.`}
+            {` All amounts are in ${currency}`}
+            {currency !== 'CAD' && `, converted at 1 CAD = ${exchangeRate} ${currency}`}.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,379 @@
+import { useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { ArrowLeftIcon, ArrowsRightLeftIcon, BookmarkIcon, MapPinIcon, PlusIcon, TrashIcon, TruckIcon } from "@heroicons/react/24/outline";
+import LocationInput, { LocationServiceProvider } from "@/components/LocationInput";
+import { addressBook } from "@/lib/addressBook";
+import { getSessionUser, redirectToSignIn } from "@/lib/auth";
+import { getRateTable } from "@/lib/rateTable";
+import { canEditSavedLocation, isPricingAdmin } from "@/lib/roles";
+import { toPublicUser } from "@/lib/users";
+
+const inputClassName = "w-full px-4 py-2.5 border border-slate-600 rounded-xl shadow-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none bg-slate-700 text-slate-50 placeholder-slate-500 transition";
+
+// Helper component for styled card containers
+const Card = ({ children, className = "" }) => (
+  <div className={`bg-slate-800 rounded-xl shadow-lg border border-slate-700 overflow-hidden ${className}`}>
+    {children}
+  </div>
+);
+
+// Helper component for a labelled form field.
+const Field = ({ label, htmlFor, children }) => (
+  <div className="space-y-2">
+    <label htmlFor={htmlFor} className="block text-sm font-medium text-slate-300">{label}</label>
+    {children}
+  </div>
+);
+
+/**
+ * Sorts saved locations or lanes by name, the way the API lists them.
+ * @param {Object[]} entries - The locations or lanes.
+ * @returns {Object[]} The sorted entries.
+ */
+const sortByName = (entries) => entries.slice(0).sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Loads the address book on the server, along with the equipment of the active rate table that lanes can use, and the
+ * signed in user, who can only delete the locations they saved unless they are an admin. Only admins can give a
+ * location's coordinates, other users' locations are geocoded by the server. Visitors have to sign in first.
+ * @returns {{ props: { savedLocations: Object[], savedLanes: Object[], equipment: Object, user: Object } } | { redirect: Object }}
+ */
+export const getServerSideProps = async ({ req, resolvedUrl }) => {
+  const user = await getSessionUser(req);
+  if (!user) return redirectToSignIn(resolvedUrl);
+  return {
+    props: {
+      savedLocations: await addressBook.locations.list(),
+      savedLanes: await addressBook.lanes.list(),
+      equipment: getRateTable().equipment,
+      user: toPublicUser(user)
+    }
+  };
+}
+
+export default function SettingsPage({ savedLocations, savedLanes, equipment, user }) {
+  const [locations, setLocations] = useState(savedLocations);
+  const [lanes, setLanes] = useState(savedLanes);
+  const [locationForm, setLocationForm] = useState({ name: "", address: "", lat: "", lng: "" });
+  const [laneForm, setLaneForm] = useState({ name: "", originId: "", destinationId: "", equipmentType: Object.keys(equipment)[0] });
+  const [errorMessage, setErrorMessage] = useState("");
+  const [saving, setSaving] = useState(false);
+  const isAdmin = isPricingAdmin(user);
+
+  const locationsById = Object.fromEntries(locations.map(location => [location.id, location]));
+
+  /**
+   * Sends a change to the address book API, and shows its error if it fails.
+   * @param {string} path - The path of the endpoint, under `api/address-book`.
+   * @param {string} method - The HTTP method.
+   * @param {Object} [body] - The JSON body of the request.
+   * @returns {Promise<Object | null>} The response's data, or `null` if it failed.
+   */
+  const sendChange = async (path, method, body) => {
+    setErrorMessage("");
+    setSaving(true);
+    try {
+      const response = await fetch(`/api/address-book/${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        setErrorMessage(data.error || 'Failed to update the address book. Server returned an error.');
+        return null;
+      }
+      return response.status === 204 ? {} : await response.json();
+    } catch (error) {
+      console.error("Address book error:", error);
+      setErrorMessage(`Update failed: ${error.message || "An unknown error occurred."}`);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Saves the location in the form. An admin's coordinates come from the picked place or the latitude and longitude
+   * inputs, and are geocoded from the address by the server when both are left empty or for other users.
+   * @param {Event} event - The form's submit event.
+   */
+  const addLocation = async (event) => {
+    event.preventDefault();
+    const { name, address, lat, lng } = locationForm;
+    const coordinates = isAdmin && (lat !== "" || lng !== "") ? { lat: parseFloat(lat), lng: parseFloat(lng) } : {};
+    const data = await sendChange('locations', 'POST', { name, address, ...coordinates });
+    if (!data) return;
+    setLocations(current => sortByName([...current, data.location]));
+    setLocationForm({ name: "", address: "", lat: "", lng: "" });
+  };
+
+  /**
+   * Deletes a saved location, unless a saved lane uses it.
+   * @param {string} id - The id of the location.
+   */
+  const deleteLocation = async (id) => {
+    if (!(await sendChange(`locations/${id}`, 'DELETE'))) return;
+    setLocations(current => current.filter(location => location.id !== id));
+  };
+
+  /**
+   * Saves the lane in the form.
+   * @param {Event} event - The form's submit event.
+   */
+  const addLane = async (event) => {
+    event.preventDefault();
+    const data = await sendChange('lanes', 'POST', laneForm);
+    if (!data) return;
+    setLanes(current => sortByName([...current, data.lane]));
+    setLaneForm(current => ({ ...current, name: "", originId: "", destinationId: "" }));
+  };
+
+  /**
+   * Deletes a saved lane.
+   * @param {string} id - The id of the lane.
+   */
+  const deleteLane = async (id) => {
+    if (!(await sendChange(`lanes/${id}`, 'DELETE'))) return;
+    setLanes(current => current.filter(lane => lane.id !== id));
+  };
+
+  /**
+   * Fills the address and coordinates of the location form from the location input. Coordinates are only known for
+   * picked suggestions, so typing clears them and the server looks them up instead.
+   * @param {{ address: string, lat?: number, lng?: number }} location - The location.
+   */
+  const changeLocation = ({ address, lat, lng }) => {
+    setLocationForm(current => ({
+      ...current,
+      address,
+      lat: lat !== undefined ? String(lat) : "",
+      lng: lng !== undefined ? String(lng) : ""
+    }));
+  };
+
+  const setAddress = (address) => setLocationForm(current => ({ ...current, address }));
+
+  return (
+    <div className="min-h-screen bg-slate-900 text-slate-50 font-sans pb-20">
+      <Head>
+        <title>Settings - FreightQuote Pro</title>
+      </Head>
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-10 space-y-8">
+
+        {/* Header */}
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-extrabold text-slate-50 tracking-tight">Address Book</h1>
+            <p className="text-slate-400 text-sm">Saved locations and lanes offered as quick picks on the quote form.</p>
+          </div>
+          <Link
+            href="/"
+            className="inline-flex items-center gap-1.5 text-sm font-medium px-3 py-1.5 rounded-full text-slate-400 hover:text-slate-200 hover:bg-slate-700 transition-colors"
+          >
+            <ArrowLeftIcon className="w-4 h-4" />
+            Back to Quotes
+          </Link>
+        </div>
+
+        {errorMessage && (
+          <div className="bg-red-900/50 border border-red-700 text-red-300 p-4 rounded-lg text-sm" role="alert">
+            {errorMessage}
+          </div>
+        )}
+
+        {/* Saved Locations */}
+        <Card className="p-8 space-y-6">
+          <h2 className="text-xl font-bold text-indigo-400 border-b border-slate-700 pb-3">Saved Locations</h2>
+
+          {locations.length === 0 ? (
+            <p className="text-sm text-slate-500">No saved locations yet.</p>
+          ) : (
+            <ul className="divide-y divide-slate-700">
+              {locations.map(location => (
+                <li key={location.id} className="flex items-center justify-between gap-4 py-3">
+                  <div className="flex items-start gap-3 min-w-0">
+                    <BookmarkIcon className="w-5 h-5 mt-0.5 text-indigo-400 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <p className="font-medium text-slate-200">{location.name}</p>
+                      <p className="text-sm text-slate-400 truncate">{location.address}</p>
+                      <p className="text-xs text-slate-500 font-mono">{location.lat}, {location.lng}</p>
+                    </div>
+                  </div>
+                  {canEditSavedLocation(user, location) && (
+                    <button
+                      type="button"
+                      onClick={() => deleteLocation(location.id)}
+                      disabled={saving}
+                      className="cursor-pointer p-2 rounded-md text-rose-300 hover:text-rose-500 hover:bg-rose-900/20 disabled:opacity-30 disabled:cursor-not-allowed"
+                      title="Delete location"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={addLocation} className="space-y-4 border-t border-slate-700 pt-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Field label="Name" htmlFor="location-name">
+                <input
+                  id="location-name"
+                  type="text"
+                  value={locationForm.name}
+                  onChange={(e) => setLocationForm(current => ({ ...current, name: e.target.value }))}
+                  placeholder="e.g. Toronto Warehouse"
+                  className={inputClassName}
+                />
+              </Field>
+              <Field label="Address">
+                <div className="relative">
+                  <MapPinIcon className="h-5 w-5 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500 z-10" />
+                  {/* Suggests addresses with the 'Places API' once it loads, and from the local geocoder until then or without it. */}
+                  <LocationServiceProvider>
+                    <LocationInput
+                      inputValue={locationForm.address}
+                      setInputValue={setAddress}
+                      placeholder="e.g. Toronto, ON"
+                      onLocationChange={changeLocation}
+                    />
+                  </LocationServiceProvider>
+                </div>
+              </Field>
+              {isAdmin && (
+                <>
+                  <Field label="Latitude (optional)" htmlFor="location-lat">
+                    <input
+                      id="location-lat"
+                      type="number"
+                      step="any"
+                      value={locationForm.lat}
+                      onChange={(e) => setLocationForm(current => ({ ...current, lat: e.target.value }))}
+                      className={inputClassName}
+                    />
+                  </Field>
+                  <Field label="Longitude (optional)" htmlFor="location-lng">
+                    <input
+                      id="location-lng"
+                      type="number"
+                      step="any"
+                      value={locationForm.lng}
+                      onChange={(e) => setLocationForm(current => ({ ...current, lng: e.target.value }))}
+                      className={inputClassName}
+                    />
+                  </Field>
+                </>
+              )}
+            </div>
+            <p className="text-xs text-slate-500">
+              {isAdmin ? "Leave the coordinates empty to look them up from the address." : "The coordinates are looked up from the address."}
+            </p>
+            <button
+              type="submit"
+              disabled={saving}
+              className="cursor-pointer inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-700 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+            >
+              <PlusIcon className="w-4 h-4" />
+              Save Location
+            </button>
+          </form>
+        </Card>
+
+        {/* Saved Lanes */}
+        <Card className="p-8 space-y-6">
+          <h2 className="text-xl font-bold text-indigo-400 border-b border-slate-700 pb-3">Saved Lanes</h2>
+
+          {lanes.length === 0 ? (
+            <p className="text-sm text-slate-500">No saved lanes yet.</p>
+          ) : (
+            <ul className="divide-y divide-slate-700">
+              {lanes.map(lane => (
+                <li key={lane.id} className="flex items-center justify-between gap-4 py-3">
+                  <div className="flex items-start gap-3 min-w-0">
+                    <ArrowsRightLeftIcon className="w-5 h-5 mt-0.5 text-indigo-400 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <p className="font-medium text-slate-200">{lane.name}</p>
+                      <p className="text-sm text-slate-400 truncate">
+                        {locationsById[lane.originId]?.name || lane.originId} → {locationsById[lane.destinationId]?.name || lane.destinationId}
+                      </p>
+                      <p className="text-xs text-slate-500 inline-flex items-center gap-1">
+                        <TruckIcon className="w-3.5 h-3.5" />
+                        {equipment[lane.equipmentType]?.label || lane.equipmentType}
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => deleteLane(lane.id)}
+                    disabled={saving}
+                    className="cursor-pointer p-2 rounded-md text-rose-300 hover:text-rose-500 hover:bg-rose-900/20 disabled:opacity-30 disabled:cursor-not-allowed"
+                    title="Delete lane"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {locations.length < 2 ? (
+            <p className="text-sm text-slate-500 border-t border-slate-700 pt-6">Save at least two locations to add a lane.</p>
+          ) : (
+            <form onSubmit={addLane} className="space-y-4 border-t border-slate-700 pt-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Field label="Name" htmlFor="lane-name">
+                  <input
+                    id="lane-name"
+                    type="text"
+                    value={laneForm.name}
+                    onChange={(e) => setLaneForm(current => ({ ...current, name: e.target.value }))}
+                    placeholder="e.g. Toronto to Montreal"
+                    className={inputClassName}
+                  />
+                </Field>
+                <Field label="Equipment Type" htmlFor="lane-equipment">
+                  <select
+                    id="lane-equipment"
+                    value={laneForm.equipmentType}
+                    onChange={(e) => setLaneForm(current => ({ ...current, equipmentType: e.target.value }))}
+                    className={inputClassName}
+                  >
+                    {Object.entries(equipment).map(([type, { label }]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                </Field>
+                {[['originId', 'Origin'], ['destinationId', 'Destination']].map(([key, label]) => (
+                  <Field key={key} label={label} htmlFor={`lane-${key}`}>
+                    <select
+                      id={`lane-${key}`}
+                      value={laneForm[key]}
+                      onChange={(e) => setLaneForm(current => ({ ...current, [key]: e.target.value }))}
+                      className={inputClassName}
+                    >
+                      <option value="">Pick a saved location</option>
+                      {locations.map(location => (
+                        <option key={location.id} value={location.id}>{location.name}</option>
+                      ))}
+                    </select>
+                  </Field>
+                ))}
+              </div>
+              <button
+                type="submit"
+                disabled={saving}
+                className="cursor-pointer inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-700 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                <PlusIcon className="w-4 h-4" />
+                Save Lane
+              </button>
+            </form>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import { useState } from "react";
+import Head from "next/head";
+import { CheckCircleIcon, ClockIcon, XCircleIcon } from "@heroicons/react/24/outline";
+import { formatAccessorialLabel, formatBaseRateLabel, formatCurrency, formatDeliveryWindow, formatDistance, formatFuelSurchargeLabel, formatQuoteReference, formatRateAmount, formatWeight, getQuoteRates, getQuoteUnits, percentFormatter } from "@/components/utils";
+import { toSharedQuote } from "@/lib/markup";
+import { quoteRepository } from "@/lib/quotes";
+import { isShareLinkExpired } from "@/lib/quoteShare";
+import { loadRateTables } from "@/lib/rateTable";
+
+// Helper component for a row of the charges table.
+const ChargeRow = ({ label, value, currency, isSubItem = false, isTotal = false }) => (
+  <tr className={isTotal ? 'border-t-2 border-slate-900 font-bold text-lg' : 'border-t border-slate-200'}>
+    <td className={`py-2 ${isSubItem ? 'pl-6 text-sm text-slate-500' : ''}`}>{label}</td>
+    <td className={`py-2 text-right font-mono ${isSubItem ? 'text-sm text-slate-500' : ''}`}>{formatCurrency(value, currency)}</td>
+  </tr>
+);
+
+// Helper component for a labelled value in the shipment details.
+const Detail = ({ label, value }) => (
+  <div>
+    <dt className="text-xs uppercase tracking-wide text-slate-500">{label}</dt>
+    <dd className="font-medium">{value}</dd>
+  </div>
+);
+
+// What the customer sees once the quote has been answered.
+const responseMessages = {
+  accepted: { icon: CheckCircleIcon, className: 'border-emerald-300 bg-emerald-50 text-emerald-800', text: "You accepted this quote. We'll be in touch to book your shipment." },
+  declined: { icon: XCircleIcon, className: 'border-orange-300 bg-orange-50 text-orange-800', text: 'You declined this quote. Thank you for letting us know.' },
+  booked: { icon: CheckCircleIcon, className: 'border-emerald-300 bg-emerald-50 text-emerald-800', text: 'Your shipment has been booked.' }
+};
+
+/**
+ * Loads the quote a customer link is for on the server, along with the label of its equipment from the rate table it
+ * was priced with. Anyone with the link can see the quote, so only its view for the link, `toSharedQuote`, is sent to
+ * the page, and nothing but its reference and expiry date once the link has expired.
+ * @returns {{ props: { token: string, reference: string, expiresAt: string, quote?: Object, equipmentLabel?: string, expired?: true } } | { notFound: true }}
+ */
+export const getServerSideProps = async ({ params }) => {
+  const quote = await quoteRepository.findByShareToken(params.token);
+  if (!quote) return { notFound: true };
+
+  const reference = formatQuoteReference(quote.id);
+  if (isShareLinkExpired(quote)) return { props: { token: params.token, reference, expiresAt: quote.expiresAt, expired: true } };
+
+  const tables = loadRateTables();
+  const rateTable = tables.find(table => table.version === quote.rateTableVersion) || tables[0];
+  const equipmentLabel = rateTable?.equipment[quote.equipmentType]?.label || quote.equipmentType;
+  return { props: { token: params.token, reference, expiresAt: quote.expiresAt, quote: toSharedQuote(quote), equipmentLabel } };
+}
+
+export default function SharedQuote({ token, reference, expiresAt, quote, equipmentLabel, expired = false }) {
+  const [status, setStatus] = useState(quote?.status);
+  const [isExpired, setIsExpired] = useState(expired);
+  const [submitting, setSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  /**
+   * Accepts or declines the quote using `api/shared-quotes/[token]`.
+   * @param {string} response - The customer's answer, 'accepted' or 'declined'.
+   */
+  const respond = async (response) => {
+    setSubmitting(true);
+    setErrorMessage("");
+    try {
+      const res = await fetch(`/api/shared-quotes/${token}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response })
+      });
+      const data = await res.json();
+      if (res.status === 410) setIsExpired(true);
+      else if (!res.ok) throw new Error(data.error);
+      else setStatus(data.quote.status);
+    } catch (err) {
+      console.error("Quote response error:", err);
+      setErrorMessage(err.message || "Your answer couldn't be saved, please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (isExpired) return (
+    <div className="min-h-screen bg-white text-slate-900 font-sans flex items-center justify-center px-8">
+      <Head>
+        <title>{`Quote ${reference}`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <div className="max-w-md text-center">
+        <ClockIcon className="w-12 h-12 mx-auto mb-3 text-slate-400" />
+        <h1 className="text-2xl font-bold mb-2">This quote has expired</h1>
+        <p className="text-slate-600">
+          Quote <span className="font-mono font-semibold">{reference}</span> was valid until {expiresAt}. Please ask us for a new quote.
+        </p>
+      </div>
+    </div>
+  );
+
+  const stops = quote.stops || [quote.origin, quote.destination];
+  const legs = quote.legs || [];
+  const quoteRates = getQuoteRates(quote);
+  const { currency, weightUnit, distanceUnit } = getQuoteUnits(quote);
+  const response = responseMessages[status];
+
+  return (
+    <div className="min-h-screen bg-white text-slate-900 font-sans">
+      <Head>
+        <title>{`Quote ${reference}`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <div className="max-w-3xl mx-auto px-8 py-10">
+
+        {/* Header */}
+        <div className="flex justify-between items-start border-b-2 border-slate-900 pb-4 mb-6">
+          <div>
+            <h1 className="text-3xl font-extrabold tracking-tight">FreightQuote Pro</h1>
+            <p className="text-slate-500">Freight Quote{quote.customerName && ` for ${quote.customerName}`}</p>
+          </div>
+          <div className="text-right text-sm">
+            <p><span className="text-slate-500">Quote</span> <span className="font-mono font-semibold">{reference}</span></p>
+            <p><span className="text-slate-500">Issued</span> {new Date(quote.timestamp).toISOString().slice(0, 10)}</p>
+            <p><span className="text-slate-500">Valid until</span> {expiresAt}</p>
+          </div>
+        </div>
+
+        {/* Route */}
+        <h2 className="text-lg font-bold mb-2">Route</h2>
+        <ol className="mb-6 space-y-1">
+          {stops.map((stop, index) => (
+            <li key={index} className="flex gap-3">
+              <span className="w-24 flex-shrink-0 text-slate-500">
+                {index === 0 ? 'Origin' : index === stops.length - 1 ? 'Destination' : `Stop ${index}`}
+              </span>
+              <span className="font-medium">{stop}</span>
+            </li>
+          ))}
+        </ol>
+
+        {/* Shipment Details */}
+        <h2 className="text-lg font-bold mb-2">Shipment</h2>
+        <dl className="grid grid-cols-3 gap-4 mb-6">
+          <Detail label="Equipment" value={equipmentLabel} />
+          <Detail label="Weight" value={formatWeight(quote.weight, weightUnit)} />
+          <Detail label="Pickup Date" value={quote.pickupDate} />
+          <Detail label="Distance" value={formatDistance(quote.distance, distanceUnit)} />
+          <Detail label="Estimated Transit" value={`${quote.days} ${quote.days == 1 ? 'day' : 'days'}`} />
+          {quote.transit && <Detail label="Estimated Delivery" value={formatDeliveryWindow(quote.transit)} />}
+        </dl>
+
+        {/* Charges */}
+        <h2 className="text-lg font-bold mb-2">Charges</h2>
+        <table className="w-full mb-6">
+          <tbody>
+            <ChargeRow currency={currency} label={formatBaseRateLabel(quote)} value={quote.baseRate} />
+            {legs.length > 1 && legs.map((leg, index) => (
+              <ChargeRow
+                key={index}
+                currency={currency}
+                label={`Leg ${index + 1}: ${leg.origin} → ${leg.destination} (${formatDistance(leg.distance, distanceUnit)})`}
+                value={leg.baseRate}
+                isSubItem={true}
+              />
+            ))}
+            {quote.stopCharge > 0 && (
+              <ChargeRow
+                currency={currency}
+                label={`Stop Charge (${stops.length - 2} × ${formatRateAmount(quote, quoteRates.stopCharge)})`}
+                value={quote.stopCharge}
+              />
+            )}
+            {quote.equipmentCharge !== 0 && (
+              <ChargeRow currency={currency} label={`Equipment Charge (${percentFormatter.format(quoteRates.equipmentMultiplier)})`} value={quote.equipmentCharge} />
+            )}
+            <ChargeRow currency={currency} label={formatFuelSurchargeLabel(quote)} value={quote.fuelSurcharge} />
+            {quote.weightFactor !== 0 && <ChargeRow currency={currency} label="Weight Factor" value={quote.weightFactor} />}
+            {[...quote.accessorials, ...quote.dateAdjustments].map(line => (
+              <ChargeRow key={line.code} currency={currency} label={formatAccessorialLabel(line, currency)} value={line.amount} />
+            ))}
+            <ChargeRow currency={currency} label="Total" value={quote.total} isTotal={true} />
+          </tbody>
+        </table>
+        <p className="text-sm text-slate-600 mb-6">All amounts are in {currency}.</p>
+
+        {/* The customer's answer, or the buttons to give it once the quote has been sent to them */}
+        {response && (
+          <div className={`flex items-center gap-2 rounded-lg border p-4 ${response.className}`} role="status">
+            <response.icon className="w-6 h-6 flex-shrink-0" />
+            {response.text}
+          </div>
+        )}
+        {status === 'sent' && (
+          <div className="border-t border-slate-300 pt-6 space-y-3">
+            <p className="font-semibold">Would you like to go ahead with this quote?</p>
+            <div className="flex gap-3">
+              <button
+                onClick={() => respond('accepted')}
+                disabled={submitting}
+                className="cursor-pointer inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-emerald-600 text-white text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <CheckCircleIcon className="w-5 h-5" />
+                Accept Quote
+              </button>
+              <button
+                onClick={() => respond('declined')}
+                disabled={submitting}
+                className="cursor-pointer inline-flex items-center gap-2 px-4 py-2 rounded-lg border border-slate-300 text-sm font-semibold hover:bg-slate-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <XCircleIcon className="w-5 h-5" />
+                Decline
+              </button>
+            </div>
+          </div>
+        )}
+        {errorMessage && (
+          <p className="mt-4 text-sm text-red-700" role="alert">{errorMessage}</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { callHandler, pickupDateIn, signIn } from "../helpers";
+
+// The distance source is stubbed, so the tests never reach a distance provider or the cache.
+vi.mock("@/lib/distanceProviders", () => ({ getRouteDistance: vi.fn() }));
+vi.mock("@/lib/distanceCache", () => ({
+  distanceCache: { get: vi.fn(async () => null), set: vi.fn(async () => {}) }
+}));
+// The rate table can be made to fail, for the server error path.
+vi.mock("@/lib/rateTable", async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, getRateTable: vi.fn(actual.getRateTable) };
+});
+
+const { getRouteDistance } = await import("@/lib/distanceProviders");
+const { getRateTable } = await import("@/lib/rateTable");
+const { default: handler } = await import("@/pages/api/createQuote");
+
+const validRequest = () => ({
+  stops: ["Toronto, ON", "Montreal, QC"],
+  equipmentType: "dry_van",
+  weight: 1000,
+  pickupDate: pickupDateIn(14)
+});
+
+describe("POST /api/createQuote", () => {
+  let session;
+
+  beforeEach(async () => {
+    ({ session } = await signIn());
+    vi.mocked(getRouteDistance).mockReset();
+    vi.mocked(getRouteDistance).mockResolvedValue({ distance: 540, provider: "stub" });
+  });
+
+  it("prices a quote with the stubbed distance", async () => {
+    const res = await callHandler(handler, { method: "POST", body: validRequest(), session });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.quote).toMatchObject({ origin: "Toronto, ON", destination: "Montreal, QC", distance: 540, distanceProvider: "stub" });
+    expect(getRouteDistance).toHaveBeenCalledTimes(1);
+  });
+
+  it("prices the options of several equipment types from one distance lookup", async () => {
+    const { equipmentType: _single, ...request } = validRequest();
+    const res = await callHandler(handler, { method: "POST", body: { ...request, equipmentTypes: ["reefer", "flatbed"] }, session });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.options.map(({ equipmentType }) => equipmentType)).toEqual(["reefer", "flatbed"]);
+    expect(getRouteDistance).toHaveBeenCalledTimes(1);
+  });
+
+  it("responds with a 405 for other methods", async () => {
+    const res = await callHandler(handler, { method: "GET", session });
+    expect(res.statusCode).toBe(405);
+    expect(res.body).toEqual({ error: "Method not allowed.", code: "method_not_allowed", errors: [] });
+  });
+
+  it("responds with a 401 without a session", async () => {
+    const res = await callHandler(handler, { method: "POST", body: validRequest() });
+    expect(res.statusCode).toBe(401);
+    expect(getRouteDistance).not.toHaveBeenCalled();
+  });
+
+  describe("400 responses", () => {
+    it.each([
+      ["a missing weight", { weight: undefined }, "weight", "required"],
+      ["a string weight", { weight: "1000" }, "weight", "invalid_type"],
+      ["a negative weight", { weight: -10 }, "weight", "out_of_range"],
+      ["an unknown equipment type", { equipmentType: "boat" }, "equipmentType", "unknown_value"],
+      ["a malformed pickup date", { pickupDate: "04/11/2026" }, "pickupDate", "invalid_format"],
+      ["a pickup date that doesn't exist", { pickupDate: "2099-02-30" }, "pickupDate", "invalid_format"],
+      ["a past pickup date", { pickupDate: "2020-01-01" }, "pickupDate", "out_of_range"],
+      ["a blank stop", { stops: ["Toronto, ON", " ", "Montreal, QC"] }, "stops[1]", "required"],
+      ["an unknown accessorial", { accessorials: [{ code: "piano" }] }, "accessorials[0].code", "unknown_value"],
+      ["a distance from the client", { distance: 1 }, "distance", "not_allowed"],
+      ["a weight over the legal limit", { equipmentType: "reefer", weight: 60000 }, "weight", "over_limit"]
+    ])("rejects %s", async (_name, changes, field, code) => {
+      const res = await callHandler(handler, { method: "POST", body: { ...validRequest(), ...changes }, session });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe("invalid_request");
+      expect(res.body.errors).toContainEqual(expect.objectContaining({ field, code }));
+      expect(res.body.error).toBe(res.body.errors[0].message);
+      expect(getRouteDistance).not.toHaveBeenCalled();
+    });
+
+    it("rejects a body that isn't an object", async () => {
+      const res = await callHandler(handler, { method: "POST", body: "Toronto to Montreal", session });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toEqual([expect.objectContaining({ field: null, code: "invalid_type" })]);
+    });
+
+    it.each([["a missing", undefined], ["an empty", ""], ["a null", null]])("rejects %s body", async (_name, body) => {
+      const res = await callHandler(handler, { method: "POST", body, session });
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({
+        error: "Quote request is required.",
+        code: "invalid_request",
+        errors: [{ field: null, code: "required", message: "Quote request is required." }]
+      });
+    });
+
+    it("reports a route the distance source can't find", async () => {
+      vi.mocked(getRouteDistance).mockResolvedValue({ distance: null, provider: "stub" });
+      const res = await callHandler(handler, { method: "POST", body: validRequest(), session });
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toMatchObject({ code: "no_route", error: "No route between Toronto, ON and Montreal, QC available." });
+    });
+  });
+
+  it("responds with a 503 when the distance source is down", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.mocked(getRouteDistance).mockRejectedValue(new Error("offline"));
+    const res = await callHandler(handler, { method: "POST", body: validRequest(), session });
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe("distance_unavailable");
+    vi.mocked(console.error).mockRestore();
+  });
+
+  it("responds with a 500 when pricing fails unexpectedly", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.mocked(getRateTable).mockImplementationOnce(() => { throw new Error("No rate table is in effect."); });
+    const res = await callHandler(handler, { method: "POST", body: validRequest(), session });
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ error: "Failed to create quote. Server returned an error.", code: "server_error", errors: [] });
+    expect(console.error).toHaveBeenCalled();
+    vi.mocked(console.error).mockRestore();
+  });
+});
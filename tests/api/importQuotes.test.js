@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { callHandler, pickupDateIn, signIn } from "../helpers";
+import { quoteRepository } from "@/lib/quotes";
+import handler from "@/pages/api/quotes/import";
+
+// A quote as `api/createQuote` returned it, when the history was kept in the browser's local storage.
+const localQuote = {
+  origin: "Toronto, ON",
+  destination: "Montreal, QC",
+  equipmentType: "dry_van",
+  weight: "1000",
+  pickupDate: pickupDateIn(-20),
+  distance: 540,
+  days: 1,
+  timestamp: new Date().getTime() - 30 * 24 * 60 * 60 * 1000,
+  baseRate: 1350,
+  weightFactor: 0,
+  fuelSurcharge: 319.95,
+  equipmentCharge: 0,
+  total: 1669.95
+};
+
+describe("POST /api/quotes/import", () => {
+  let user, session;
+
+  beforeEach(async () => {
+    ({ user, session } = await signIn());
+  });
+
+  const importedQuotes = async () => (await quoteRepository.list()).filter(quote => quote.ownerId === user.id);
+
+  it("saves the local quotes as the user's imported drafts, skipping invalid ones", async () => {
+    const res = await callHandler(handler, { method: "POST", body: { quotes: [localQuote, { origin: "Toronto, ON" }] }, session });
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ imported: 1, skipped: 1 });
+    expect(await importedQuotes()).toEqual([expect.objectContaining({ ...localQuote, weight: 1000, imported: true, status: "expired", createdBy: user.name })]);
+  });
+
+  it.each([
+    ["a timestamp past the largest date", { timestamp: 8.64e15 + 1 }],
+    ["a timestamp in the future", { timestamp: new Date().getTime() + 24 * 60 * 60 * 1000 }],
+    ["a timestamp from decades ago", { timestamp: 0 }],
+    ["a timestamp that isn't a number", { timestamp: "2024-04-20" }],
+    ["a distance that isn't a number", { distance: { toFixed: 1 } }],
+    ["a negative total", { total: -1 }],
+    ["an amount that isn't finite", { baseRate: Infinity }],
+    ["a weight that isn't a number", { weight: "heavy" }],
+    ["a pickup date that doesn't exist", { pickupDate: "2024-02-30" }],
+    ["an unknown equipment type", { equipmentType: "spaceship" }],
+    ["an empty origin", { origin: " " }]
+  ])("skips a quote with %s", async (_, change) => {
+    const res = await callHandler(handler, { method: "POST", body: { quotes: [{ ...localQuote, ...change }, null, "quote"] }, session });
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ imported: 0, skipped: 3 });
+    expect(await importedQuotes()).toEqual([]);
+  });
+
+  it("drops the values a client could forge, and gives imported quotes no customer link", async () => {
+    const forged = {
+      ...localQuote,
+      status: "accepted",
+      shareToken: "forged-token",
+      revisionOf: "another-quote",
+      customerName: "ACME Logistics",
+      pricingRule: { scope: "customer-lane" },
+      carrierCost: { total: 1 },
+      margin: { amount: 1668.95 }
+    };
+    await callHandler(handler, { method: "POST", body: { quotes: [forged] }, session });
+
+    const [quote] = await importedQuotes();
+    for (const key of ["revisionOf", "customerName", "pricingRule", "carrierCost", "margin"]) {
+      expect(quote).not.toHaveProperty(key);
+    }
+    expect(quote.shareToken).toBeNull();
+    expect(quote.statusHistory).toEqual([{ status: "draft", at: localQuote.timestamp }, expect.objectContaining({ status: "expired" })]);
+    expect(await quoteRepository.findByShareToken("forged-token")).toBeNull();
+  });
+
+  it("responds with a 401 without a session", async () => {
+    const res = await callHandler(handler, { method: "POST", body: { quotes: [localQuote] } });
+    expect(res.statusCode).toBe(401);
+  });
+});
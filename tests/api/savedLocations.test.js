@@ -0,0 +1,114 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { callHandler, signIn } from "../helpers";
+import { addressBook } from "@/lib/addressBook";
+import { distanceCache } from "@/lib/distanceCache";
+import { getLegDistance } from "@/lib/pricing";
+import listHandler from "@/pages/api/address-book/locations";
+import handler from "@/pages/api/address-book/locations/[id]";
+
+// Toronto's coordinates, which quotes to Vancouver mustn't be priced with.
+const toronto = { lat: 43.6532, lng: -79.3832 };
+
+beforeEach(async () => {
+  for (const { id } of await addressBook.locations.list()) await addressBook.locations.delete(id);
+});
+
+describe("POST /api/address-book/locations", () => {
+  it("geocodes a sales rep's location from its address", async () => {
+    const { user, session } = await signIn();
+    const res = await callHandler(listHandler, { method: "POST", body: { name: "Yard", address: "Vancouver, BC" }, session });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.location).toMatchObject({ address: "Vancouver, BC", createdBy: user.id });
+    expect(res.body.location.lat).toBeCloseTo(49.28, 1);
+  });
+
+  it("keeps a sales rep's coordinates from changing the distance of other quotes", async () => {
+    const before = await getLegDistance("Toronto, ON", "Vancouver, BC");
+    const { session } = await signIn();
+    const res = await callHandler(listHandler, { method: "POST", body: { name: "AAA", address: "Vancouver, BC", ...toronto }, session });
+    expect(res.statusCode).toBe(403);
+    expect(await addressBook.locations.list()).toEqual([]);
+    await distanceCache.forget("Vancouver, BC");
+    expect(await getLegDistance("Toronto, ON", "Vancouver, BC")).toEqual(before);
+    expect(before.distance).toBeGreaterThan(3000);
+  });
+
+  it("lets pricing admins give the coordinates, and forgets the cached routes to the address", async () => {
+    const { session } = await signIn({ role: "pricing_admin" });
+    await distanceCache.set("Ottawa, ON", "1 Depot Rd", { distance: 999, provider: "stub" });
+    const res = await callHandler(listHandler, { method: "POST", body: { name: "Depot", address: "1 Depot Rd", ...toronto }, session });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.location).toMatchObject({ address: "1 Depot Rd", ...toronto });
+    expect(await distanceCache.get("Ottawa, ON", "1 Depot Rd")).toBeNull();
+  });
+
+  it("rejects an address another location already has", async () => {
+    const { session } = await signIn({ role: "pricing_admin" });
+    await callHandler(listHandler, { method: "POST", body: { name: "Yard", address: "Vancouver, BC" }, session });
+    const res = await callHandler(listHandler, { method: "POST", body: { name: "AAA", address: " vancouver,  bc", lat: 49.3, lng: -123.1 }, session });
+    expect(res.statusCode).toBe(409);
+    expect((await addressBook.locations.list()).map(({ name }) => name)).toEqual(["Yard"]);
+  });
+});
+
+describe("PATCH and DELETE /api/address-book/locations/[id]", () => {
+  let creator, location;
+
+  beforeEach(async () => {
+    creator = await signIn();
+    const res = await callHandler(listHandler, { method: "POST", body: { name: "Warehouse", address: "Toronto, ON" }, session: creator.session });
+    location = res.body.location;
+  });
+
+  it("lets the user who saved a location rename it, and geocodes a new address", async () => {
+    const res = await callHandler(handler, { method: "PATCH", body: { name: "Yard", address: "Vancouver, BC" }, query: { id: location.id }, session: creator.session });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.location).toMatchObject({ name: "Yard", address: "Vancouver, BC" });
+    expect(res.body.location.lat).toBeCloseTo(49.28, 1);
+  });
+
+  it("keeps sales reps from changing the coordinates, even of their own locations", async () => {
+    const res = await callHandler(handler, { method: "PATCH", body: { lat: 0, lng: 0 }, query: { id: location.id }, session: creator.session });
+    expect(res.statusCode).toBe(403);
+    expect(await addressBook.locations.get(location.id)).toMatchObject({ lat: location.lat, lng: location.lng });
+  });
+
+  it("keeps other sales reps from changing or deleting it", async () => {
+    const { session } = await signIn();
+    const patch = await callHandler(handler, { method: "PATCH", body: { name: "Mine" }, query: { id: location.id }, session });
+    expect(patch.statusCode).toBe(403);
+    const remove = await callHandler(handler, { method: "DELETE", query: { id: location.id }, session });
+    expect(remove.statusCode).toBe(403);
+    expect(await addressBook.locations.get(location.id)).toEqual(location);
+  });
+
+  it("rejects an address another location already has", async () => {
+    const { session } = await signIn({ role: "pricing_admin" });
+    await callHandler(listHandler, { method: "POST", body: { name: "Yard", address: "Vancouver, BC" }, session });
+    const res = await callHandler(handler, { method: "PATCH", body: { address: "Vancouver, BC" }, query: { id: location.id }, session });
+    expect(res.statusCode).toBe(409);
+  });
+
+  it("lets pricing admins change any location, including ones saved without a creator", async () => {
+    const { session } = await signIn({ role: "pricing_admin" });
+    const { location: legacy } = await addressBook.locations.create({ name: "Legacy", address: "1 Depot Rd", ...toronto });
+    for (const id of [location.id, legacy.id]) {
+      const res = await callHandler(handler, { method: "PATCH", body: { lat: 43.7 }, query: { id }, session });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.location.lat).toBe(43.7);
+    }
+    expect((await callHandler(handler, { method: "DELETE", query: { id: legacy.id }, session: creator.session })).statusCode).toBe(403);
+  });
+
+  it("forgets the cached routes to a deleted location", async () => {
+    await distanceCache.set("Ottawa, ON", "Toronto, ON", { distance: 999, provider: "stub" });
+    const res = await callHandler(handler, { method: "DELETE", query: { id: location.id }, session: creator.session });
+    expect(res.statusCode).toBe(204);
+    expect(await distanceCache.get("Ottawa, ON", "Toronto, ON")).toBeNull();
+  });
+
+  it("responds with a 404 for unknown locations", async () => {
+    const res = await callHandler(handler, { method: "PATCH", body: { name: "Nowhere" }, query: { id: "missing" }, session: creator.session });
+    expect(res.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { callHandler, pickupDateIn } from "../helpers";
+import { addDays } from "@/lib/calendar";
+import { quoteRepository } from "@/lib/quotes";
+import { toDateString } from "@/lib/quoteStatus";
+import handler from "@/pages/api/shared-quotes/[token]";
+
+/**
+ * Saves a quote, and moves it to a status the way staff would.
+ * @param {string} status - The status of the quote.
+ * @param {Object} [values] - The values of the quote.
+ * @returns {Promise<Object>} The saved quote.
+ */
+const saveQuote = async (status, values = {}) => {
+  const quote = await quoteRepository.create({ origin: "Toronto, ON", destination: "Montreal, QC", pickupDate: pickupDateIn(14), timestamp: Date.now(), total: 1000, ...values });
+  if (status === "draft") return quote;
+  return await quoteRepository.update(quote.id, { status, statusHistory: [...quote.statusHistory, { status, at: Date.now() }] });
+}
+
+const respond = (quote, response) => callHandler(handler, { method: "POST", body: { response }, query: { token: quote.shareToken } });
+
+describe("POST /api/shared-quotes/[token]", () => {
+  it("gives every saved quote its own link token", async () => {
+    const [first, second] = [await saveQuote("draft"), await saveQuote("draft")];
+    expect(first.shareToken).toMatch(/^[\w-]{32}$/);
+    expect(first.shareToken).not.toBe(second.shareToken);
+    expect((await quoteRepository.findByShareToken(first.shareToken)).id).toBe(first.id);
+  });
+
+  it.each(["accepted", "declined"])("lets the customer mark a sent quote as %s, without signing in", async (response) => {
+    const quote = await saveQuote("sent", { customerId: "acme", distanceProvider: "osrm" });
+    const res = await respond(quote, response);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.quote.status).toBe(response);
+    for (const key of ["statusHistory", "customerId", "distanceProvider"]) {
+      expect(res.body.quote).not.toHaveProperty(key);
+    }
+
+    const updated = await quoteRepository.get(quote.id);
+    expect(updated.status).toBe(response);
+    expect(updated.statusHistory.at(-1)).toMatchObject({ status: response, by: "customer" });
+  });
+
+  it("responds with a 409 once the quote has been answered, or before it's sent", async () => {
+    const quote = await saveQuote("sent");
+    await respond(quote, "accepted");
+    const res = await respond(quote, "declined");
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe("This quote has already been accepted.");
+
+    expect((await respond(await saveQuote("draft"), "accepted")).statusCode).toBe(409);
+  });
+
+  it("responds with a 410 once the quote has expired", async () => {
+    const yesterday = addDays(toDateString(new Date()), -1);
+    const quote = await saveQuote("sent", { pickupDate: yesterday, timestamp: Date.now() - 3 * 24 * 60 * 60 * 1000 });
+    const res = await respond(quote, "accepted");
+    expect(res.statusCode).toBe(410);
+    expect((await quoteRepository.get(quote.id)).status).toBe("expired");
+  });
+
+  it("responds with a 404 for unknown links", async () => {
+    const res = await callHandler(handler, { method: "POST", body: { response: "accepted" }, query: { token: "not-a-token" } });
+    expect(res.statusCode).toBe(404);
+  });
+
+  it("responds with a 400 for unknown responses, and a 405 for other methods", async () => {
+    const quote = await saveQuote("sent");
+    expect((await respond(quote, "booked")).statusCode).toBe(400);
+    expect((await callHandler(handler, { method: "GET", query: { token: quote.shareToken } })).statusCode).toBe(405);
+    expect((await quoteRepository.get(quote.id)).status).toBe("sent");
+  });
+});
@@ -0,0 +1,217 @@
+// @vitest-environment jsdom
+import { useState } from "react";
+import { cleanup, fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import QuoteHistory from "@/components/QuoteHistory";
+import { filterQuotes, paginate, parseQuoteFilters } from "@/lib/quotes";
+
+const equipmentTypes = {
+  dry_van: { label: "Dry Van" },
+  reefer: { label: "Reefer" },
+  flatbed: { label: "Flatbed" }
+};
+
+const createQuote = (id, origin, destination, equipmentType = "dry_van") => ({
+  id,
+  origin,
+  destination,
+  stops: [origin, destination],
+  equipmentType,
+  weight: 1000,
+  distance: 500,
+  days: 1,
+  baseRate: 1000,
+  fuelSurcharge: 200,
+  equipmentCharge: 0,
+  weightFactor: 0,
+  total: 1200,
+  status: "draft",
+  pickupDate: "2026-11-04",
+  timestamp: Date.now()
+});
+
+// Seven quotes, so the history has two pages of five.
+const seedQuotes = () => [
+  createQuote("q1", "Toronto, ON", "Montreal, QC"),
+  createQuote("q2", "Toronto, ON", "Ottawa, ON", "reefer"),
+  createQuote("q3", "Calgary, AB", "Vancouver, BC", "flatbed"),
+  createQuote("q4", "Halifax, NS", "Moncton, NB"),
+  createQuote("q5", "Winnipeg, MB", "Regina, SK", "reefer"),
+  createQuote("q6", "Edmonton, AB", "Saskatoon, SK"),
+  createQuote("q7", "Quebec City, QC", "Toronto, ON", "flatbed")
+];
+
+let quotes;
+
+/**
+ * Answers the requests of the history the way `api/quotes` would, from the quotes in memory.
+ * @param {string} url - The requested URL.
+ * @param {Object} [options] - The fetch options.
+ * @returns {Promise<Object>} The response.
+ */
+const fakeFetch = async (url, { method = "GET" } = {}) => {
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  if (method === "DELETE") {
+    const id = pathname.split("/").pop();
+    quotes = quotes.filter(quote => quote.id !== id);
+    return { ok: true, status: 204, json: async () => ({}) };
+  }
+  const query = Object.fromEntries(searchParams);
+  const { items, total, totalPages } = paginate(filterQuotes(quotes, parseQuoteFilters(query)), Number(query.page), Number(query.pageSize));
+  return { ok: true, status: 200, json: async () => ({ quotes: items, total, totalPages }) };
+}
+
+// The filters are kept by the page, so the history is rendered inside a parent that holds them.
+const History = () => {
+  const [filters, setFilters] = useState({ origin: "", destination: "", equipment: "", customer: "" });
+  return <QuoteHistory filters={filters} setFilters={setFilters} equipmentTypes={equipmentTypes} />;
+}
+
+const shownRoutes = () => screen.queryAllByTitle("Delete quote")
+  .map(button => button.closest("[aria-expanded]").querySelector("p").textContent);
+
+describe("QuoteHistory", () => {
+  beforeEach(() => {
+    quotes = seedQuotes();
+    vi.stubGlobal("fetch", vi.fn(fakeFetch));
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+  });
+
+  it("shows the first page of quotes", async () => {
+    render(<History />);
+    await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+    expect(shownRoutes()[0]).toBe("Toronto, ON→Montreal, QC");
+    expect(screen.getByRole("button", { name: "Previous" }).disabled).toBe(true);
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining("page=1&pageSize=5"), expect.anything());
+  });
+
+  it("says so when there is no history", async () => {
+    quotes = [];
+    render(<History />);
+    expect(await screen.findByText("No quote history found yet.")).toBeTruthy();
+  });
+
+  describe("filtering", () => {
+    it("filters by origin", async () => {
+      render(<History />);
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+      fireEvent.change(screen.getByPlaceholderText("Search by origin"), { target: { value: "toronto" } });
+      await waitFor(() => expect(shownRoutes()).toEqual(["Toronto, ON→Montreal, QC", "Toronto, ON→Ottawa, ON"]));
+    });
+
+    it("filters by equipment and destination together", async () => {
+      render(<History />);
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+      fireEvent.change(screen.getByDisplayValue("All Equipment"), { target: { value: "flatbed" } });
+      await waitFor(() => expect(shownRoutes()).toHaveLength(2));
+      fireEvent.change(screen.getByPlaceholderText("Search by destination"), { target: { value: "Vancouver" } });
+      await waitFor(() => expect(shownRoutes()).toEqual(["Calgary, AB→Vancouver, BC"]));
+    });
+
+    it("says so when no quotes match the filters", async () => {
+      render(<History />);
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+      fireEvent.change(screen.getByPlaceholderText("Search by origin"), { target: { value: "Paris" } });
+      expect(await screen.findByText("No quotes match your current filter criteria.")).toBeTruthy();
+      expect(shownRoutes()).toEqual([]);
+    });
+
+    it("goes back to the first page when the filters change", async () => {
+      render(<History />);
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+      fireEvent.click(screen.getByRole("button", { name: "2" }));
+      await waitFor(() => expect(shownRoutes()).toHaveLength(2));
+      fireEvent.change(screen.getByPlaceholderText("Search by destination"), { target: { value: "o" } });
+      await waitFor(() => expect(fetch).toHaveBeenLastCalledWith(expect.stringContaining("destination=o&equipment=&customer=&page=1"), expect.anything()));
+    });
+  });
+
+  describe("pagination", () => {
+    it("moves between pages with the page numbers and the next and previous buttons", async () => {
+      render(<History />);
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+
+      fireEvent.click(screen.getByRole("button", { name: "Next" }));
+      await waitFor(() => expect(shownRoutes()).toEqual(["Edmonton, AB→Saskatoon, SK", "Quebec City, QC→Toronto, ON"]));
+      expect(screen.getByRole("button", { name: "Next" }).disabled).toBe(true);
+
+      fireEvent.click(screen.getByRole("button", { name: "Previous" }));
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+
+      fireEvent.click(screen.getByRole("button", { name: "2" }));
+      await waitFor(() => expect(shownRoutes()).toHaveLength(2));
+      expect(screen.getByRole("button", { name: "Previous" }).disabled).toBe(false);
+    });
+
+    it("only shows as many pages as the filtered quotes need", async () => {
+      render(<History />);
+      await waitFor(() => expect(screen.getByRole("button", { name: "2" })).toBeTruthy());
+      fireEvent.change(screen.getByDisplayValue("All Equipment"), { target: { value: "reefer" } });
+      await waitFor(() => expect(screen.queryByRole("button", { name: "2" })).toBeNull());
+    });
+  });
+
+  describe("deletion", () => {
+    it("deletes a quote and reloads the page", async () => {
+      render(<History />);
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+
+      const card = screen.getByText("Halifax, NS").closest("[aria-expanded]");
+      fireEvent.click(within(card).getByTitle("Delete quote"));
+
+      await waitFor(() => expect(shownRoutes()).not.toContain("Halifax, NS→Moncton, NB"));
+      expect(fetch).toHaveBeenCalledWith("/api/quotes/q4", { method: "DELETE" });
+      // The first quote of the next page moves up to fill the gap.
+      expect(shownRoutes()).toHaveLength(5);
+      expect(shownRoutes()).toContain("Edmonton, AB→Saskatoon, SK");
+    });
+
+    it("doesn't expand the quote when deleting it", async () => {
+      render(<History />);
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+      const card = screen.getByText("Calgary, AB").closest("[aria-expanded]");
+      fireEvent.click(within(card).getByTitle("Delete quote"));
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+      expect(screen.queryByText("Rate Breakdown")).toBeNull();
+    });
+
+    it("goes back a page after deleting the last quote on a page", async () => {
+      quotes = seedQuotes().slice(0, 6);
+      render(<History />);
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+      fireEvent.click(screen.getByRole("button", { name: "2" }));
+      await waitFor(() => expect(shownRoutes()).toEqual(["Edmonton, AB→Saskatoon, SK"]));
+
+      fireEvent.click(screen.getByTitle("Delete quote"));
+
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+      expect(screen.queryByRole("button", { name: "2" })).toBeNull();
+    });
+
+    it("shows the empty history once the last quote is deleted", async () => {
+      quotes = seedQuotes().slice(0, 1);
+      render(<History />);
+      await waitFor(() => expect(shownRoutes()).toHaveLength(1));
+      fireEvent.click(screen.getByTitle("Delete quote"));
+      expect(await screen.findByText("No quote history found yet.")).toBeTruthy();
+    });
+
+    it("keeps the quote when the deletion fails", async () => {
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      render(<History />);
+      await waitFor(() => expect(shownRoutes()).toHaveLength(5));
+      vi.mocked(fetch).mockResolvedValueOnce({ ok: false, status: 500, json: async () => ({}) });
+
+      fireEvent.click(screen.getAllByTitle("Delete quote")[0]);
+
+      await waitFor(() => expect(console.error).toHaveBeenCalledWith("Quote deletion error:", 500));
+      expect(shownRoutes()).toHaveLength(5);
+      expect(quotes).toHaveLength(7);
+      vi.mocked(console.error).mockRestore();
+    });
+  });
+});
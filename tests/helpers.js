@@ -0,0 +1,77 @@
+import { sessionCookieName, sessionRepository } from "@/lib/auth";
+import { addDays } from "@/lib/calendar";
+import { toDateString } from "@/lib/quoteStatus";
+import { userRepository } from "@/lib/users";
+
+// Helpers shared by the tests, for calling API handlers without a server.
+
+/**
+ * Creates a response that records what a handler sends, with the `status`, `json`, `end` and `setHeader` methods handlers use.
+ * @returns {Object} The response, with the sent `statusCode`, `body` and `headers`.
+ */
+export const createResponse = () => {
+  const res = { statusCode: 200, body: undefined, headers: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.end = () => res;
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Creates a request for a handler.
+ * @param {Object} [options]
+ * @param {string} [options.method] - The HTTP method.
+ * @param {*} [options.body] - The parsed body.
+ * @param {Object} [options.query] - The query parameters.
+ * @param {string} [options.session] - The session token to send as the session cookie.
+ * @returns {Object} The request.
+ */
+export const createRequest = ({ method = "GET", body, query = {}, session } = {}) => ({
+  method,
+  body,
+  query,
+  headers: {},
+  cookies: session ? { [sessionCookieName]: session } : {}
+});
+
+/**
+ * Calls a handler with a request.
+ * @param {Function} handler - The API route handler.
+ * @param {Object} [options] - The request, see `createRequest`.
+ * @returns {Promise<Object>} The response, see `createResponse`.
+ */
+export const callHandler = async (handler, options) => {
+  const res = createResponse();
+  await handler(createRequest(options), res);
+  return res;
+}
+
+/**
+ * Creates a user and signs them in. The tests keep users and sessions in memory.
+ * @param {Object} [details]
+ * @param {string} [details.username] - The username.
+ * @param {string} [details.role] - The role, a sales rep by default.
+ * @returns {Promise<{ user: Object, session: string }>} The user, and the token of their session.
+ */
+export const signIn = async ({ username = `rep-${Math.random().toString(36).slice(2)}`, role = "sales_rep" } = {}) => {
+  const user = await userRepository.create({ username, name: username, role, password: "password123" });
+  const { token } = await sessionRepository.create(user.id);
+  return { user, session: token };
+}
+
+/**
+ * Gets a pickup date a number of days from today, so requests don't go into the past as time passes.
+ * @param {number} [days] - How many days from today.
+ * @returns {string} The date, as "YYYY-MM-DD".
+ */
+export const pickupDateIn = (days = 14) => addDays(toDateString(new Date()), days);
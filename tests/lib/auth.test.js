@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { getReturnPath } from "@/lib/auth";
+
+describe("getReturnPath", () => {
+  it.each([
+    ["/quotes/1/print", "/quotes/1/print"],
+    ["/settings?tab=lanes#locations", "/settings?tab=lanes#locations"],
+    ["/", "/"]
+  ])("keeps the path %s on this site", (next, path) => {
+    expect(getReturnPath(next)).toBe(path);
+  });
+
+  it.each([
+    "//evil.example",
+    "/\\evil.example",
+    "/\\/evil.example",
+    "/\t/evil.example",
+    "/.//evil.example",
+    "https://evil.example",
+    "evil.example",
+    "",
+    ["/settings"],
+    undefined
+  ])("refuses %j, which could leave the site", (next) => {
+    expect(getReturnPath(next)).toBe("/");
+  });
+});
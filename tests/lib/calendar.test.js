@@ -0,0 +1,12 @@
+import { describe, expect, it } from "vitest";
+import { isDateString } from "@/lib/calendar";
+
+describe("isDateString", () => {
+  it.each(["2026-10-19", "2028-02-29", "2026-12-31"])("accepts %s", (value) => {
+    expect(isDateString(value)).toBe(true);
+  });
+
+  it.each(["2026-02-31", "2026-04-31", "2027-02-29", "2026-13-01", "2026-00-10", "2026-10-1", "19/10/2026", 20261019])("rejects %s", (value) => {
+    expect(isDateString(value)).toBe(false);
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { parseCsv, toCsv } from "@/lib/csv";
+
+describe("toCsv", () => {
+  it("quotes fields with commas, quotes and line breaks", () => {
+    const csv = toCsv([{ origin: "Toronto, ON", note: 'Say "hi"\nthen leave' }], ["origin", "note"]);
+    expect(csv).toBe('origin,note\r\n"Toronto, ON","Say ""hi""\nthen leave"');
+    expect(parseCsv(csv)[1]).toEqual(["Toronto, ON", 'Say "hi"\nthen leave']);
+  });
+
+  it.each([
+    ['=HYPERLINK("http://example.com","Click")', `"'=HYPERLINK(""http://example.com"",""Click"")"`],
+    ["+cmd|' /C calc'!A0", "'+cmd|' /C calc'!A0"],
+    ["-2+3", "'-2+3"],
+    ["@SUM(A1:A2)", "'@SUM(A1:A2)"],
+    ["\tTab", "'\tTab"],
+    ["\rReturn", `"'\rReturn"`]
+  ])("keeps %j from running as a formula", (value, field) => {
+    expect(toCsv([{ value }], ["value"])).toBe(`value\r\n${field}`);
+  });
+
+  it("leaves negative numbers and empty values as they are", () => {
+    expect(toCsv([{ amount: "-50.00", count: -2, note: null }], ["amount", "count", "note"])).toBe("amount,count,note\r\n-50.00,-2,");
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import { findMarkupRule, getMargin, toCustomerQuote, toSharedQuote, validateMarkupRules } from "@/lib/markup";
+
+const rules = [
+  { id: "everyone", percent: 0.15 },
+  { id: "acme-reefer", customerId: "acme", equipmentType: "reefer", percent: 0.12 },
+  { id: "flatbed", equipmentType: "flatbed", flat: 50 },
+  { id: "acme", customerId: "acme", percent: 0.1 },
+  { id: "acme-again", customerId: "acme", percent: 0.2 }
+];
+
+describe("findMarkupRule", () => {
+  it.each([
+    ["acme", "reefer", "acme-reefer", "customer-equipment"],
+    ["acme", "flatbed", "acme", "customer"],
+    ["globex", "flatbed", "flatbed", "equipment"],
+    [null, "flatbed", "flatbed", "equipment"],
+    [null, "dry_van", "everyone", "default"]
+  ])("picks the most specific rule for %s and %s", (customerId, equipmentType, id, scope) => {
+    const { rule, scope: found } = findMarkupRule(customerId, equipmentType, rules);
+    expect([rule.id, found]).toEqual([id, scope]);
+  });
+
+  it("takes the first matching rule in the file", () => {
+    expect(findMarkupRule("acme", "dry_van", rules).rule.id).toBe("acme");
+  });
+
+  it("finds nothing when no rule applies", () => {
+    expect(findMarkupRule("globex", "dry_van", rules.filter(rule => rule.id !== "everyone"))).toBeNull();
+  });
+});
+
+describe("getMargin", () => {
+  it("adds the percent and the flat amount", () => {
+    expect(getMargin(1000, { percent: 0.1, flat: 25 })).toEqual({ amount: 125, minimumApplied: false });
+  });
+
+  it("raises the margin to the minimum", () => {
+    expect(getMargin(400, { percent: 0.1, minimumMargin: 75 })).toEqual({ amount: 75, minimumApplied: true });
+    expect(getMargin(1000, { percent: 0.1, minimumMargin: 75 })).toEqual({ amount: 100, minimumApplied: false });
+  });
+});
+
+describe("validateMarkupRules", () => {
+  it("accepts valid rules", () => {
+    expect(validateMarkupRules({ rules })).toEqual([]);
+  });
+
+  it("reports rules without an id, with negative amounts, or without any markup", () => {
+    expect(validateMarkupRules({ rules: [{ percent: 0.1 }, { id: "negative", flat: -5 }, { id: "empty", customerId: "acme" }] })).toEqual([
+      "rules[0].id must be a non-empty string",
+      "rules[1].flat must be a non-negative number",
+      "rules[2] must have a percent, flat or minimumMargin"
+    ]);
+    expect(validateMarkupRules({})).toEqual(["rules must be an array"]);
+  });
+});
+
+describe("toCustomerQuote", () => {
+  const quote = {
+    id: "q1",
+    status: "sent",
+    statusHistory: [{ status: "draft", at: 1 }],
+    shareToken: "token",
+    ownerId: "user-1",
+    createdBy: "Rep",
+    revisionOf: "q0",
+    imported: true,
+    customerId: "acme",
+    customerName: "ACME Logistics",
+    origin: "Toronto, ON",
+    destination: "Montreal, QC",
+    total: 1150,
+    accessorials: [{ code: "liftgate", label: "Liftgate", type: "flat", rate: 75, quantity: 1, amount: 75, note: "internal" }],
+    legs: [{ origin: "Toronto, ON", destination: "Montreal, QC", distance: 540, baseRate: 900, ratePerKm: 1.67 }],
+    pricingRule: { scope: "customer-lane", id: "acme-tor-mtl", name: "ACME contract", rateType: "flat", amount: 900, minimumCharge: null, minimumApplied: false },
+    carrierCost: { total: 1000 },
+    margin: { amount: 150 }
+  };
+
+  it("keeps only the values the customer sees", () => {
+    const customerQuote = toCustomerQuote(quote);
+    for (const key of ["statusHistory", "shareToken", "ownerId", "createdBy", "revisionOf", "imported", "carrierCost", "margin"]) {
+      expect(customerQuote).not.toHaveProperty(key);
+    }
+    expect(customerQuote).toMatchObject({ id: "q1", customerName: "ACME Logistics", total: 1150, dateAdjustments: [] });
+    expect(customerQuote.legs).toEqual([{ origin: "Toronto, ON", destination: "Montreal, QC", distance: 540, baseRate: 900 }]);
+    expect(customerQuote.accessorials).toEqual([{ code: "liftgate", label: "Liftgate", type: "flat", rate: 75, quantity: 1, amount: 75 }]);
+    expect(customerQuote.pricingRule).not.toHaveProperty("id");
+  });
+
+  it("fills the values older quotes don't have with null, so they can be page props", () => {
+    expect(toCustomerQuote({ id: "q1", total: 1000 })).toMatchObject({ stops: null, legs: null, transit: null, currency: null, pricingRule: null });
+  });
+});
+
+describe("toSharedQuote", () => {
+  const quote = {
+    id: "q1",
+    shareToken: "token",
+    customerId: "acme",
+    customerName: "ACME Logistics",
+    currency: "USD",
+    exchangeRate: 0.5,
+    total: 575,
+    rates: { baseRatePerKm: 2, fuelSurchargeType: "perKm", fuelSurchargePercent: null, fuelSurchargePerKm: 0.5, equipmentMultiplier: 0.3, weightThreshold: 10000, weightFactorPer100: 0.1, stopCharge: 100 },
+    pricingRule: { scope: "customer-lane", id: "acme-tor-mtl", name: "ACME Logistics: Toronto to Ottawa", rateType: "flat", amount: 900, minimumCharge: null, minimumApplied: false },
+    rateTableVersion: "2025-01",
+    distanceProvider: "osrm",
+    fuelIndex: { price: 1.62, unit: "CAD/L", date: "2025-01-06" },
+    carrierCost: { total: 1000 }
+  };
+
+  it("leaves out what only the printable sheet shows", () => {
+    const shared = toSharedQuote(quote);
+    for (const key of ["customerId", "exchangeRate", "rateTableVersion", "distanceProvider", "fuelIndex", "shareToken", "carrierCost"]) {
+      expect(shared).not.toHaveProperty(key);
+    }
+    expect(shared.pricingRule).toEqual({ rateType: "flat", amount: 450, minimumCharge: null, minimumApplied: false });
+    expect(shared).toMatchObject({ id: "q1", customerName: "ACME Logistics", currency: "USD", total: 575 });
+  });
+
+  it("converts the rates to the quote's currency", () => {
+    expect(toSharedQuote(quote).rates).toEqual({ ...quote.rates, baseRatePerKm: 1, fuelSurchargePerKm: 0.25, weightFactorPer100: 0.05, stopCharge: 50 });
+  });
+
+  it("keeps the nulls of older quotes, so they can be page props", () => {
+    expect(toSharedQuote({ id: "q1", total: 1000 })).toMatchObject({ rates: null, pricingRule: null });
+  });
+});
@@ -0,0 +1,251 @@
+import { describe, expect, it, vi } from "vitest";
+import { calculateTotal, priceEquipmentOptions, priceQuote } from "@/lib/pricing";
+
+// A small rate table, so the expected amounts are easy to work out by hand.
+const rateTable = {
+  version: "test",
+  effectiveDate: "2025-01-01",
+  baseRatePerKm: 2,
+  weightThreshold: 10000,
+  weightFactorPer100: 0.1,
+  stopCharge: 75,
+  fuelSurcharge: { belowThreshold: 0.2, atOrAboveThreshold: 0.5 },
+  equipment: {
+    dry_van: { label: "Dry Van", multiplier: 0 },
+    reefer: { label: "Reefer", multiplier: 0.3 },
+    flatbed: { label: "Flatbed", multiplier: 0.15 }
+  },
+  accessorials: {
+    liftgate: { label: "Liftgate", type: "flat", amount: 85 },
+    detention: { label: "Detention", type: "hourly", amount: 75 },
+    hazmat: { label: "Hazmat", type: "percent", amount: 0.15 }
+  }
+};
+
+const leg = (distance, origin = "Toronto, ON", destination = "Montreal, QC") => ({ origin, destination, distance, provider: "stub" });
+
+describe("calculateTotal", () => {
+  describe("weight thresholds", () => {
+    it("uses the lower fuel surcharge and no weight factor below the threshold", () => {
+      const quote = calculateTotal([leg(100)], 9999, "dry_van", rateTable);
+      expect(quote.baseRate).toBe(200);
+      expect(quote.fuelSurcharge).toBeCloseTo(40);
+      expect(quote.weightFactor).toBe(0);
+      expect(quote.total).toBeCloseTo(240);
+    });
+
+    it("switches to the higher fuel surcharge at the threshold, without a weight factor yet", () => {
+      const quote = calculateTotal([leg(100)], 10000, "dry_van", rateTable);
+      expect(quote.fuelSurcharge).toBeCloseTo(100);
+      expect(quote.weightFactor).toBe(0);
+      expect(quote.total).toBeCloseTo(300);
+    });
+
+    it("charges the weight factor for every 100 lbs over the threshold", () => {
+      const quote = calculateTotal([leg(100)], 12000, "dry_van", rateTable);
+      expect(quote.weightFactor).toBeCloseTo(2);
+      expect(quote.total).toBeCloseTo(302);
+    });
+
+    it("compares kilograms against the threshold in pounds", () => {
+      expect(calculateTotal([leg(100)], 4500, "dry_van", rateTable, { weightUnit: "kg" }).weightFactor).toBe(0);
+      const heavy = calculateTotal([leg(100)], 5000, "dry_van", rateTable, { weightUnit: "kg" });
+      expect(heavy.fuelSurcharge).toBeCloseTo(100);
+      expect(heavy.weightFactor).toBeCloseTo((5000 / 0.45359237 - 10000) / 100 * 0.1);
+    });
+  });
+
+  describe("equipment multipliers", () => {
+    it.each([
+      ["dry_van", 0],
+      ["reefer", 60],
+      ["flatbed", 30]
+    ])("charges %s its multiplier of the base rate", (equipmentType, equipmentCharge) => {
+      const quote = calculateTotal([leg(100)], 1000, equipmentType, rateTable);
+      expect(quote.equipmentCharge).toBeCloseTo(equipmentCharge);
+      expect(quote.total).toBeCloseTo(240 + equipmentCharge);
+      expect(quote.rates.equipmentMultiplier).toBe(rateTable.equipment[equipmentType].multiplier);
+    });
+  });
+
+  describe("zero distance", () => {
+    it("prices a trip with no distance at zero", () => {
+      const quote = calculateTotal([leg(0)], 1000, "reefer", rateTable);
+      expect(quote.baseRate).toBe(0);
+      expect(quote.fuelSurcharge).toBe(0);
+      expect(quote.equipmentCharge).toBe(0);
+      expect(quote.total).toBe(0);
+      expect(quote.legs[0].baseRate).toBe(0);
+    });
+
+    it("still charges stops and flat accessorials without any distance", () => {
+      const quote = calculateTotal([leg(0), leg(0)], 1000, "dry_van", rateTable, { accessorials: [{ code: "liftgate" }] });
+      expect(quote.legs.map(({ baseRate }) => baseRate)).toEqual([0, 0]);
+      expect(quote.stopCharge).toBe(75);
+      expect(quote.total).toBe(160);
+    });
+  });
+
+  it("splits the base rate between legs by distance, and charges every intermediate stop", () => {
+    const quote = calculateTotal([leg(60), leg(40), leg(100)], 1000, "dry_van", rateTable);
+    expect(quote.baseRate).toBe(400);
+    expect(quote.legs.map(({ baseRate }) => baseRate)).toEqual([120, 80, 200]);
+    expect(quote.stopCharge).toBe(150);
+  });
+
+  it("prices flat, hourly and percent accessorials", () => {
+    const quote = calculateTotal([leg(100)], 1000, "dry_van", rateTable, {
+      accessorials: [{ code: "liftgate" }, { code: "detention", quantity: 2 }, { code: "hazmat" }]
+    });
+    expect(quote.accessorials.map(({ amount }) => amount)).toEqual([85, 150, 30]);
+    expect(quote.accessorialCharge).toBeCloseTo(265);
+    expect(quote.total).toBeCloseTo(505);
+  });
+
+  it("converts the amounts to the quote's currency and distances to its unit", () => {
+    const quote = calculateTotal([leg(100)], 1000, "dry_van", rateTable, { currency: "USD", exchangeRate: 0.75, distanceUnit: "mi" });
+    expect(quote.total).toBeCloseTo(180);
+    expect(quote.currency).toBe("USD");
+    expect(quote.legs[0].distance).toBeCloseTo(62.137);
+  });
+});
+
+describe("calculateTotal markup", () => {
+  const markup = (rule, scope = "default") => ({ rule: { id: "test", ...rule }, scope });
+
+  it("prices the customer at the carrier cost without a markup rule", () => {
+    const quote = calculateTotal([leg(100)], 1000, "dry_van", rateTable);
+    expect(quote.carrierCost.total).toBeCloseTo(240);
+    expect(quote.total).toBeCloseTo(240);
+    expect(quote.margin).toEqual({ amount: 0, percent: 0, rule: null });
+  });
+
+  it("adds a percent of the carrier cost, spread over every charge", () => {
+    const quote = calculateTotal([leg(60), leg(40)], 1000, "reefer", rateTable, {
+      accessorials: [{ code: "liftgate" }],
+      markup: markup({ percent: 0.1 })
+    });
+    // The carrier cost is 200 base, 60 equipment, 40 fuel, 75 for the stop and 85 for the liftgate.
+    expect(quote.carrierCost).toMatchObject({ total: 460, baseRate: 200, equipmentCharge: 60, stopCharge: 75, accessorialCharge: 85 });
+    expect(quote.margin.amount).toBeCloseTo(46);
+    expect(quote.margin.percent).toBeCloseTo(46 / 506);
+    expect(quote.total).toBeCloseTo(506);
+    expect(quote.baseRate).toBeCloseTo(220);
+    expect(quote.legs.map(({ baseRate }) => baseRate)).toEqual([expect.closeTo(132), expect.closeTo(88)]);
+    expect(quote.accessorials[0]).toMatchObject({ rate: expect.closeTo(93.5), amount: expect.closeTo(93.5) });
+    const charges = quote.baseRate + quote.equipmentCharge + quote.fuelSurcharge + quote.weightFactor + quote.stopCharge + quote.accessorialCharge;
+    expect(charges).toBeCloseTo(quote.total);
+  });
+
+  it("marks up the rates, so the customer's breakdown can be worked out from them", () => {
+    const quote = calculateTotal([leg(60), leg(40)], 12000, "dry_van", rateTable, { markup: markup({ percent: 0.25 }) });
+    expect(quote.rates.baseRatePerKm * 100).toBeCloseTo(quote.baseRate);
+    expect(quote.rates.stopCharge).toBeCloseTo(quote.stopCharge);
+    expect((12000 - 10000) / 100 * quote.rates.weightFactorPer100).toBeCloseTo(quote.weightFactor);
+    expect(quote.rates.equipmentMultiplier).toBe(0);
+    expect(quote.pricingRule.amount).toBeCloseTo(2.5);
+  });
+
+  it("adds a flat amount", () => {
+    const quote = calculateTotal([leg(100)], 1000, "dry_van", rateTable, { markup: markup({ percent: 0.1, flat: 50 }) });
+    expect(quote.margin.amount).toBeCloseTo(74);
+    expect(quote.total).toBeCloseTo(314);
+  });
+
+  it("raises the margin to the minimum", () => {
+    const quote = calculateTotal([leg(100)], 1000, "dry_van", rateTable, { markup: markup({ percent: 0.1, minimumMargin: 100 }, "customer") });
+    expect(quote.margin.amount).toBe(100);
+    expect(quote.total).toBeCloseTo(340);
+    expect(quote.margin.rule).toMatchObject({ id: "test", scope: "customer", percent: 0.1, flat: null, minimumMargin: 100, minimumApplied: true });
+  });
+
+  it("converts the carrier cost and margin to the quote's currency", () => {
+    const quote = calculateTotal([leg(100)], 1000, "dry_van", rateTable, { currency: "USD", exchangeRate: 0.75, markup: markup({ flat: 60 }) });
+    expect(quote.carrierCost.total).toBeCloseTo(180);
+    expect(quote.margin.amount).toBeCloseTo(45);
+    expect(quote.total).toBeCloseTo(225);
+  });
+
+  it("doesn't mark up a trip that costs nothing", () => {
+    const quote = calculateTotal([leg(0)], 1000, "dry_van", rateTable, { markup: markup({ flat: 50, minimumMargin: 75 }) });
+    expect(quote.total).toBe(0);
+    expect(quote.margin.amount).toBe(0);
+  });
+});
+
+describe("priceQuote", () => {
+  const today = "2026-10-19";
+  const request = {
+    stops: ["Toronto, ON", "Montreal, QC"],
+    equipmentType: "dry_van",
+    weight: 1000,
+    pickupDate: "2026-11-04"
+  };
+  const stubDistance = (distance = 540) => vi.fn(async () => ({ distance, provider: "stub" }));
+
+  it("prices a request with the stubbed distance of every leg", async () => {
+    const lookupDistance = stubDistance();
+    const { quote } = await priceQuote({ ...request, stops: ["Toronto, ON", "Kingston, ON", "Montreal, QC"] }, { lookupDistance, today });
+    expect(lookupDistance).toHaveBeenCalledTimes(2);
+    expect(lookupDistance).toHaveBeenCalledWith("Toronto, ON", "Kingston, ON");
+    expect(quote.distance).toBe(1080);
+    expect(quote.distanceProvider).toBe("stub");
+    expect(Number.isFinite(quote.total)).toBe(true);
+  });
+
+  it("returns field errors with codes for an invalid request, without looking up distances", async () => {
+    const lookupDistance = stubDistance();
+    const result = await priceQuote({ ...request, equipmentType: "boat", weight: "heavy", pickupDate: "2026-02-30x" }, { lookupDistance, today });
+    expect(result.status).toBe(400);
+    expect(result.code).toBe("invalid_request");
+    expect(result.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: "equipmentType", code: "unknown_value" }),
+      expect.objectContaining({ field: "weight", code: "invalid_type" }),
+      expect.objectContaining({ field: "pickupDate", code: "invalid_format" })
+    ]));
+    expect(lookupDistance).not.toHaveBeenCalled();
+  });
+
+  it("rejects pickup dates before today, and weights that aren't positive", async () => {
+    const result = await priceQuote({ ...request, pickupDate: "2026-10-18", weight: -1 }, { lookupDistance: stubDistance(), today });
+    expect(result.errors.map(({ field, code }) => [field, code])).toEqual([["weight", "out_of_range"], ["pickupDate", "out_of_range"]]);
+  });
+
+  it("rejects weights over the legal limit of the equipment", async () => {
+    const result = await priceQuote({ ...request, weight: 1000000 }, { lookupDistance: stubDistance(), today });
+    expect(result.errors).toEqual([expect.objectContaining({ field: "weight", code: "over_limit" })]);
+  });
+
+  it("puts the errors of an origin and destination request on those fields", async () => {
+    const result = await priceQuote({ origin: "", destination: "Montreal, QC", equipmentType: "dry_van", weight: 1000, pickupDate: "2026-11-04" }, { lookupDistance: stubDistance(), today });
+    expect(result.errors).toEqual([expect.objectContaining({ field: "origin", code: "required" })]);
+  });
+
+  it("reports a leg without a route", async () => {
+    const result = await priceQuote(request, { lookupDistance: stubDistance(null), today });
+    expect(result).toMatchObject({ status: 400, code: "no_route", errors: [{ field: "stops[1]", code: "no_route" }] });
+  });
+
+  it("reports an unavailable distance source", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const lookupDistance = vi.fn(async () => { throw new Error("offline"); });
+    const result = await priceQuote(request, { lookupDistance, today });
+    expect(result).toMatchObject({ status: 503, code: "distance_unavailable" });
+    vi.mocked(console.error).mockRestore();
+  });
+});
+
+describe("priceEquipmentOptions", () => {
+  it("prices every equipment type from a single distance lookup", async () => {
+    const lookupDistance = vi.fn(async () => ({ distance: 540, provider: "stub" }));
+    const { options } = await priceEquipmentOptions({
+      stops: ["Toronto, ON", "Montreal, QC"],
+      equipmentTypes: "all",
+      weight: 1000,
+      pickupDate: "2026-11-04"
+    }, { lookupDistance, today: "2026-10-19" });
+    expect(lookupDistance).toHaveBeenCalledTimes(1);
+    expect(options.map(({ equipmentType }) => equipmentType)).toEqual(["dry_van", "reefer", "flatbed"]);
+    expect(new Set(options.map(({ carrierCost }) => carrierCost.baseRate)).size).toBe(1);
+  });
+});
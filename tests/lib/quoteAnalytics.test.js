@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import { aggregateQuotes, filterQuotesByDate, formatPeriod, getPeriod } from "@/lib/quoteAnalytics";
+
+/**
+ * Creates a saved quote, created at noon on a date so it falls on that date in any time zone.
+ * @param {string} date - The date the quote was created on, as "YYYY-MM-DD".
+ * @param {Object} values - The values of the quote.
+ * @returns {Object} The quote.
+ */
+const createQuote = (date, values) => ({
+  origin: "Toronto, ON",
+  destination: "Montreal, QC",
+  equipmentType: "dry_van",
+  weight: 1000,
+  distance: 500,
+  total: 1000,
+  ...values,
+  timestamp: new Date(`${date}T12:00:00`).getTime()
+});
+
+describe("filterQuotesByDate", () => {
+  const quotes = ["2026-09-30", "2026-10-01", "2026-10-15", "2026-10-31"].map(date => createQuote(date, { id: date }));
+
+  it("keeps quotes created within the range, including its first and last dates", () => {
+    expect(filterQuotesByDate(quotes, { from: "2026-10-01", to: "2026-10-15" }).map(({ id }) => id)).toEqual(["2026-10-01", "2026-10-15"]);
+  });
+
+  it("leaves either end of the range open when it's empty", () => {
+    expect(filterQuotesByDate(quotes, { from: "2026-10-15" })).toHaveLength(2);
+    expect(filterQuotesByDate(quotes, { to: "2026-09-30" })).toHaveLength(1);
+    expect(filterQuotesByDate(quotes, {})).toHaveLength(4);
+  });
+});
+
+describe("getPeriod", () => {
+  it.each([
+    ["day", "2026-10-21", "2026-10-21"],
+    ["week", "2026-10-21", "2026-10-19"],
+    ["week", "2026-10-19", "2026-10-19"],
+    ["week", "2026-10-25", "2026-10-19"],
+    ["week", "2027-01-01", "2026-12-28"],
+    ["month", "2026-10-21", "2026-10"]
+  ])("groups by %s, putting %s in %s", (interval, date, period) => {
+    expect(getPeriod(date, interval)).toBe(period);
+  });
+
+  it("formats periods for the charts", () => {
+    expect(formatPeriod("2026-10", "month")).toBe("Oct 2026");
+    expect(formatPeriod("2026-10-19", "week")).toBe("Week of Oct 19");
+    expect(formatPeriod("2026-10-05", "day")).toBe("Oct 5");
+  });
+});
+
+describe("aggregateQuotes", () => {
+  it("summarizes nothing without quotes", () => {
+    expect(aggregateQuotes([])).toEqual({
+      totals: { count: 0, value: 0, distance: 0, ratePerKm: null, averageValue: null, averageWeight: null },
+      overTime: [],
+      byEquipment: [],
+      topLanesByCount: [],
+      topLanesByValue: []
+    });
+  });
+
+  it("weighs the rate per km by distance", () => {
+    const { totals } = aggregateQuotes([
+      createQuote("2026-10-01", { distance: 100, total: 400 }),
+      createQuote("2026-10-02", { distance: 300, total: 600 })
+    ]);
+    expect(totals).toMatchObject({ count: 2, value: 1000, distance: 400, ratePerKm: 2.5, averageValue: 500 });
+  });
+
+  it("converts quotes in other currencies and units back to CAD, kms and pounds", () => {
+    const { totals } = aggregateQuotes([
+      createQuote("2026-10-01", { total: 750, currency: "USD", exchangeRate: 0.75, distance: 62.1371192, distanceUnit: "mi", weight: 453.59237, weightUnit: "kg" })
+    ]);
+    expect(totals.value).toBeCloseTo(1000);
+    expect(totals.distance).toBeCloseTo(100);
+    expect(totals.ratePerKm).toBeCloseTo(10);
+    expect(totals.averageWeight).toBeCloseTo(1000);
+  });
+
+  it("has no rate per km for quotes without any distance", () => {
+    expect(aggregateQuotes([createQuote("2026-10-01", { distance: 0 })]).totals.ratePerKm).toBeNull();
+  });
+
+  it("groups quotes over time, with empty periods in the gaps", () => {
+    const { overTime } = aggregateQuotes([
+      createQuote("2026-12-03", { total: 1500, weight: 3000 }),
+      createQuote("2026-10-01", { total: 1000, weight: 1000 }),
+      createQuote("2026-10-30", { total: 500, weight: 2000 })
+    ], { interval: "month" });
+    expect(overTime.map(({ period, count }) => [period, count])).toEqual([["2026-10", 2], ["2026-11", 0], ["2026-12", 1]]);
+    expect(overTime[0]).toMatchObject({ value: 1500, ratePerKm: 1.5, averageWeight: 1500 });
+    expect(overTime[1]).toMatchObject({ ratePerKm: null, averageWeight: null });
+  });
+
+  it("fills weeks across the end of a year", () => {
+    const { overTime } = aggregateQuotes([createQuote("2026-12-22", {}), createQuote("2027-01-06", {})], { interval: "week" });
+    expect(overTime.map(({ period }) => period)).toEqual(["2026-12-21", "2026-12-28", "2027-01-04"]);
+  });
+
+  it("ranks equipment types by volume, with their share of the quotes", () => {
+    const { byEquipment } = aggregateQuotes([
+      createQuote("2026-10-01", { equipmentType: "flatbed", weight: 4000 }),
+      createQuote("2026-10-01", { equipmentType: "reefer", weight: 1000 }),
+      createQuote("2026-10-02", { equipmentType: "reefer", weight: 3000 }),
+      createQuote("2026-10-03", { equipmentType: "dry_van" })
+    ]);
+    expect(byEquipment.map(({ equipmentType, count, share }) => [equipmentType, count, share])).toEqual([
+      ["reefer", 2, 0.5],
+      ["dry_van", 1, 0.25],
+      ["flatbed", 1, 0.25]
+    ]);
+    expect(byEquipment[0].averageWeight).toBe(2000);
+  });
+
+  it("ranks lanes by count and by value, ignoring case and intermediate stops", () => {
+    const quotes = [
+      createQuote("2026-10-01", { total: 1000 }),
+      createQuote("2026-10-02", { origin: " toronto,  ON", destination: "montreal, qc", total: 900, stops: ["Toronto, ON", "Kingston, ON", "Montreal, QC"] }),
+      createQuote("2026-10-03", { origin: "Calgary, AB", destination: "Vancouver, BC", total: 2500 }),
+      createQuote("2026-10-04", { origin: "Halifax, NS", destination: "Moncton, NB", total: 400 })
+    ];
+    const { topLanesByCount, topLanesByValue } = aggregateQuotes(quotes, { laneCount: 2 });
+    expect(topLanesByCount.map(({ origin, destination, count }) => [origin, destination, count])).toEqual([
+      ["Toronto, ON", "Montreal, QC", 2],
+      ["Calgary, AB", "Vancouver, BC", 1]
+    ]);
+    expect(topLanesByValue.map(({ origin, value }) => [origin, value])).toEqual([
+      ["Calgary, AB", 2500],
+      ["Toronto, ON", 1900]
+    ]);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { quotesToJson, toExportedQuote } from "@/lib/quoteExport";
+
+const savedQuote = {
+  id: "quote-1",
+  status: "sent",
+  timestamp: new Date("2026-01-10T12:00:00Z").getTime(),
+  createdBy: "Sam Rep",
+  ownerId: "user-1",
+  expiresAt: "2026-01-24",
+  statusHistory: [{ status: "draft", at: 1 }, { status: "sent", at: 2 }],
+  shareToken: "a-customer-link-token",
+  origin: "Toronto, ON",
+  destination: "Montreal, QC",
+  equipmentType: "dry_van",
+  weight: 1000,
+  pickupDate: "2026-01-20",
+  distance: 540,
+  days: 1,
+  baseRate: 1350,
+  equipmentCharge: 0,
+  fuelSurcharge: 319.95,
+  weightFactor: 0,
+  total: 1669.95,
+  carrierCost: { total: 1400 },
+  margin: { amount: 269.95, percent: 0.16 },
+  somethingAddedLater: "private"
+};
+
+describe("toExportedQuote", () => {
+  it("keeps the quote's route, breakdown and pricing", () => {
+    expect(toExportedQuote(savedQuote)).toMatchObject({
+      id: "quote-1",
+      status: "sent",
+      createdBy: "Sam Rep",
+      origin: "Toronto, ON",
+      total: 1669.95,
+      carrierCost: { total: 1400 },
+      margin: { amount: 269.95, percent: 0.16 },
+      stops: null,
+      accessorials: []
+    });
+  });
+
+  it("leaves out the customer link token, owner, status history and values it doesn't list", () => {
+    const exported = toExportedQuote(savedQuote);
+    for (const key of ["shareToken", "ownerId", "statusHistory", "somethingAddedLater"]) {
+      expect(exported).not.toHaveProperty(key);
+    }
+    expect(quotesToJson([savedQuote])).not.toContain("a-customer-link-token");
+  });
+});
@@ -0,0 +1,18 @@
+import { describe, expect, it } from "vitest";
+import { canRespond, isShareLinkExpired } from "@/lib/quoteShare";
+
+const now = new Date("2026-10-19T12:00:00");
+
+describe("isShareLinkExpired", () => {
+  it("expires the link after the quote's expiry date, whatever its status", () => {
+    expect(isShareLinkExpired({ status: "sent", expiresAt: "2026-10-19" }, now)).toBe(false);
+    expect(isShareLinkExpired({ status: "booked", expiresAt: "2026-10-18" }, now)).toBe(true);
+    expect(isShareLinkExpired({ status: "expired", expiresAt: "2026-10-25" }, now)).toBe(true);
+  });
+
+  it("only lets the customer answer sent quotes", () => {
+    expect(canRespond({ status: "sent", expiresAt: "2026-10-25" }, now)).toBe(true);
+    expect(canRespond({ status: "draft", expiresAt: "2026-10-25" }, now)).toBe(false);
+    expect(canRespond({ status: "accepted", expiresAt: "2026-10-25" }, now)).toBe(false);
+  });
+});
@@ -0,0 +1,14 @@
+import { describe, expect, it } from "vitest";
+import { createFileStore, createMemoryStore } from "@/lib/store";
+
+describe("shared stores", () => {
+  it("shares memory stores with the same name, and keeps unnamed ones to their caller", async () => {
+    await createMemoryStore("store-test").set("key", "value");
+    expect(await createMemoryStore("store-test").get("key")).toBe("value");
+    expect(createMemoryStore()).not.toBe(createMemoryStore());
+  });
+
+  it("shares file stores for the same file", () => {
+    expect(createFileStore("/tmp/store-test/entries.json")).toBe(createFileStore("/tmp/store-test/../store-test/entries.json"));
+  });
+});
@@ -0,0 +1,30 @@
+import path from "path";
+import { defineConfig } from "vitest/config";
+
+// Tests run offline: every store is kept in memory, and tests stub the distance providers.
+const config = defineConfig({
+  resolve: {
+    alias: { "@": path.resolve(import.meta.dirname) }
+  },
+  // Components are written as JSX in `.js` files, like Next.js allows, which Vite doesn't transform by default.
+  esbuild: {
+    include: /\.js$/,
+    exclude: [],
+    loader: "jsx",
+    jsx: "automatic"
+  },
+  test: {
+    include: ["tests/**/*.test.js"],
+    env: {
+      QUOTE_STORE: "memory",
+      USER_STORE: "memory",
+      SESSION_STORE: "memory",
+      CUSTOMER_STORE: "memory",
+      ADDRESS_BOOK_STORE: "memory",
+      DISTANCE_PROVIDERS: "haversine",
+      NEXT_PUBLIC_API_KEY: ""
+    }
+  }
+});
+
+export default config;